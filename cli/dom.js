@@ -0,0 +1,269 @@
+/*******************************************************************************
+ * HTML parser of the command-line tool.
+ *
+ * Parses a saved page into a tree of nodes that have the few DOM properties
+ * and methods the page scanner and the detection of checksums read (see
+ * scripts/scanner.js and scripts/detection.js): nodeType, nodeName,
+ * localName, attributes, childNodes, children, parentElement, href and src,
+ * closest, contains and querySelectorAll for simple selectors. It is not a
+ * conforming HTML parser: it only closes the elements whose end tag is
+ * commonly left out, such as list items and table cells, adds the table body
+ * browsers add to the rows of a table, so that elements are located the same
+ * way (see elementLocation), and ignores stray end tags. Scripts are not run,
+ * and frames are not loaded.
+ ******************************************************************************/
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param',
+    'source', 'track', 'wbr']);
+/* The elements whose content is text, not markup. */
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'noscript']);
+/* The open elements an element closes, such as a list item the previous one. */
+const IMPLIED_END_TAGS = {
+    li: ['li'],
+    p: ['p'],
+    option: ['option'],
+    dt: ['dt', 'dd'],
+    dd: ['dt', 'dd'],
+    td: ['td', 'th'],
+    th: ['td', 'th'],
+    tr: ['td', 'th', 'tr'],
+    thead: ['td', 'th', 'tr', 'thead', 'tbody', 'tfoot'],
+    tbody: ['td', 'th', 'tr', 'thead', 'tbody', 'tfoot'],
+    tfoot: ['td', 'th', 'tr', 'thead', 'tbody', 'tfoot']
+};
+/* The elements whose href and src properties are URLs, as in browsers. */
+const HREF_ELEMENTS = new Set(['a', 'area', 'base', 'link']);
+const SRC_ELEMENTS = new Set(['audio', 'embed', 'iframe', 'img', 'input', 'script', 'source', 'track', 'video']);
+const NAMED_ENTITIES = {amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' '};
+
+const REGEXP_TAG = /^<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*\/?>/;
+const REGEXP_ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+const REGEXP_SELECTOR = /^([a-z0-9-]*)(?:\[([a-z0-9_-]+)\])?$/i;
+
+/**
+ * Decodes the character references of a text.
+ *
+ * @param {string} text - The text, as written in the page.
+ * @returns {string} The decoded text.
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#[0-9]+|#x[0-9a-f]+|[a-z]+);/gi, function (reference, name) {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1));
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : reference;
+        }
+        return NAMED_ENTITIES[name.toLowerCase()] || reference;
+    });
+}
+
+/**
+ * Tells whether an element matches a selector, as a comma-separated list of
+ * tag names, attribute names in brackets, or both, such as "a[href], code".
+ *
+ * @param {Object} elem - The element.
+ * @param {string} selector - The selector.
+ * @returns {boolean} True if the element matches one of the selectors.
+ * @throws {Error} If the selector is not that simple.
+ */
+function matchesSelector(elem, selector) {
+    return selector.split(',').some(function (part) {
+        const r = REGEXP_SELECTOR.exec(part.trim());
+        if (r === null) {
+            throw new Error("Unsupported selector '" + part.trim() + "'");
+        }
+        return (r[1] === '' || elem.localName === r[1].toLowerCase()) && (r[2] === undefined || elem.hasAttribute(r[2]));
+    });
+}
+
+/* The properties and methods shared by the elements, see createElement. */
+const ELEMENT_PROTOTYPE = {
+    nodeType: 1,
+    shadowRoot: null,
+    contentDocument: null,
+    get nodeName() {
+        return this.localName.toUpperCase();
+    },
+    get children() {
+        return this.childNodes.filter(node => node.nodeType === 1);
+    },
+    get id() {
+        return this.getAttribute('id') || '';
+    },
+    get hidden() {
+        return this.hasAttribute('hidden');
+    },
+    get href() {
+        return HREF_ELEMENTS.has(this.localName) ? this.resolveAttribute('href') : undefined;
+    },
+    get src() {
+        return SRC_ELEMENTS.has(this.localName) ? this.resolveAttribute('src') : undefined;
+    },
+    getAttribute(name) {
+        const attribute = this.attributes.find(attribute => attribute.name === name.toLowerCase());
+        return attribute ? attribute.value : null;
+    },
+    hasAttribute(name) {
+        return this.getAttribute(name) !== null;
+    },
+    resolveAttribute(name) {
+        const value = this.getAttribute(name);
+        if (value === null) {
+            return '';
+        }
+        try {
+            return new URL(value.trim(), this.ownerDocument.baseURI).href;
+        } catch (e) {
+            return value;
+        }
+    },
+    contains(node) {
+        for (; node; node = node.parentElement) {
+            if (node === this) {
+                return true;
+            }
+        }
+        return false;
+    },
+    closest(selector) {
+        for (let elem = this; elem; elem = elem.parentElement) {
+            if (matchesSelector(elem, selector)) {
+                return elem;
+            }
+        }
+        return null;
+    },
+    querySelectorAll(selector) {
+        const found = [];
+        const visit = function (elem) {
+            for (let child of elem.children) {
+                if (matchesSelector(child, selector)) {
+                    found.push(child);
+                }
+                visit(child);
+            }
+        };
+        visit(this);
+        return found;
+    }
+};
+
+/**
+ * Creates an element.
+ *
+ * @param {string} localName - The tag name, in lower case.
+ * @param {{name: string, value: string}[]} attributes - The attributes.
+ * @param {?Object} parent - The parent element, if any.
+ * @param {Object} ownerDocument - The document, see parseHtml.
+ * @returns {Object} The element.
+ */
+function createElement(localName, attributes, parent, ownerDocument) {
+    const elem = Object.create(ELEMENT_PROTOTYPE);
+    Object.assign(elem, {
+        localName: localName,
+        attributes: attributes,
+        childNodes: [],
+        parentElement: parent,
+        ownerDocument: ownerDocument
+    });
+    if (parent !== null) {
+        parent.childNodes.push(elem);
+    }
+    return elem;
+}
+
+/**
+ * Parses a page.
+ *
+ * @param {string} html - The HTML of the page.
+ * @param {string} url - The URL of the page, which relative links are
+ * resolved against unless the page has a <base> element.
+ * @returns {{body: Object, baseURI: string}} The document: its body, or an
+ * element holding all its content if it has no body element, and its base
+ * URL.
+ */
+function parseHtml(html, url) {
+    const doc = {baseURI: url, body: null};
+    const root = createElement('html', [], null, doc);
+    const open = [root];
+    const current = () => open[open.length - 1];
+    const addText = function (text) {
+        if (text !== '') {
+            current().childNodes.push({nodeType: 3, nodeName: '#text', nodeValue: text, parentElement: current()});
+        }
+    };
+
+    let position = 0;
+    while (position < html.length) {
+        const next = html.indexOf('<', position);
+        if (next === -1) {
+            addText(decodeEntities(html.substring(position)));
+            break;
+        }
+        addText(decodeEntities(html.substring(position, next)));
+        position = next;
+
+        // Comments, doctypes and processing instructions.
+        if (html.startsWith('<!--', position)) {
+            const end = html.indexOf('-->', position + 4);
+            position = end === -1 ? html.length : end + 3;
+            continue;
+        }
+        if (html.startsWith('<!', position) || html.startsWith('<?', position)) {
+            const end = html.indexOf('>', position);
+            position = end === -1 ? html.length : end + 1;
+            continue;
+        }
+        const tag = REGEXP_TAG.exec(html.substring(position));
+        if (tag === null) {
+            addText('<');
+            position++;
+            continue;
+        }
+        position += tag[0].length;
+        const name = tag[2].toLowerCase();
+
+        if (tag[1] === '/') {
+            // Stray end tags are ignored.
+            const index = open.map(elem => elem.localName).lastIndexOf(name);
+            if (index > 0) {
+                open.length = index;
+            }
+            continue;
+        }
+        while (open.length > 1 && (IMPLIED_END_TAGS[name] || []).includes(current().localName)) {
+            open.pop();
+        }
+        if (name === 'tr' && current().localName === 'table') {
+            open.push(createElement('tbody', [], current(), doc));
+        }
+        const attributes = [];
+        for (let r of tag[3].matchAll(REGEXP_ATTRIBUTE)) {
+            const attributeName = r[1].toLowerCase();
+            if (!attributes.some(attribute => attribute.name === attributeName)) {
+                attributes.push({name: attributeName, value: decodeEntities(r[2] ?? r[3] ?? r[4] ?? '')});
+            }
+        }
+        if (name === 'html') {
+            root.attributes.push(...attributes);
+            continue;
+        }
+        const elem = createElement(name, attributes, current(), doc);
+        if (name === 'base' && elem.hasAttribute('href') && doc.baseURI === url) {
+            doc.baseURI = elem.href;
+        }
+        if (RAW_TEXT_ELEMENTS.has(name)) {
+            const end = html.toLowerCase().indexOf('</' + name, position);
+            const text = html.substring(position, end === -1 ? html.length : end);
+            elem.childNodes.push({nodeType: 3, nodeName: '#text', nodeValue: name === 'textarea' || name === 'title' ?
+                decodeEntities(text) : text, parentElement: elem});
+            position = end === -1 ? html.length : html.indexOf('>', end) + 1 || html.length;
+        } else if (!VOID_ELEMENTS.has(name) && !tag[0].endsWith('/>')) {
+            open.push(elem);
+        }
+    }
+
+    doc.body = root.querySelectorAll('body')[0] || root;
+    return doc;
+}
+
+module.exports = {parseHtml, decodeEntities, matchesSelector};
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+/*******************************************************************************
+ * Command-line verification.
+ *
+ * Runs the detection of the extension on a download page, saved or fetched,
+ * and verifies a local file against the checksums it finds, without a
+ * browser:
+ *
+ *   node cli/verify.js [options] <page.html|URL> [file]
+ *
+ *   --base-url <URL>     The URL a saved page was downloaded from, which its
+ *                        relative links are resolved against.
+ *   --options <file>     A JSON file of options overriding DEFAULT_OPTIONS,
+ *                        such as the monitored extensions.
+ *   --verbose            Print the debug messages on the standard error.
+ *
+ * The report is printed as JSON: the checksums found on the page, where, and
+ * the download links they were tied to, the checksum files and signatures
+ * linked, and the result of the verification of the file, if one was given.
+ * Checksum files are fetched by the same code as in the extension
+ * (fetchChecksumFiles, in sums.js); signatures are listed, not verified. The
+ * exit status is 0 if the file matches or no file was given, 1 if it does not
+ * match or no checksum applies to it, and 2 on error.
+ *
+ * The scripts of the extension are loaded as CommonJS modules: their exports
+ * are made globals, as in the extension, since they call each other.
+ ******************************************************************************/
+
+const fs = require('fs');
+const path = require('path');
+const {pathToFileURL} = require('url');
+const {parseHtml} = require('./dom.js');
+
+const SCRIPTS = path.join(__dirname, '..', 'scripts');
+/* The scripts of the extension, in the order they depend on each other. */
+const EXTENSION_SCRIPTS = ['algorithms.js', 'sha512-256.js', 'sums.js', 'options-store.js', 'signatures.js', 'scanner.js',
+    'detection.js', 'hash-file.js'];
+const HASH_WASM_SCRIPTS = ['md5', 'sha1', 'sha224', 'sha256', 'sha384', 'sha512', 'sha3', 'blake2b', 'blake3', 'crc32'];
+
+const EXIT_VALID = 0;
+const EXIT_INVALID = 1;
+const EXIT_ERROR = 2;
+
+/* Loads the scripts of the extension, and hash-wasm, as globals. */
+function loadExtensionScripts() {
+    globalThis.hashwasm = {};
+    for (let name of HASH_WASM_SCRIPTS) {
+        Object.assign(globalThis.hashwasm, require(path.join(SCRIPTS, 'hash-wasm', name + '.umd.min.js')));
+    }
+    for (let name of EXTENSION_SCRIPTS) {
+        Object.assign(globalThis, require(path.join(SCRIPTS, name)));
+    }
+}
+
+/**
+ * Reads the arguments of the command line.
+ *
+ * @param {string[]} args - The arguments, without the node executable and the
+ * script.
+ * @returns {{page: string, file: ?string, baseUrl: ?string, options: ?string,
+ * verbose: boolean}} The arguments.
+ * @throws {Error} If the arguments are not valid.
+ */
+function parseArguments(args) {
+    const parsed = {page: null, file: null, baseUrl: null, options: null, verbose: false};
+    const positional = [];
+    for (let index = 0; index < args.length; index++) {
+        if (args[index] === '--base-url' || args[index] === '--options') {
+            if (index + 1 >= args.length) {
+                throw new Error("Missing value of " + args[index]);
+            }
+            parsed[args[index] === '--base-url' ? 'baseUrl' : 'options'] = args[++index];
+        } else if (args[index] === '--verbose') {
+            parsed.verbose = true;
+        } else if (args[index].startsWith('--')) {
+            throw new Error("Unknown option " + args[index]);
+        } else {
+            positional.push(args[index]);
+        }
+    }
+    if (positional.length < 1 || positional.length > 2) {
+        throw new Error("Usage: node cli/verify.js [--base-url <URL>] [--options <file>] [--verbose] <page.html|URL> [file]");
+    }
+    [parsed.page, parsed.file = null] = positional;
+    return parsed;
+}
+
+/**
+ * Reads a page, from the web or from a file.
+ *
+ * @param {string} page - The URL of the page, or the path of the saved page.
+ * @param {?string} baseUrl - The URL a saved page was downloaded from.
+ * @returns {Promise<{html: string, url: string}>} The HTML of the page, and
+ * the URL its links are resolved against.
+ */
+async function readPage(page, baseUrl) {
+    if (/^https?:\/\//i.test(page)) {
+        const response = await fetch(page);
+        if (!response.ok) {
+            throw new Error("Could not fetch " + page + ": " + response.status);
+        }
+        return {html: await response.text(), url: baseUrl || response.url};
+    }
+    return {html: fs.readFileSync(page, 'utf8'), url: baseUrl || pathToFileURL(path.resolve(page)).href};
+}
+
+/* The fetch of Node, which does not read the file: URLs of saved pages. */
+const fetchUrl = globalThis.fetch;
+
+/**
+ * Fetches a resource, as fetch does, or reads a local file, for the links of
+ * saved pages to the files saved with them, such as their checksum files.
+ *
+ * @param {string} url - The URL of the resource.
+ * @param {...*} args - The other arguments of fetch.
+ * @returns {Promise<Response>} The response.
+ */
+async function fetchResource(url, ...args) {
+    if (String(url).startsWith('file:')) {
+        return new Response(fs.readFileSync(new URL(url)));
+    }
+    return fetchUrl(url, ...args);
+}
+
+/**
+ * Finds the checksums a file is verified against: those tied to the download
+ * links of the same file name, and those listed for it in the checksum files,
+ * or else all the checksums of the page.
+ *
+ * @param {string} filename - The name of the file.
+ * @param {?Object} findings - The findings of the page, see inspectDocument.
+ * @param {Object<string, Object>} files - The checksums of the checksum files,
+ * by file name.
+ * @returns {{checksum: ?Object, links: string[]}} The checksum data, or null if
+ * the page has none, and the download links of the file.
+ */
+function findFileChecksum(filename, findings, files) {
+    if (findings === null) {
+        return {checksum: files[filename] || null, links: []};
+    }
+    const links = Object.keys(findings.links).filter(url => filenameFromUrl(url) === filename);
+    const associated = links.map(url => findings.links[url]).concat(files[filename] || []);
+    if (associated.length !== 0) {
+        return {checksum: mergeChecksums(associated, true), links: links};
+    }
+    return {checksum: findings.checksum.value.length !== 0 ? findings.checksum : null, links: []};
+}
+
+/**
+ * Verifies a file against checksum data.
+ *
+ * @param {string} file - The path of the file.
+ * @param {Object} checksum - The checksum data.
+ * @param {Object} options - The options, for the algorithms to compute.
+ * @returns {Promise<{valid: boolean, algorithm: ?string, computed:
+ * Object<string, string>}>} The result, see matchChecksums, and the computed
+ * checksums.
+ */
+async function verifyFile(file, checksum, options) {
+    checksum = applyAlgorithmOptions(checksum, options);
+    const computed = await hashFile(await fs.openAsBlob(file), checksum.type);
+    return Object.assign(matchChecksums(checksum, computed), {computed: computed});
+}
+
+async function main() {
+    const args = parseArguments(process.argv.slice(2));
+    // The report is printed on the standard output.
+    console.debug = args.verbose ? console.error : () => {};
+    // The checksum files are fetched by fetchChecksumFiles (sums.js).
+    globalThis.fetch = fetchResource;
+    loadExtensionScripts();
+    const options = Object.assign({}, DEFAULT_OPTIONS,
+        args.options !== null ? JSON.parse(fs.readFileSync(args.options, 'utf8')) : {});
+
+    const page = await readPage(args.page, args.baseUrl);
+    const inspection = inspectDocument(parseHtml(page.html, page.url).body, options);
+    const findings = inspection.findings;
+    const files = findings !== null ? await fetchChecksumFiles(findings.checksumFiles) : {};
+
+    const report = {
+        page: page.url,
+        checksums: [...inspection.locations].map(([value, location]) => ({
+            value: value,
+            algorithms: findings !== null ? findings.checksum.candidates[value] || [] : [],
+            location: location
+        })),
+        links: {},
+        checksumFiles: findings !== null ? findings.checksumFiles : [],
+        signatures: findings !== null ? findings.signatures : [],
+        verification: null
+    };
+    for (let [url, checksum] of Object.entries(findings !== null ? findings.links : {})) {
+        report.links[url] = checksum.value;
+    }
+
+    let status = EXIT_VALID;
+    if (args.file !== null) {
+        const filename = path.basename(args.file);
+        const {checksum, links} = findFileChecksum(filename, findings, files);
+        report.verification = {file: filename, links: links, associated: checksum !== null && checksum.associated,
+            expected: checksum !== null ? checksum.value : [], valid: false, algorithm: null, computed: {}};
+        if (checksum !== null) {
+            Object.assign(report.verification, await verifyFile(args.file, checksum, options));
+        }
+        status = report.verification.valid ? EXIT_VALID : EXIT_INVALID;
+    }
+    console.log(JSON.stringify(report, null, 2));
+    return status;
+}
+
+main().then(status => process.exitCode = status, function (error) {
+    console.error(error.message);
+    process.exitCode = EXIT_ERROR;
+});
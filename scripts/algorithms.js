@@ -0,0 +1,212 @@
+/*******************************************************************************
+ * Registry of the checksum algorithms.
+ *
+ * Every algorithm the extension can compute is described once here, by its
+ * normalized name (see normalizeChecksumType):
+ *  - name: the name displayed to the user;
+ *  - size: the length of its checksums, in hexadecimal;
+ *  - inferred: whether a checksum of that length may be assumed to be of that
+ *    algorithm when the page does not name it. The less common algorithms are
+ *    only computed when the page, or the checksum file, names them;
+ *  - aliases: other names the algorithm is published under, normalized;
+ *  - create: creates a hasher, in the hashing worker, which loads the
+ *    implementations (hash-wasm and sha512-256.js).
+ * Adding an algorithm only takes a new entry, and the implementation loaded by
+ * the worker.
+ ******************************************************************************/
+const CHECKSUM_ALGORITHMS = {
+    md5: {name: 'MD5', size: 32, inferred: true, create: () => hashwasm.createMD5()},
+    sha1: {name: 'SHA-1', size: 40, inferred: true, create: () => hashwasm.createSHA1()},
+    sha224: {name: 'SHA-224', size: 56, inferred: true, create: () => hashwasm.createSHA224()},
+    sha256: {name: 'SHA-256', size: 64, inferred: true, create: () => hashwasm.createSHA256()},
+    sha384: {name: 'SHA-384', size: 96, inferred: true, create: () => hashwasm.createSHA384()},
+    sha512: {name: 'SHA-512', size: 128, inferred: true, create: () => hashwasm.createSHA512()},
+    sha512256: {name: 'SHA-512/256', size: 64, create: () => createSHA512_256()},
+    sha3224: {name: 'SHA3-224', size: 56, create: () => hashwasm.createSHA3(224)},
+    sha3256: {name: 'SHA3-256', size: 64, create: () => hashwasm.createSHA3(256)},
+    sha3384: {name: 'SHA3-384', size: 96, create: () => hashwasm.createSHA3(384)},
+    sha3512: {name: 'SHA3-512', size: 128, create: () => hashwasm.createSHA3(512)},
+    blake2b256: {name: 'BLAKE2b-256', size: 64, create: () => hashwasm.createBLAKE2b(256)},
+    // b2sum computes BLAKE2b-512 by default.
+    blake2b512: {name: 'BLAKE2b-512', size: 128, aliases: ['blake2b', 'b2', 'b2sum'], create: () => hashwasm.createBLAKE2b(512)},
+    blake3: {name: 'BLAKE3', size: 64, aliases: ['b3', 'b3sum'], create: () => hashwasm.createBLAKE3()},
+    crc32: {name: 'CRC32', size: 8, aliases: ['crc', 'sfv'], create: () => hashwasm.createCRC32()}
+};
+
+/* The algorithms producing checksums of each length, in hexadecimal. */
+const CHECKSUM_TYPES_BY_SIZE = {};
+/* The normalized names of each algorithm, aliases included. */
+const CHECKSUM_TYPE_ALIASES = {};
+for (let [type, algorithm] of Object.entries(CHECKSUM_ALGORITHMS)) {
+    CHECKSUM_TYPES_BY_SIZE[algorithm.size] = (CHECKSUM_TYPES_BY_SIZE[algorithm.size] || []).concat(type);
+    for (let alias of [type, ...(algorithm.aliases || [])]) {
+        CHECKSUM_TYPE_ALIASES[alias] = type;
+    }
+}
+
+/* Subresource Integrity strings: "sha256-<base64>". */
+const REGEXP_SRI = /^(sha256|sha384|sha512)-([A-Za-z0-9+/_-]+={0,2})$/i;
+const REGEXP_HEX = /^[0-9a-f]+$/i;
+const REGEXP_BASE64 = /^[A-Za-z0-9+/_-]+={0,2}$/;
+
+/*******************************************************************************
+ * Checksum algorithms.
+ *
+ * The functions below relate the algorithm names and checksum values found on
+ * a page to the algorithms the extension can compute. They are shared by the
+ * content script, the service worker and the extension pages that verify
+ * files.
+ ******************************************************************************/
+
+/**
+ * Normalizes an algorithm name, as found on the page.
+ *
+ * @param {string} checksumType - The algorithm name (e.g. "SHA-256", "md5",
+ * "SHA3-256", "SHA-512/256", "b2sum").
+ * @returns {string|null} One of the keys of CHECKSUM_ALGORITHMS, or null if
+ * the algorithm is unknown.
+ */
+function normalizeChecksumType(checksumType) {
+    const type = checksumType.toLowerCase().replace(/[\s\-_/]/g, '');
+    return CHECKSUM_TYPE_ALIASES[type] || null;
+}
+
+/**
+ * Decodes a base64 or base64url string to hexadecimal.
+ *
+ * @param {string} value - The base64 or base64url string, padded or not.
+ * @returns {string|null} The hexadecimal string, or null if the value is not
+ * valid base64.
+ */
+function base64ToHex(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '');
+    if (base64.length % 4 === 1) {
+        return null;
+    }
+    try {
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        let hex = '';
+        for (let i = 0; i < binary.length; i++) {
+            hex += binary.charCodeAt(i).toString(16).padStart(2, '0');
+        }
+        return hex;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Normalizes a checksum value to lower case hexadecimal, whether it is given
+ * in hexadecimal, in base64 or base64url, or as a Subresource Integrity string
+ * ("sha256-<base64>"), so that checksums compare regardless of their encoding.
+ *
+ * @param {string} value - The checksum value.
+ * @returns {{value: string, type: ?string}|null} The hexadecimal value and the
+ * algorithm given by the SRI prefix, if any, or null if the value is not a
+ * checksum of a known length.
+ */
+function normalizeChecksumValue(value) {
+    let type = null;
+    let hex = null;
+    const sri = REGEXP_SRI.exec(value);
+    if (sri !== null) {
+        type = sri[1].toLowerCase();
+        hex = base64ToHex(sri[2]);
+    } else if (REGEXP_HEX.test(value)) {
+        hex = value.toLowerCase();
+    } else if (REGEXP_BASE64.test(value)) {
+        hex = base64ToHex(value);
+    }
+    if (hex === null || !(hex.length in CHECKSUM_TYPES_BY_SIZE)) {
+        return null;
+    }
+    if (type !== null && !CHECKSUM_TYPES_BY_SIZE[hex.length].includes(type)) {
+        return null;
+    }
+    return {value: hex, type: type};
+}
+
+/**
+ * Infers the algorithms that may have produced a checksum value, from its
+ * length. If some of those algorithms are named on the page, only those are
+ * kept; otherwise, only the common algorithms of that length are.
+ *
+ * @param {string} value - The checksum value, in hexadecimal.
+ * @param {Set<string>} namedTypes - The normalized algorithm names found on
+ * the page.
+ * @returns {string[]} The candidate algorithms, possibly empty.
+ */
+function inferChecksumTypes(value, namedTypes) {
+    const candidates = CHECKSUM_TYPES_BY_SIZE[value.length] || [];
+    const named = candidates.filter(type => namedTypes.has(type));
+    return named.length > 0 ? named : candidates.filter(type => CHECKSUM_ALGORITHMS[type].inferred);
+}
+
+/**
+ * Returns the name of an algorithm, as displayed to the user.
+ *
+ * @param {string} checksumType - One of the keys of CHECKSUM_ALGORITHMS.
+ * @returns {string} The display name of the algorithm.
+ */
+function checksumTypeName(checksumType) {
+    return checksumType in CHECKSUM_ALGORITHMS ? CHECKSUM_ALGORITHMS[checksumType].name : checksumType.toUpperCase();
+}
+
+/**
+ * Builds the checksum data of a set of checksum values: the values, the
+ * candidate algorithms of each value inferred from its length, and the
+ * algorithms to compute.
+ *
+ * @param {Iterable<string>} values - The checksum values.
+ * @param {Set<string>} namedTypes - The normalized algorithm names found on
+ * the page.
+ * @param {boolean} associated - Whether the values were associated with a
+ * specific download link, rather than found anywhere on the page.
+ * @param {Object<string, string>} [knownTypes] - The algorithm of the values
+ * that tell it, such as SRI strings.
+ * @returns {{type: string[], value: string[], candidates: Object<string,
+ * string[]>, associated: boolean}} The checksum data.
+ */
+function buildChecksum(values, namedTypes, associated, knownTypes = {}) {
+    const candidates = {};
+    for (let value of values) {
+        candidates[value] = knownTypes[value] ? [knownTypes[value]] : inferChecksumTypes(value, namedTypes);
+    }
+    return {
+        type: [...new Set(Object.values(candidates).flat())],
+        value: Object.keys(candidates),
+        candidates: candidates,
+        associated: associated
+    };
+}
+
+/**
+ * Merges the checksum data of several sources, as built by buildChecksum.
+ *
+ * @param {Object[]} checksums - The checksum data to merge.
+ * @param {boolean} associated - Whether the merged values are associated with
+ * a specific download link.
+ * @returns {Object} The merged checksum data.
+ */
+function mergeChecksums(checksums, associated) {
+    const candidates = {};
+    for (let checksum of checksums) {
+        for (let value of checksum.value) {
+            candidates[value] = [...new Set([...(candidates[value] || []), ...checksum.candidates[value]])];
+        }
+    }
+    return {
+        type: [...new Set(Object.values(candidates).flat())],
+        value: Object.keys(candidates),
+        candidates: candidates,
+        associated: associated
+    };
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        CHECKSUM_ALGORITHMS, CHECKSUM_TYPES_BY_SIZE, CHECKSUM_TYPE_ALIASES, REGEXP_SRI, REGEXP_HEX, REGEXP_BASE64,
+        normalizeChecksumType, base64ToHex, normalizeChecksumValue, inferChecksumTypes, checksumTypeName, buildChecksum,
+        mergeChecksums
+    };
+}
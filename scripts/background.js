@@ -1,38 +1,83 @@
+importScripts('algorithms.js', 'sums.js', 'hash-wasm/blake2b.umd.min.js', 'openpgp.min.js', 'signatures.js', 'history-store.js', 'options-store.js',
+    'tracking-store.js', 'matching.js', 'manifest-store.js', 'hash-file.js');
+
 /**
  * Listen to messages coming from content script
  */
-chrome.runtime.onMessage.addListener(function (request, sender) {
+chrome.runtime.onMessage.addListener(function (request, sender, sendResponse) {
     switch (request.type) {
         // A page with checksums and algorithm names has been opened.
-        // Register all links on this page with those values.
+        // Register all links on this page with those values, and the links
+        // that could be tied to specific checksums with those.
         case "download":
-            let tab = parseInt(sender.tab.id);
-            let pageData = {
-                request: request,
-                urls: request.urls,
-                checksum: request.checksum,
-                tab: tab
-            };
-            // Get the current linkToMonitor array from storage
-            chrome.storage.local.get('linkToMonitor', function(data) {
-                let links = data.linkToMonitor || [];
-                links.unshift(pageData);
-                // Store the updated linkToMonitor array back to local storage
-                chrome.storage.local.set({linkToMonitor: links});
-            });
+            registerPage(request, parseInt(sender.tab.id), sender.url);
             break;
         // The delete link has been clicked on the popup
         case "remove":
-            console.debug("asked to remove");
-            //delete file
-            chrome.downloads.removeFile(request.id);
-            // Update popup warning
-            chrome.tabs.sendMessage(sender.tab.id, {type: "deleted"});
+            deleteDownload(request.id, sender.tab.id);
+            break;
+        // The user wants to download again a file that does not match, and
+        // to verify it again.
+        case "redownload":
+            redownload(request.id, request.checksum, sender.tab);
+            break;
+        // The user keeps a file that does not match, from the page it was
+        // downloaded from.
+        case "keepDownload":
+            updateHistory(history => history.map(record => record.downloadId === request.id &&
+                record.source === HISTORY_SOURCE_DOWNLOAD && !!sender.tab && record.tab === sender.tab.id ?
+                Object.assign({}, record, {overridden: true}) : record));
             break;
         // A page containing checksums algo names and links to monitor has been notices, it will keep the background script running
         case "keepAlive":
             console.debug("Content request to keep alive");
             break;
+        // The offscreen document or the hashing frame of a page reports on the
+        // verification of a download. Relay the message to the tab the
+        // download was started from. The result is checked against the
+        // expected checksums before it is told.
+        case "verificationStarted":
+        case "verificationProgress":
+        case "verificationDigest":
+            if (isExtensionPage(sender)) {
+                notifyTab(sender.tab ? sender.tab.id : request.tab, request);
+            }
+            break;
+        case "verificationComplete":
+        case "verificationFailed":
+            if (isExtensionPage(sender)) {
+                finishVerification(request);
+            }
+            break;
+        // The hashing frame of a page has been given the file selected by the
+        // user, and the token of its download: it gets what to verify it
+        // against in exchange.
+        case "redeemVerificationToken":
+            redeemVerificationToken(request.token, sender).then(sendResponse, function (error) {
+                sendResponse({error: error.message});
+            });
+            return true;
+        // A download in quarantine matches: save its content under its real
+        // name. The page holding the content waits for the answer.
+        case "saveReleasedFile":
+            releaseQuarantinedDownload(request.downloadId, request.url, request.computed || {}, sender).then(function () {
+                sendResponse({});
+            }, function (error) {
+                sendResponse({error: error.message});
+            });
+            return true;
+        // The verifier page has verified a local file.
+        case "recordVerification":
+            if (isExtensionPage(sender)) {
+                addHistoryRecord(request.record);
+            }
+            break;
+        // The history page clears the history.
+        case "clearHistory":
+            if (isExtensionPage(sender)) {
+                updateHistory(history => []);
+            }
+            break;
         default:
             console.debug("Unknown request type: " + request.type);
             break;
@@ -40,65 +85,1113 @@ chrome.runtime.onMessage.addListener(function (request, sender) {
 
 });
 
+/**
+ * Sends a message to the content script of a tab, if the download or page it
+ * is about still has one.
+ *
+ * @param {?number} tab - The id of the tab, or null if it was closed.
+ * @param {Object} message - The message.
+ */
+function notifyTab(tab, message) {
+    if (tab === null || tab === undefined) {
+        return;
+    }
+    chrome.tabs.sendMessage(tab, message).catch(function (error) {
+        console.debug("Could not notify the tab " + tab + ": " + error.message);
+    });
+}
+
+/**
+ * Tells whether a message comes from a page of the extension, such as the
+ * offscreen document or the hashing frame, rather than from a content script.
+ *
+ * @param {chrome.runtime.MessageSender} sender - The sender of the message.
+ * @returns {boolean} True if the sender is a page of the extension.
+ */
+function isExtensionPage(sender) {
+    return sender.id === chrome.runtime.id && !!sender.url && sender.url.startsWith('chrome-extension://');
+}
+
+/* The pending registration of a page, registrations being made one at a time. */
+let pageRegistration = Promise.resolve();
+
+/**
+ * Registers the download links of a page, after fetching the checksum files
+ * it links to. Pages rendered by scripts send their links and checksums as
+ * they appear: the updates of a page add to its registration.
+ *
+ * @param {Object} request - The "download" message sent by the content script.
+ * @param {number} tab - The id of the tab of the page.
+ * @param {string} page - The URL of the page. Its host name is the site whose
+ * pinned keys verify the signatures it links to.
+ * @returns {Promise} Resolves once the page is registered.
+ */
+function registerPage(request, tab, page) {
+    pageRegistration = pageRegistration.then(function () {
+        return addPageData(request, tab, page);
+    }).catch(function (error) {
+        console.error("Could not register the page " + page + ":", error.message);
+    });
+    return pageRegistration;
+}
+
+/**
+ * Adds the links and checksums sent by a page to those already registered for
+ * it, if any, see registerPage.
+ *
+ * @param {Object} request - The "download" message sent by the content script.
+ * @param {number} tab - The id of the tab of the page.
+ * @param {string} page - The URL of the page.
+ */
+async function addPageData(request, tab, page) {
+    const site = new URL(page).hostname;
+    // The user switched the extension off for that site.
+    if (!isSiteEnabled(site, await getOptions())) {
+        return;
+    }
+    const isPrevious = link => !link.nextDownload && link.tab === tab && withoutHash(link.page) === withoutHash(page);
+    const previous = request.update ? (await getTracking()).pages.find(isPrevious) : undefined;
+
+    let pageData = {
+        request: request,
+        urls: request.urls,
+        checksum: request.checksum,
+        links: request.links || {},
+        files: {},
+        signatures: {},
+        page: page,
+        site: site,
+        tab: tab,
+        expiresAt: 0
+    };
+    let newUrls = request.urls;
+    if (previous) {
+        newUrls = request.urls.filter(url => !previous.urls.includes(url));
+        pageData = Object.assign({}, previous, {
+            urls: previous.urls.concat(newUrls),
+            checksum: mergeChecksums([previous.checksum, request.checksum], false),
+            links: Object.assign({}, previous.links)
+        });
+        for (let [url, checksum] of Object.entries(request.links || {})) {
+            pageData.links[url] = url in pageData.links ? mergeChecksums([pageData.links[url], checksum], true) : checksum;
+        }
+    }
+
+    // Detached signatures, by name of the file they sign.
+    for (let url of request.signatures || []) {
+        pageData.signatures[signedFilename(url)] = url;
+    }
+
+    const files = request.checksumFiles && request.checksumFiles.length !== 0 ?
+        await fetchChecksumFiles(request.checksumFiles, pageData.signatures, await getKeyring(site)) : {};
+    pageData.files = Object.assign({}, pageData.files, files);
+    // Tie the download links to the checksums listed for their file name: the
+    // new links to all the checksum files, the new checksum files to all the
+    // links.
+    for (let url of pageData.urls) {
+        const filename = filenameFromUrl(url);
+        const checksum = files[filename] || (newUrls.includes(url) ? pageData.files[filename] : undefined);
+        if (checksum) {
+            pageData.links[url] = url in pageData.links ? mergeChecksums([pageData.links[url], checksum], true) : checksum;
+        }
+    }
+    // The other downloads can still be compared against all of them.
+    if (Object.keys(files).length !== 0) {
+        pageData.checksum = mergeChecksums([pageData.checksum, ...Object.values(files)], false);
+    }
+    if (pageData.checksum.value.length === 0 && Object.keys(pageData.links).length === 0) {
+        return;
+    }
+
+    // Replace the previous registration of the page, if any, or that of the
+    // page before it was reloaded.
+    pageData.expiresAt = Date.now() + PAGE_EXPIRY;
+    await updateTracking(function (state) {
+        state.pages = state.pages.filter(link => !isPrevious(link));
+        state.pages.unshift(pageData);
+    });
+}
+
+/**
+ * Returns the keys of the user that verify the signatures of a site: the
+ * armored public keys of the OpenPGP keyring, and the minisign, signify and
+ * SSH keys pinned for the site or one of its parent domains.
+ *
+ * @param {string} site - The host name of the page linking to the signatures.
+ * @returns {Promise<{armoredKeys: string[], pinnedKeys: Object[]}>} The keys.
+ */
+async function getKeyring(site) {
+    const data = await chrome.storage.local.get(['keyring', 'pinnedKeys']);
+    return {
+        armoredKeys: (data.keyring || []).map(key => key.armoredKey),
+        pinnedKeys: (data.pinnedKeys || []).filter(key => siteMatches(site || '', key.site))
+    };
+}
+
+/******************************************************************************
+ * The toolbar popup lists the tracked downloads, see popup.js. Its badge shows
+ * the number of downloads that failed since the user last opened it, in red,
+ * and the number of downloads being tracked: "1·2" for one failed and two
+ * tracked. Its title spells both out.
+ ******************************************************************************/
+const BADGE_COLOR_PENDING = '#007bff';
+const BADGE_COLOR_FAILED = '#dc3545';
+const BADGE_SEPARATOR = '·';
+
+/**
+ * Shows the number of tracked and failed downloads on the toolbar button.
+ */
+async function updateBadge() {
+    const data = await chrome.storage.local.get(['downloads', 'history', 'failuresSeenAt']);
+    const pending = Object.keys(data.downloads || {}).length;
+    const failed = countUnseenFailures(data.history || [], data.failuresSeenAt || 0);
+    await chrome.action.setBadgeBackgroundColor({color: failed > 0 ? BADGE_COLOR_FAILED : BADGE_COLOR_PENDING});
+    await chrome.action.setBadgeText({text: [failed, pending].filter(count => count > 0).join(BADGE_SEPARATOR)});
+    await chrome.action.setTitle({title: chrome.i18n.getMessage("actionTitleCounts", [String(pending), String(failed)])});
+}
+
+chrome.storage.onChanged.addListener(function (changes, areaName) {
+    if (areaName === 'local' && ['downloads', 'history', 'failuresSeenAt'].some(key => key in changes)) {
+        updateBadge();
+    }
+});
+updateBadge();
+
+/******************************************************************************
+ * Desktop notifications of the verifications that end in a background tab, or
+ * after their tab was closed, if the user enabled them. Clicking one shows the
+ * tab, or the history.
+ ******************************************************************************/
+const NOTIFICATION_PREFIX = 'verification:';
+const HISTORY_PAGE = 'history/history.html';
+
+const NOTIFICATION_TITLES = {
+    [HISTORY_OUTCOME_PASS]: "notificationPass",
+    [HISTORY_OUTCOME_FAIL]: "notificationFail",
+    [HISTORY_OUTCOME_ERROR]: "notificationError"
+};
+
+/**
+ * Notifies the end of a verification, unless the tab of the download is the
+ * one the user is on: its popup already tells.
+ *
+ * @param {number} downloadId - The id of the download.
+ * @param {?number} tab - The id of the tab of the download, or null if it was
+ * closed.
+ * @param {string} filename - The name of the file.
+ * @param {string} outcome - One of the HISTORY_OUTCOME_* values.
+ */
+async function notifyVerification(downloadId, tab, filename, outcome) {
+    if (!(await getOptions()).notifications) {
+        return;
+    }
+    const [activeTab] = await chrome.tabs.query({active: true, lastFocusedWindow: true});
+    if (tab !== null && activeTab && activeTab.id === tab) {
+        return;
+    }
+    chrome.notifications.create(NOTIFICATION_PREFIX + downloadId + ':' + (tab === null ? '' : tab), {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+        title: chrome.i18n.getMessage(NOTIFICATION_TITLES[outcome]),
+        message: filename
+    });
+}
+
+chrome.notifications.onClicked.addListener(async function (notificationId) {
+    if (!notificationId.startsWith(NOTIFICATION_PREFIX)) {
+        return;
+    }
+    chrome.notifications.clear(notificationId);
+    const tab = parseInt(notificationId.split(':')[2]);
+    try {
+        if (!isNaN(tab)) {
+            const shown = await chrome.tabs.update(tab, {active: true});
+            await chrome.windows.update(shown.windowId, {focused: true});
+            return;
+        }
+    } catch (e) {
+        console.debug("Could not show the tab " + tab + ": " + e.toString());
+    }
+    chrome.tabs.create({url: chrome.runtime.getURL(HISTORY_PAGE)});
+});
+
+/******************************************************************************
+ * Context menu to verify the next download against a checksum selected by the
+ * user, for the pages whose checksums are not detected. The algorithm is
+ * inferred from the length of the checksum, or chosen in a submenu.
+ ******************************************************************************/
+const CONTEXT_MENU_PARENT = 'verification';
+const CONTEXT_MENU_VERIFY_NEXT = 'verifyNextDownload';
+const CONTEXT_MENU_VERIFY_NEXT_AS = 'verifyNextDownloadAs';
+
+chrome.runtime.onInstalled.addListener(function () {
+    chrome.contextMenus.removeAll(function () {
+        chrome.contextMenus.create({
+            id: CONTEXT_MENU_PARENT,
+            title: chrome.i18n.getMessage("openContextMenuTitle"),
+            contexts: ["selection"]
+        });
+        chrome.contextMenus.create({
+            id: CONTEXT_MENU_VERIFY_NEXT,
+            parentId: CONTEXT_MENU_PARENT,
+            title: chrome.i18n.getMessage("contextMenuVerifyNext"),
+            contexts: ["selection"]
+        });
+        chrome.contextMenus.create({
+            id: CONTEXT_MENU_VERIFY_NEXT_AS,
+            parentId: CONTEXT_MENU_PARENT,
+            title: chrome.i18n.getMessage("contextMenuVerifyNextAs"),
+            contexts: ["selection"]
+        });
+        for (let [type, algorithm] of Object.entries(CHECKSUM_ALGORITHMS)) {
+            chrome.contextMenus.create({
+                id: CONTEXT_MENU_VERIFY_NEXT_AS + ':' + type,
+                parentId: CONTEXT_MENU_VERIFY_NEXT_AS,
+                title: algorithm.name,
+                contexts: ["selection"]
+            });
+        }
+    });
+});
+
+chrome.contextMenus.onClicked.addListener(function (info, tab) {
+    if (info.menuItemId === CONTEXT_MENU_VERIFY_NEXT) {
+        registerSelectedChecksum(info.selectionText, null, tab);
+    } else if (String(info.menuItemId).startsWith(CONTEXT_MENU_VERIFY_NEXT_AS + ':')) {
+        registerSelectedChecksum(info.selectionText, String(info.menuItemId).split(':')[1], tab);
+    }
+});
+
+/**
+ * Registers a checksum selected by the user for the next download started
+ * from a tab. The content script of the tab confirms it, or tells the user
+ * that the selection is not a checksum.
+ *
+ * @param {string} selection - The selected text.
+ * @param {?string} type - The algorithm chosen by the user, or null to infer
+ * it from the length of the checksum.
+ * @param {chrome.tabs.Tab} tab - The tab of the page.
+ */
+function registerSelectedChecksum(selection, type, tab) {
+    // Checksums are often wrapped or spaced out in groups.
+    const normalized = normalizeChecksumValue((selection || '').replace(/\s/g, ''));
+    if (normalized === null || (type !== null && CHECKSUM_ALGORITHMS[type].size !== normalized.value.length) ||
+        (type !== null && normalized.type !== null && normalized.type !== type)) {
+        notifyTab(tab.id, {type: "invalidSelection"});
+        return;
+    }
+    type = type || normalized.type;
+
+    let namedTypes = new Set(type ? [type] : []);
+    // Without a common algorithm of that length, try them all.
+    if (inferChecksumTypes(normalized.value, namedTypes).length === 0) {
+        namedTypes = new Set(CHECKSUM_TYPES_BY_SIZE[normalized.value.length]);
+    }
+    const checksum = buildChecksum([normalized.value], namedTypes, true);
+    checksum.userSupplied = true;
+
+    const pageData = {
+        request: null,
+        urls: [],
+        // Only the next download started from the page is verified.
+        nextDownload: true,
+        page: tab.url,
+        checksum: checksum,
+        links: {},
+        files: {},
+        signatures: {},
+        site: new URL(tab.url).hostname,
+        tab: tab.id,
+        expiresAt: Date.now() + PAGE_EXPIRY
+    };
+    updateTracking(function (state) {
+        // Replace a checksum previously selected in the same tab.
+        state.pages = state.pages.filter(link => !(link.nextDownload && link.tab === tab.id));
+        state.pages.unshift(pageData);
+    }).then(function () {
+        notifyTab(tab.id, {type: "checksumSelected", checksum: checksum});
+    });
+}
+
 /******************************************************************************
  * Monitor downloads in order to share the user behaviour (try catch block)
  * Take care of launching checksum computation
  ******************************************************************************/
-//Stop download on create, verify if download is dangerous complete dictionnary of dangerous download
 chrome.downloads.onCreated.addListener(function (downloadItem) {
     console.debug("New download item:", downloadItem);
-    // Get the linkToMonitor and downloads arrays from local storage
-    chrome.storage.local.get(['linkToMonitor', 'downloads'], function(data) {
-        let links = data.linkToMonitor || [];
-        let downloads = data.downloads || {};
-        // For every link we are currently monitoring,
-        for (let link of links) {
-            // if that link matches the URL of the file being downloaded,
-            if (link.urls.includes(downloadItem.url) || link.urls.includes(downloadItem.finalUrl)) {
-                console.debug("Current state of downloads before addition:", downloads);
-                // store information about that download in the downloads array.
-                downloads[downloadItem.id] = {
-                    download: downloadItem.url,
-                    checksum: link.checksum,
-                    tab: link.tab,
-                    completed: false
-                };
-                // Store the updated downloads array back to local storage.
-                chrome.storage.local.set({downloads: downloads}, function() {
-                    console.debug("Updated state of downloads after addition:", downloads);
-                });
-                // Let the content script know that a download has started.
-                chrome.tabs.sendMessage(link.tab, {type: "downloading"});
-                break;
+    trackDownload(downloadItem, !!downloadItem.filename);
+});
+
+chrome.downloads.onChanged.addListener(function (download) {
+    // The name of the file is only known once the download has started: match
+    // again the downloads that could not be matched by their URL.
+    if (download.filename && download.filename.current) {
+        chrome.downloads.search({id: download.id}).then(function ([item]) {
+            if (item) {
+                trackDownload(item, true);
+            }
+        });
+    }
+    // If the download has completed, verify it, unless it is not tracked
+    // (i.e., wasn't triggered from a download link detected by the extension).
+    if (download.state && download.state.current === 'complete') {
+        startVerification(download.id).then(function (started) {
+            // The other downloads are only checked against the trusted
+            // manifests.
+            if (!started) {
+                verifyTrustedDownload(download.id);
             }
+        });
+    // Otherwise, if the download has been interrupted, stop tracking it.
+    } else if (download.state && download.state.current === 'interrupted') {
+        updateTracking(function (state) {
+            delete state.downloads[download.id];
+        });
+    }
+});
+
+/**
+ * Tracks a download started from one of the monitored pages, see
+ * matchDownload. Until the name of the file is known, only the closest
+ * matches are accepted; once it is, an ambiguous match is told to the tabs
+ * the download may come from, rather than verified against the wrong
+ * checksums.
+ *
+ * @param {chrome.downloads.DownloadItem} downloadItem - The download.
+ * @param {boolean} final - Whether the name of the file is known, and the
+ * download is not matched again.
+ */
+async function trackDownload(downloadItem, final) {
+    // The files released from quarantine are saved by the extension itself.
+    if (downloadItem.byExtensionId === chrome.runtime.id) {
+        return;
+    }
+    let activeTab = null;
+    try {
+        [activeTab] = await chrome.tabs.query({active: true, lastFocusedWindow: true});
+    } catch (e) {
+        console.debug("Could not find the active tab: " + e.toString());
+    }
+    const options = await getOptions();
+    const result = await updateTracking(function (state) {
+        if (downloadItem.id in state.downloads) {
+            return null;
+        }
+        const now = Date.now();
+        const match = matchDownload(downloadItem, state.pages.filter(page => page.expiresAt > now), activeTab, options);
+        if (match === null || (!final && match.level < MATCH_URL)) {
+            return null;
         }
+        if (match.page === null) {
+            return final ? match : null;
+        }
+        const page = match.page;
+        state.downloads[downloadItem.id] = {
+            download: downloadItem.url,
+            checksum: match.checksum,
+            files: page.nextDownload ? {} : page.files || {},
+            signatures: page.nextDownload ? {} : page.signatures || {},
+            page: page.page,
+            site: page.site,
+            tab: page.tab,
+            state: DOWNLOAD_STATE_DOWNLOADING,
+            startedAt: now,
+            level: match.level
+        };
+        // A selected checksum only applies to the next download of the page.
+        if (page.nextDownload) {
+            state.pages = state.pages.filter(other => other !== page);
+        }
+        return match;
     });
+    if (result === null) {
+        return;
+    }
+    if (result.page !== null) {
+        // Let the content script know that a download has started.
+        notifyTab(result.page.tab, {type: "downloading"});
+        // The download may have completed while it was being matched.
+        const [item] = await chrome.downloads.search({id: downloadItem.id});
+        if (item && item.state === 'complete') {
+            startVerification(downloadItem.id);
+        }
+        return;
+    }
+    const filename = downloadFilenames(downloadItem)[0] || downloadItem.url;
+    for (let tab of new Set(result.ambiguous.map(page => page.tab))) {
+        notifyTab(tab, {type: "ambiguousDownload", filename: filename});
+    }
+}
+
+/**
+ * Verifies a completed download, unless it is not tracked or already being
+ * verified.
+ *
+ * @param {number} downloadId - The id of the download.
+ * @returns {Promise<boolean>} Resolves to true if the verification started.
+ */
+async function startVerification(downloadId) {
+    const entry = await updateTracking(state => claimVerification(state, downloadId));
+    if (entry !== null) {
+        verifyDownload(downloadId, entry);
+    }
+    return entry !== null;
+}
+
+/**
+ * Returns the host names a download comes from, as the trusted manifests key
+ * the vendor domains: those of its URLs, and of its page.
+ *
+ * @param {string[]} urls - The URLs of the download, and of its page.
+ * @returns {string[]} The host names.
+ */
+function downloadHosts(urls) {
+    const hosts = new Set();
+    for (let url of urls.filter(url => url)) {
+        try {
+            hosts.add(new URL(url).hostname);
+        } catch (e) {
+            console.debug("Invalid URL " + url + ": " + e.toString());
+        }
+    }
+    hosts.delete('');
+    return [...hosts];
+}
+
+/**
+ * Verifies a completed download that was not started from a monitored page
+ * against the trusted manifests, if an entry applies to it.
+ *
+ * @param {number} downloadId - The id of the download.
+ */
+async function verifyTrustedDownload(downloadId) {
+    const [item] = await chrome.downloads.search({id: downloadId});
+    if (!item || !item.filename || item.byExtensionId === chrome.runtime.id) {
+        return;
+    }
+    const filename = item.filename.split(/[\\/]/).pop();
+    const hosts = downloadHosts([item.url, item.finalUrl, item.referrer]);
+    if (findTrustedChecksum(await getManifests(), filename, hosts) === null) {
+        return;
+    }
+    const entry = await updateTracking(function (state) {
+        if (downloadId in state.downloads) {
+            return null;
+        }
+        state.downloads[downloadId] = {
+            download: item.url,
+            checksum: buildChecksum([], new Set(), false),
+            files: {},
+            signatures: {},
+            page: item.referrer || null,
+            site: hosts[0],
+            tab: null,
+            state: DOWNLOAD_STATE_VERIFYING,
+            startedAt: Date.now()
+        };
+        return state.downloads[downloadId];
+    });
+    if (entry !== null) {
+        verifyDownload(downloadId, entry);
+    }
+}
+
+
+/******************************************************************************
+ * Quarantine of the monitored downloads, if the user enabled it: they are
+ * saved under a temporary name, so that they cannot be opened by mistake, and
+ * released under their real name once verified. The downloads API cannot
+ * rename a file: the page verifying it saves its content again under its real
+ * name, and the quarantined file is deleted. Files that do not match, or could
+ * not be verified, stay in quarantine.
+ ******************************************************************************/
+chrome.downloads.onDeterminingFilename.addListener(function (downloadItem, suggest) {
+    quarantineDownload(downloadItem).then(suggest, function (error) {
+        console.error("Could not quarantine the download:", error.message);
+        suggest();
+    });
+    // The name is suggested asynchronously.
+    return true;
 });
 
-chrome.downloads.onChanged.addListener(function (download) {
-    // Get the downloads array from local storage
-    chrome.storage.local.get(['downloads'], function(result) {
-        let downloads = result.downloads || {};
-        // If the download that triggered this function is not being tracked,
-        if (!(download.id in downloads)) {
-            // the download was not registered 
-            // (i.e., wasn't triggered from a download link detected by the extension)
-            return;
+/**
+ * Puts a monitored download in quarantine, if the user enabled it.
+ *
+ * @param {chrome.downloads.DownloadItem} downloadItem - The download, with the
+ * name the browser suggests.
+ * @returns {Promise<?chrome.downloads.FilenameSuggestion>} The temporary name
+ * of the download, or undefined to keep the suggested name.
+ */
+async function quarantineDownload(downloadItem) {
+    if (downloadItem.byExtensionId === chrome.runtime.id || !(await getOptions()).quarantine) {
+        return undefined;
+    }
+    await trackDownload(downloadItem, true);
+    const filename = downloadItem.filename.split(/[\\/]/).pop();
+    const tracked = await updateTracking(function (state) {
+        const entry = state.downloads[downloadItem.id];
+        // Downloads only tied to the page they were started from may not be
+        // the files its checksums are about.
+        if (!entry || entry.level === MATCH_PAGE) {
+            return null;
+        }
+        entry.quarantine = {filename: filename};
+        return entry;
+    });
+    if (tracked === null) {
+        return undefined;
+    }
+    notifyTab(tracked.tab, {type: "quarantine", status: "held", filename: filename});
+    return {filename: downloadItem.filename + QUARANTINE_SUFFIX, conflictAction: 'uniquify'};
+}
+
+/**
+ * Saves the content of a download released from quarantine under the name it
+ * gets back, as recorded when it was quarantined. Only a tracked download in
+ * quarantine, whose verification has started, is released, and only once,
+ * from the content held by a page of the extension, if its checksums match
+ * those it is verified against.
+ *
+ * @param {number} downloadId - The id of the download in quarantine.
+ * @param {string} url - The blob: URL of the verified content.
+ * @param {Object<string, string>} computed - The checksums of the content, by
+ * algorithm.
+ * @param {chrome.runtime.MessageSender} sender - The page holding the content.
+ * @returns {Promise<number>} Resolves to the id of the new download once the
+ * file is saved.
+ * @throws {Error} If the download cannot be released.
+ */
+async function releaseQuarantinedDownload(downloadId, url, computed, sender) {
+    if (!isExtensionPage(sender) || typeof url !== 'string' || !url.startsWith('blob:chrome-extension://')) {
+        throw new Error("The download " + downloadId + " can only be released by the extension");
+    }
+    const filename = await updateTracking(function (state) {
+        const entry = state.downloads[downloadId];
+        if (!entry || !entry.quarantine || entry.quarantine.claimed || !entry.verification ||
+            !checkVerification(entry.verification.checksum, computed).matched) {
+            return null;
+        }
+        entry.quarantine.claimed = true;
+        return entry.quarantine.filename;
+    });
+    if (filename === null) {
+        throw new Error("The download " + downloadId + " is not in quarantine, or does not match");
+    }
+    const savedId = await saveReleasedFile(url, filename);
+    await updateTracking(function (state) {
+        const entry = state.downloads[downloadId];
+        if (entry && entry.quarantine) {
+            entry.quarantine.released = true;
         }
-        let tab = downloads[download.id].tab;
-        // If the download has completed, send a message to the content script.
-        if (download.state && download.state.current === 'complete') {
-            chrome.tabs.sendMessage(tab, {
-                type: "downloadComplete", 
-                downloadId: download.id,
-                checksum: downloads[download.id].checksum
+    });
+    return savedId;
+}
+
+/**
+ * Saves the content of a file released from quarantine under its real name.
+ *
+ * @param {string} url - The blob: URL of the content, created by the page
+ * that verified it.
+ * @param {string} filename - The real name of the file.
+ * @returns {Promise<number>} Resolves to the id of the new download once the
+ * file is saved.
+ */
+function saveReleasedFile(url, filename) {
+    return new Promise((resolve, reject) => {
+        let downloadId = null;
+        const finish = function (item) {
+            chrome.downloads.onChanged.removeListener(listener);
+            if (item.state === 'complete') {
+                resolve(downloadId);
+            } else {
+                reject(new Error("Could not save " + filename + ": " + (item.error || "interrupted")));
+            }
+        };
+        const listener = function (delta) {
+            if (delta.id === downloadId && delta.state && delta.state.current !== 'in_progress') {
+                finish({state: delta.state.current, error: delta.error && delta.error.current});
+            }
+        };
+        chrome.downloads.onChanged.addListener(listener);
+        chrome.downloads.download({url: url, filename: filename, conflictAction: 'uniquify'}).then(async function (id) {
+            downloadId = id;
+            // Small files may be saved before their id is known.
+            const [item] = await chrome.downloads.search({id: id});
+            if (item && item.state !== 'in_progress') {
+                finish(item);
+            }
+        }).catch(function (error) {
+            chrome.downloads.onChanged.removeListener(listener);
+            reject(error);
+        });
+    });
+}
+
+/******************************************************************************
+ * Verification of completed downloads.
+ *
+ * The file is hashed by a worker of an offscreen document, which can read it
+ * from disk once the user has allowed access to file URLs. Otherwise, the
+ * content script asks the user to select the file.
+ ******************************************************************************/
+const OFFSCREEN_DOCUMENT = 'offscreen/offscreen.html';
+let creatingOffscreenDocument = null;
+
+/**
+ * Creates the offscreen document, unless it already exists.
+ */
+async function setupOffscreenDocument() {
+    const contexts = await chrome.runtime.getContexts({
+        contextTypes: ['OFFSCREEN_DOCUMENT'],
+        documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT)]
+    });
+    if (contexts.length > 0) {
+        return;
+    }
+    // Only one offscreen document can exist, wait if it is being created.
+    if (creatingOffscreenDocument === null) {
+        creatingOffscreenDocument = chrome.offscreen.createDocument({
+            url: OFFSCREEN_DOCUMENT,
+            reasons: ['BLOBS', 'WORKERS'],
+            justification: 'Compute the checksum of completed downloads in a worker.'
+        });
+    }
+    try {
+        await creatingOffscreenDocument;
+    } finally {
+        creatingOffscreenDocument = null;
+    }
+}
+
+/**
+ * Converts an absolute path, as given by chrome.downloads, to a file:// URL.
+ *
+ * @param {string} path - The absolute path of the file.
+ * @returns {string} The file:// URL of the file.
+ */
+function pathToFileUrl(path) {
+    // Windows paths use backslashes and start with a drive letter.
+    let normalized = path.replace(/\\/g, '/');
+    if (!normalized.startsWith('/')) {
+        normalized = '/' + normalized;
+    }
+    return 'file://' + encodeURI(normalized).replace(/#/g, '%23').replace(/\?/g, '%3F');
+}
+
+/**
+ * Finds what a completed download is verified against: the checksums of its
+ * page or checksum files, with the algorithms the user allows, those of the
+ * trusted manifests that apply to it, and its detached signature.
+ *
+ * @param {Object} entry - The entry of the download in the downloads map.
+ * @param {?chrome.downloads.DownloadItem} item - The download, if still known.
+ * @returns {Promise<{checksum: Object, signature: ?{url: string, keyring:
+ * Object}}>} The checksum data, with the trusted checksums under "trusted",
+ * and the signature to verify, if any.
+ */
+async function prepareVerification(entry, item) {
+    // Checksum files may list the file under the name it was saved with,
+    // or will get back once out of quarantine.
+    const filename = entry.quarantine ? entry.quarantine.filename :
+        item && item.filename ? item.filename.split(/[\\/]/).pop() : '';
+    let checksum = entry.checksum;
+    if (!checksum.associated && entry.files && filename in entry.files) {
+        checksum = entry.files[filename];
+    }
+    checksum = applyAlgorithmOptions(checksum, await getOptions());
+    // Known-good checksums of the file, from the trusted manifests.
+    const trusted = findTrustedChecksum(await getManifests(), filename,
+        downloadHosts([entry.download, item && item.finalUrl, entry.page]));
+    if (trusted !== null) {
+        checksum = Object.assign({}, checksum, {trusted: trusted});
+    }
+    // Detached signature of the file, if the page links to one.
+    let signature = null;
+    const signatures = entry.signatures || {};
+    const signatureUrl = signatures[filename] || signatures[filenameFromUrl(entry.download)];
+    if (signatureUrl) {
+        signature = {url: signatureUrl, keyring: await getKeyring(entry.site)};
+    }
+    return {checksum: checksum, signature: signature};
+}
+
+/**
+ * Verifies a completed download, without any action from the user if possible.
+ * What it is verified against is kept with the download, so that the result
+ * reported by the page verifying it is checked again, see finishVerification.
+ *
+ * @param {number} downloadId - The id of the completed download.
+ * @param {Object} entry - The entry of the download in the downloads map.
+ */
+async function verifyDownload(downloadId, entry) {
+    let verification = {checksum: entry.checksum, signature: null};
+    try {
+        const [item] = await chrome.downloads.search({id: downloadId});
+        verification = await prepareVerification(entry, item || null);
+
+        const allowed = await chrome.extension.isAllowedFileSchemeAccess();
+        if (allowed && item && item.filename) {
+            const tracked = await updateTracking(function (state) {
+                const current = state.downloads[downloadId];
+                if (current) {
+                    current.verification = verification;
+                }
+                return !!current;
             });
-        // Otherwise, if the download has been interrupted,
-        } else if (download.state && download.state.current === 'interrupted') {
-            // Delete the entry from the downloads array.
-            delete downloads[download.id];
-            // Store the updated download array back to local storage.
-            chrome.storage.local.set({downloads: downloads});
+            if (!tracked) {
+                return;
+            }
+            await setupOffscreenDocument();
+            chrome.runtime.sendMessage({
+                type: "verify",
+                target: "offscreen",
+                downloadId: downloadId,
+                tab: entry.tab,
+                fileUrl: pathToFileUrl(item.filename),
+                checksum: verification.checksum,
+                signature: verification.signature,
+                quarantine: entry.quarantine || null
+            });
+            return;
+        }
+    } catch (e) {
+        console.debug("Could not verify the download automatically: " + e.toString());
+    }
+    // Fall back to asking the user to select the file, if the tab is still
+    // open. The file is verified by a frame the page could post to as well:
+    // only the content script gets the token that lets the frame verify the
+    // download, once.
+    const token = crypto.randomUUID();
+    const tab = await updateTracking(function (state) {
+        const current = state.downloads[downloadId];
+        if (!current || current.tab === null) {
+            delete state.downloads[downloadId];
+            return null;
+        }
+        current.state = DOWNLOAD_STATE_AWAITING_FILE;
+        current.verification = verification;
+        current.token = token;
+        return current.tab;
+    });
+    notifyTab(tab, {
+        type: "downloadComplete",
+        downloadId: downloadId,
+        token: token
+    });
+}
+
+/**
+ * Exchanges the token of a download awaiting the file selected by the user
+ * for what the file is verified against. A token is only valid once.
+ *
+ * @param {string} token - The token sent to the tab with downloadComplete.
+ * @param {chrome.runtime.MessageSender} sender - The hashing frame.
+ * @returns {Promise<{downloadId: number, checksum: Object, signature: ?Object,
+ * quarantine: boolean}>} The id of the download, the checksum data and the
+ * signature to verify it against, and whether it is in quarantine.
+ * @throws {Error} If the token is not that of a download awaiting its file.
+ */
+async function redeemVerificationToken(token, sender) {
+    if (!isExtensionPage(sender) || typeof token !== 'string') {
+        throw new Error("Invalid verification token");
+    }
+    const redeemed = await updateTracking(function (state) {
+        for (let [id, entry] of Object.entries(state.downloads)) {
+            if (entry.token === token && entry.state === DOWNLOAD_STATE_AWAITING_FILE) {
+                delete entry.token;
+                return {downloadId: parseInt(id), entry: entry};
+            }
         }
+        return null;
+    });
+    if (redeemed === null) {
+        throw new Error("Invalid verification token");
+    }
+    return {
+        downloadId: redeemed.downloadId,
+        checksum: redeemed.entry.verification.checksum,
+        signature: redeemed.entry.verification.signature,
+        quarantine: !!redeemed.entry.quarantine
+    };
+}
+
+/**
+ * Compares the checksums computed by the page verifying a download against
+ * those it is verified against. The trusted manifests of the user prevail over
+ * the page.
+ *
+ * @param {Object} checksum - The checksum data, see prepareVerification.
+ * @param {Object<string, string>} computed - The computed checksums, by
+ * algorithm.
+ * @returns {{valid: boolean, algorithm: ?string, trusted: ?{valid: boolean,
+ * algorithm: ?string}, matched: boolean}} The result against the page, see
+ * matchChecksums, that against the trusted manifests, if any apply, and
+ * whether the file matches.
+ */
+function checkVerification(checksum, computed) {
+    const result = matchChecksums(checksum, computed);
+    const trusted = checksum.trusted ? matchChecksums(checksum.trusted, computed) : null;
+    return Object.assign(result, {trusted: trusted, matched: trusted ? trusted.valid : result.valid});
+}
+
+/******************************************************************************
+ * Cleanup of the tracked pages and downloads: when their tab is closed or
+ * leaves the page, when they expire, and when the service worker starts again,
+ * which also verifies the downloads that completed while it was stopped.
+ ******************************************************************************/
+const TRACKING_SWEEP_ALARM = 'sweepTracking';
+const TRACKING_SWEEP_PERIOD = 15; // minutes
+
+chrome.tabs.onRemoved.addListener(function (tabId) {
+    updateTracking(state => forgetTab(state, tabId));
+});
+
+chrome.tabs.onUpdated.addListener(function (tabId, changeInfo) {
+    if (changeInfo.url) {
+        updateTracking(state => leavePages(state, tabId, changeInfo.url, Date.now()));
+    }
+});
+
+chrome.alarms.onAlarm.addListener(function (alarm) {
+    if (alarm.name === TRACKING_SWEEP_ALARM) {
+        cleanUpTracking();
+    }
+});
+
+/**
+ * Drops the expired pages and downloads, and verifies the completed downloads
+ * whose verification was missed or lost, see sweepTracking.
+ */
+async function cleanUpTracking() {
+    const tracked = await getTracking();
+    const items = {};
+    for (let id of Object.keys(tracked.downloads)) {
+        const [item] = await chrome.downloads.search({id: parseInt(id)});
+        items[id] = item || null;
+    }
+    const contexts = await chrome.runtime.getContexts({
+        contextTypes: ['OFFSCREEN_DOCUMENT'],
+        documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT)]
     });
-});
\ No newline at end of file
+    const tabs = await chrome.tabs.query({});
+    const toVerify = await updateTracking(state => sweepTracking(state, {
+        now: Date.now(),
+        tabs: new Set(tabs.map(tab => tab.id)),
+        items: items,
+        offscreen: contexts.length > 0
+    }));
+    for (let {id, entry} of toVerify) {
+        verifyDownload(parseInt(id), entry);
+    }
+}
+
+chrome.alarms.get(TRACKING_SWEEP_ALARM, function (alarm) {
+    if (!alarm) {
+        chrome.alarms.create(TRACKING_SWEEP_ALARM, {periodInMinutes: TRACKING_SWEEP_PERIOD});
+    }
+});
+cleanUpTracking();
+
+// Apply new retention limits to the records already kept.
+chrome.storage.onChanged.addListener(function (changes, areaName) {
+    if (areaName === 'local' && 'historyRetention' in changes) {
+        updateHistory(history => history);
+    }
+});
+
+/**
+ * Stops tracking a download once its verification is over, records the result
+ * in the history, and tells it to its tab. The result is that of the
+ * checksums computed by the page verifying the file, compared again against
+ * what the download is verified against, see checkVerification.
+ *
+ * @param {Object} message - The verificationComplete or verificationFailed
+ * message.
+ */
+async function finishVerification(message) {
+    const entry = await updateTracking(function (state) {
+        const entry = state.downloads[message.downloadId];
+        delete state.downloads[message.downloadId];
+        return entry;
+    });
+    if (!entry) {
+        return;
+    }
+    const checksum = entry.verification ? entry.verification.checksum : entry.checksum;
+    const computed = message.type === "verificationComplete" && message.computed ? message.computed : {};
+    if (message.type === "verificationComplete") {
+        const result = checkVerification(checksum, computed);
+        message = Object.assign({}, message, {
+            valid: result.valid,
+            algorithm: result.algorithm,
+            computed: computed,
+            checksum: checksum,
+            trusted: result.trusted
+        });
+    }
+    let savedFilename = filenameFromUrl(entry.download);
+    try {
+        const [item] = await chrome.downloads.search({id: message.downloadId});
+        if (item && item.filename) {
+            savedFilename = item.filename.split(/[\\/]/).pop();
+        }
+    } catch (e) {
+        console.debug("Could not find the download " + message.downloadId + ": " + e.toString());
+    }
+    const filename = entry.quarantine ? entry.quarantine.filename : savedFilename;
+    const signature = message.signature || checksum.signature || null;
+    const outcome = historyOutcome(message, signature);
+    // The record is there before the tab is told: the user may keep a file
+    // that does not match as soon as the result is shown, see keepDownload.
+    await addHistoryRecord({
+        source: HISTORY_SOURCE_DOWNLOAD,
+        downloadId: message.downloadId,
+        filename: filename,
+        downloadUrl: entry.download,
+        pageUrl: entry.page || null,
+        tab: entry.tab,
+        algorithm: message.algorithm || null,
+        expected: checksum.value.concat(checksum.trusted ? checksum.trusted.value : []),
+        computed: computed,
+        outcome: outcome,
+        signature: signature && {
+            format: signature.format,
+            status: signature.status,
+            signer: signature.signer,
+            fingerprint: signature.fingerprint
+        },
+        userSupplied: !!entry.checksum.userSupplied,
+        trusted: message.trusted ? message.trusted.valid : null,
+        duration: Math.round(message.duration || 0)
+    });
+    notifyTab(entry.tab, message);
+
+    // Files that could not be compared against any checksum are kept, as are
+    // those only tied to the page they were started from.
+    if (outcome === HISTORY_OUTCOME_FAIL && Object.keys(computed).length !== 0 && entry.level !== MATCH_PAGE &&
+        (await getOptions()).deleteOnMismatch) {
+        deleteDownload(message.downloadId, entry.tab);
+    } else if (entry.quarantine) {
+        releaseDownload(message, outcome, entry, savedFilename);
+    }
+    await notifyVerification(message.downloadId, entry.tab, filename, outcome);
+}
+
+/**
+ * Deletes a downloaded file, and lets the tab it was downloaded from know.
+ *
+ * @param {number} downloadId - The id of the download.
+ * @param {?number} tab - The id of the tab, or null if it was closed.
+ */
+function deleteDownload(downloadId, tab) {
+    chrome.downloads.removeFile(downloadId);
+    // Update popup warning
+    notifyTab(tab, {type: "deleted"});
+}
+
+/**
+ * Downloads again a file that did not match, in place of the file, and
+ * verifies it again once downloaded.
+ *
+ * @param {number} downloadId - The id of the download that did not match.
+ * @param {Object} checksum - The checksum data it was verified against.
+ * @param {chrome.tabs.Tab} tab - The tab of the page it was downloaded from.
+ */
+async function redownload(downloadId, checksum, tab) {
+    try {
+        const [item] = await chrome.downloads.search({id: downloadId});
+        if (!item) {
+            throw new Error("The download " + downloadId + " was erased");
+        }
+        let filename = item.filename ? item.filename.split(/[\\/]/).pop() : filenameFromUrl(item.url);
+        if (filename.endsWith(QUARANTINE_SUFFIX)) {
+            filename = filename.slice(0, -QUARANTINE_SUFFIX.length);
+        }
+        if (item.exists) {
+            await chrome.downloads.removeFile(downloadId);
+        }
+
+        // The downloads of the extension are not matched against the pages,
+        // nor quarantined as they are determined: track it from the start.
+        const quarantine = (await getOptions()).quarantine;
+        const newId = await chrome.downloads.download({
+            url: item.url,
+            filename: quarantine ? filename + QUARANTINE_SUFFIX : filename,
+            conflictAction: 'uniquify'
+        });
+        await updateTracking(function (state) {
+            state.downloads[newId] = {
+                download: item.url,
+                checksum: checksum,
+                files: {},
+                signatures: {},
+                page: tab.url,
+                site: new URL(tab.url).hostname,
+                tab: tab.id,
+                state: DOWNLOAD_STATE_DOWNLOADING,
+                startedAt: Date.now()
+            };
+            if (quarantine) {
+                state.downloads[newId].quarantine = {filename: filename};
+            }
+        });
+        notifyTab(tab.id, {type: "downloading"});
+        const [current] = await chrome.downloads.search({id: newId});
+        if (current && current.state === 'complete') {
+            startVerification(newId);
+        }
+    } catch (error) {
+        console.error("Could not download the file again:", error.message);
+        notifyTab(tab.id, {type: "error", message: error.message});
+    }
+}
+
+/**
+ * Deletes a download in quarantine once its content is saved under its real
+ * name, or leaves it in quarantine, and tells the tab it was downloaded from.
+ *
+ * @param {Object} message - The verificationComplete or verificationFailed
+ * message.
+ * @param {string} outcome - The outcome of the verification, one of the
+ * HISTORY_OUTCOME_* values.
+ * @param {Object} entry - The entry of the download in the registry.
+ * @param {string} quarantinedFilename - The temporary name of the file.
+ */
+function releaseDownload(message, outcome, entry, quarantinedFilename) {
+    let status;
+    if (outcome === HISTORY_OUTCOME_PASS && entry.quarantine.released) {
+        chrome.downloads.removeFile(message.downloadId).catch(function (error) {
+            console.debug("Could not delete the quarantined file: " + error.message);
+        });
+        status = "released";
+    } else if (outcome === HISTORY_OUTCOME_FAIL) {
+        status = "kept";
+    } else {
+        // The verification failed, or the file could not be saved.
+        status = "error";
+    }
+    notifyTab(entry.tab, {
+        type: "quarantine",
+        status: status,
+        filename: status === "released" ? entry.quarantine.filename : quarantinedFilename
+    });
+}
+
+/**
+ * Returns the outcome of a verification, as recorded in the history.
+ *
+ * @param {Object} message - The verificationComplete or verificationFailed
+ * message.
+ * @param {?Object} signature - The signature result of the file or of its
+ * checksums, if any.
+ * @returns {string} One of the HISTORY_OUTCOME_* values.
+ */
+function historyOutcome(message, signature) {
+    if (message.type === "verificationFailed") {
+        return HISTORY_OUTCOME_ERROR;
+    }
+    const badSignature = signature !== null && signature.status === SIGNATURE_INVALID;
+    // The trusted manifests of the user prevail over the page.
+    const valid = message.trusted ? message.trusted.valid : message.valid;
+    return valid && !badSignature ? HISTORY_OUTCOME_PASS : HISTORY_OUTCOME_FAIL;
+}
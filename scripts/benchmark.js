@@ -0,0 +1,112 @@
+/*******************************************************************************
+ * Hashing benchmark.
+ *
+ * Hashes a generated test file with the hashing worker used by the extension
+ * and with the CryptoJS implementation it replaced, on the main thread.
+ ******************************************************************************/
+
+const BENCHMARK_CHUNK_SIZE = 1024 * 1024; // 1MB, as in the CryptoJS implementation
+
+const CRYPTOJS_ALGORITHMS = {
+    md5: CryptoJS.algo.MD5,
+    sha1: CryptoJS.algo.SHA1,
+    sha256: CryptoJS.algo.SHA256,
+    sha384: CryptoJS.algo.SHA384,
+    sha512: CryptoJS.algo.SHA512
+};
+
+/**
+ * Generates a test file by repeating a block of random bytes.
+ *
+ * @param {number} size - The size of the file, in MB.
+ * @returns {Blob} The test file.
+ */
+function generateTestFile(size) {
+    const block = new Uint8Array(BENCHMARK_CHUNK_SIZE);
+    // getRandomValues fills at most 64KB at a time.
+    for (let i = 0; i < block.length; i += 65536) {
+        crypto.getRandomValues(block.subarray(i, i + 65536));
+    }
+    return new Blob(new Array(size).fill(block));
+}
+
+/**
+ * Computes the checksum of a file with CryptoJS, the way the content script
+ * used to: every chunk is repacked into a word array and the intermediate
+ * checksum is computed after every chunk.
+ *
+ * @param {Blob} file - The file to hash.
+ * @param {string} algorithm - The name of the algorithm.
+ * @returns {Promise<string>} The hexadecimal checksum.
+ */
+async function computeHashCryptoJS(file, algorithm) {
+    const workingHash = CRYPTOJS_ALGORITHMS[algorithm].create();
+    for (let chunkStart = 0; chunkStart < file.size; chunkStart += BENCHMARK_CHUNK_SIZE) {
+        const chunkEnd = Math.min(chunkStart + BENCHMARK_CHUNK_SIZE, file.size);
+        const arrayBuffer = await file.slice(chunkStart, chunkEnd).arrayBuffer();
+        const uint8Array = new Uint8Array(arrayBuffer);
+        const wordsCount = Math.ceil(arrayBuffer.byteLength / 4);
+        let words = [];
+        for (let i = 0; i < wordsCount; i++) {
+            words[i] = (
+                (uint8Array[i * 4] << 24) |
+                (uint8Array[i * 4 + 1] << 16) |
+                (uint8Array[i * 4 + 2] << 8) |
+                (uint8Array[i * 4 + 3])
+            ) >>> 0;
+        }
+        workingHash.update(CryptoJS.lib.WordArray.create(words, arrayBuffer.byteLength));
+        workingHash.clone().finalize();
+    }
+    return workingHash.finalize().toString(CryptoJS.enc.Hex);
+}
+
+/**
+ * Times a hashing implementation and appends the result to the table.
+ *
+ * @param {string} name - The name of the implementation.
+ * @param {Blob} file - The file to hash.
+ * @param {function(Blob): Promise<string>} hash - The implementation.
+ * @returns {Promise<string>} The checksum computed by the implementation.
+ */
+async function measure(name, file, hash) {
+    const start = performance.now();
+    const checksum = await hash(file);
+    const duration = performance.now() - start;
+
+    const row = document.createElement("tr");
+    for (let value of [name, duration.toFixed(0), (file.size / BENCHMARK_CHUNK_SIZE / (duration / 1000)).toFixed(1), checksum]) {
+        const cell = document.createElement("td");
+        cell.textContent = value;
+        row.appendChild(cell);
+    }
+    document.getElementById("results").appendChild(row);
+    return checksum;
+}
+
+document.getElementById("benchmark").addEventListener("submit", async function (event) {
+    event.preventDefault();
+    const status = document.getElementById("status");
+    const run = document.getElementById("run");
+    const size = parseInt(document.getElementById("size").value);
+    const algorithm = document.getElementById("algorithm").value;
+
+    run.disabled = true;
+    try {
+        status.textContent = "Generating a " + size + " MB test file...";
+        const file = generateTestFile(size);
+
+        status.textContent = "Hashing with the worker...";
+        const workerChecksum = await measure("Worker (hash-wasm)", file, async f => (await computeHashes(f, [algorithm]))[algorithm]);
+        status.textContent = "Hashing with CryptoJS...";
+        const cryptoJSChecksum = await measure("CryptoJS (main thread)", file, f => computeHashCryptoJS(f, algorithm));
+
+        status.textContent = workerChecksum === cryptoJSChecksum ?
+            "Done, both implementations computed the same checksum." :
+            "Done, but the implementations computed different checksums!";
+    } catch (error) {
+        status.textContent = "Error: " + error.message;
+    } finally {
+        run.disabled = false;
+    }
+});
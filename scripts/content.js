@@ -1,17 +1,17 @@
-const REGEXP_CHECKSUM_VALUE = /(?:[a-f0-9]{32,}|[A-F0-9]{32,})/g;
-const CHECKSUM_VALUE_SIZE = [32, 40, 56, 64, 96, 128];
-const REGEXP_CHECKSUM_ALGO = /((sha|SHA)(\s*-?\s*)(1|256|2|384|512)|((md|MD)5))/g;
-const DANGEROUS_EXTENSIONS = ["dmg", "exe", "msi", "pkg", "iso", "zip", "tar.xz", "tar.gz", "tar.bz2", "tar", "deb", "rpm"];
 
-const CHECKSUM_TYPE_MD5 = 'md5';
-const CHECKSUM_TYPE_SHA1 = 'sha1';
-const CHECKSUM_TYPE_SHA256 = 'sha256';
-const CHECKSUM_TYPE_SHA384 = 'sha384';
-const CHECKSUM_TYPE_SHA512 = 'sha512';
-
-const MSG_HIDE = '<span id="msg_hide" style="width: 100%; float: right;"><i class="fas fa-times" style="color: rgb(95, 99, 105);"></i></span>';
-
-const CHUNK_SIZE = 1024 * 1024; // 1MB
+const HASHER_FRAME = 'offscreen/frame.html';
+/* How long the content of a page must stay unchanged before it is inspected again, in milliseconds. */
+const RESCAN_DELAY = 500;
+const RESCAN_MAX_DELAY = 5000;
+/* The notices of the downloads in quarantine, by status. */
+const QUARANTINE_MESSAGES = {
+    held: "popupQuarantineHeld",
+    released: "popupQuarantineReleased",
+    kept: "popupQuarantineKept",
+    error: "popupQuarantineError"
+};
+/* How often the progress of a verification is announced to screen readers, in percent. */
+const ANNOUNCED_PROGRESS_STEP = 25;
 
 function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
@@ -20,142 +20,151 @@ function sleep(ms) {
 /*******************************************************************************
  * Page Inspection
  *
- * The functions below inspects a page for download links and accompanying 
- * checksum values and algorithms.
+ * The functions below send the download links of a page and their checksums,
+ * as detected by detection.js, to the service worker.
  ******************************************************************************/
 
 /**
- * Recursively extracts text matching a given regex pattern from the provided
- * DOM element and its children.
- * 
- * @param {Node} elem - The DOM element to start the recursive search.
- * @param {RegExp} pattern - The regex pattern to match against the element's 
- * text.
- * @param {boolean} [root=false] - Flag indicating if the current element is the
- * root of the recursion.
- * @returns {Set<string>} A set of unique strings matching the regex pattern.
+ * Keeps the part of checksum data made of some of its values.
+ *
+ * @param {Object} checksum - The checksum data, as built by buildChecksum.
+ * @param {string[]} values - The values to keep.
+ * @returns {Object} The checksum data of those values.
  */
-function extractPattern(elem, pattern, root = false) {
-    try {
-        let checksumValues = new Set();
-        if (elem.children.length === 0 || root) {
-            if (elem.nodeName !== "SCRIPT" &&
-                elem.nodeName !== "STYLE" &&
-                elem.nodeName !== "NOSCRIPT"
-            ) {
-                while ((r = pattern.exec(elem.innerText)) !== null) {
-                    checksumValues.add(r[0].toLowerCase().replace('-', ''));
-                }
-            }
-        }
-        for (child of elem.children) {
-            for (c of extractPattern(child, pattern)) {
-                checksumValues.add(c);
-            }
-        }
-        return checksumValues;
-    } catch (e) {
-        console.debug("Error in reading inner text of element. \n" +
-            "Error: " + e.toString());
-        return new Set()
-
+function pickChecksums(checksum, values) {
+    const candidates = {};
+    for (let value of values) {
+        candidates[value] = checksum.candidates[value];
     }
+    return {
+        type: [...new Set(Object.values(candidates).flat())],
+        value: values,
+        candidates: candidates,
+        associated: checksum.associated
+    };
 }
 
+/* The links and checksums of the page already sent to the service worker. */
+let sentFindings = null;
+/* The URL of the page they were found on, without its fragment. */
+let inspectedUrl = null;
+/* Where on the page each checksum value was found, see elementLocation. */
+let checksumLocations = new Map();
+
 /**
- * Checks if a string contains a mix of letters and numbers.
- * 
- * @param {string} elem - The string to evaluate.
- * @returns {boolean} True if the string contains both letters and numbers; 
- * otherwise, false.
+ * Inspects the current web page for download links and checksum information,
+ * see inspectDocument. If checksums are found, or links to checksum files, it
+ * sends this data to the service worker for further processing.
+ *
+ * The page is inspected again as its content changes: only the links and
+ * checksums not sent yet are then sent, as an update of the page. A new URL,
+ * as single-page applications push, is a new page.
+ *
+ * @param {Object} options - The options of the extension.
  */
-function hasMix(elem) {
-    const letters = /([a-f]|[A-F])/;
-    const numbers = /([0-9])/;
-    return letters.test(elem) && numbers.test(elem);
+function inspectPageAndSendInfo(options) {
+    if (location.href.split('#')[0] !== inspectedUrl) {
+        inspectedUrl = location.href.split('#')[0];
+        sentFindings = null;
+    }
+
+    // The popup of the extension is not part of the page.
+    const inspection = inspectDocument(document.body, options, mask_);
+    checksumLocations = inspection.locations;
+    if (inspection.findings !== null) {
+        sendFindings(inspection.findings);
+    }
 }
 
 /**
- * Filters a set of strings to include only those that are valid checksums.
- * A valid checksum is defined as a string of a certain length that contains a 
- * mix of letters and numbers.
- * 
- * @param {Set<string>} set - The set of strings to filter.
- * @returns {Set<string>} A new set containing only strings that are valid 
- * checksums.
+ * Sends the findings of an inspection of the page that were not sent yet to
+ * the service worker, which fetches the checksum files.
+ *
+ * @param {{urls: string[], checksum: Object, links: Object<string, Object>,
+ * checksumFiles: string[], signatures: string[]}} findings - The download
+ * URLs, the checksums of the page and of each link, and the URLs of the
+ * checksum files and signatures.
  */
-function filter(set) {
-    const checksumValues = new Set();
-    for (let elem of set) {
-        if (CHECKSUM_VALUE_SIZE.includes(elem.length)) {
-            if (hasMix(elem)) {
-                checksumValues.add(elem)
-            }
+function sendFindings(findings) {
+    const update = sentFindings !== null;
+    if (!update) {
+        sentFindings = {urls: new Set(), values: new Set(), links: {}, checksumFiles: new Set(), signatures: new Set()};
+    }
+    const isNew = sent => item => !sent.has(item);
+
+    const links = {};
+    for (let [url, checksum] of Object.entries(findings.links)) {
+        const values = checksum.value.filter(isNew(sentFindings.links[url] || new Set()));
+        if (values.length !== 0) {
+            links[url] = pickChecksums(checksum, values);
         }
     }
-    return checksumValues
-}
+    const message = {
+        type: "download",
+        update: update,
+        urls: findings.urls.filter(isNew(sentFindings.urls)),
+        checksum: pickChecksums(findings.checksum, findings.checksum.value.filter(isNew(sentFindings.values))),
+        links: links,
+        checksumFiles: findings.checksumFiles.filter(isNew(sentFindings.checksumFiles)),
+        signatures: findings.signatures.filter(isNew(sentFindings.signatures))
+    };
+    if (update && message.urls.length === 0 && message.checksum.value.length === 0 &&
+        Object.keys(links).length === 0 && message.checksumFiles.length === 0 && message.signatures.length === 0) {
+        return;
+    }
 
-/**
- * Determines if a URL leading to a download could be dangerous based on its 
- * value.
- * 
- * @param {string} url - The URL to check.
- * @returns {boolean} True if the URL might lead to a dangerous download; 
- * otherwise, false.
- */
-function isExtensionDangerous(url) {
-    // First, check if the URL ends with a dangerous extension
-    const hasDangerousExtension = DANGEROUS_EXTENSIONS.some(ext => url.endsWith('.' + ext));
-    if (hasDangerousExtension) return true;
-
-    // Check if the URL is known to initiate a download based on specific query parameters or patterns
-    const knownDownloadPatterns = [/download/];
-    return knownDownloadPatterns.some(pattern => pattern.test(url));
+    message.urls.forEach(url => sentFindings.urls.add(url));
+    message.checksum.value.forEach(value => sentFindings.values.add(value));
+    for (let [url, checksum] of Object.entries(links)) {
+        sentFindings.links[url] = new Set([...(sentFindings.links[url] || []), ...checksum.value]);
+    }
+    message.checksumFiles.forEach(url => sentFindings.checksumFiles.add(url));
+    message.signatures.forEach(url => sentFindings.signatures.add(url));
+    chrome.runtime.sendMessage(message);
 }
 
-
 /**
- * Inspects the current web page for download links and checksum information.
- * If checksums are found, it sends this data to the service worker for further 
- * processing.
+ * Inspects the page once its scripts had time to render it, then again, after
+ * a pause, whenever its content or its URL changes. Nothing is done on the
+ * sites the user switched the extension off for.
  */
-async function inspectPageAndSendInfo() {
-    // Wait for site JS to load all content.
-    await sleep(200);
-
-    // Detect checksum values in the page.
-    const checksumValues = filter(extractPattern(document.body, REGEXP_CHECKSUM_VALUE, true));
-    // Detect checksum algorithms in the page.
-    const checksumAlgos = extractPattern(document.body, REGEXP_CHECKSUM_ALGO, true);
-
-    // If there are any checksum values,
-    if (checksumValues.size !== 0) {
-        let urls = [];
-        // Store the URL of the download.
-        document.querySelectorAll("a").forEach(function (link) {
-            if (link.hasAttribute("href") && isExtensionDangerous(link.href)) {
-                urls.push(link.href);
-            }
-        });
-        // If there are any download URLs,
-        if (urls.length !== 0) {
-            const checksum = {
-                type: [...checksumAlgos],
-                value: [...checksumValues],
-            };
-            // Pass this data to the service worker.
-            chrome.runtime.sendMessage({
-                type: "download",
-                urls: urls,
-                checksum: checksum,
-            });
-        }
+async function watchPage() {
+    const options = await getOptions();
+    if (!isSiteEnabled(location.hostname, options)) {
+        return;
     }
+    // Wait for site JS to load all content.
+    await sleep(options.scanDelay);
+    inspectPageAndSendInfo(options);
+
+    // Pages that never stop changing are still inspected now and then.
+    let timer = null;
+    let firstChange = null;
+    const scheduleInspection = function () {
+        firstChange = firstChange || Date.now();
+        clearTimeout(timer);
+        timer = setTimeout(function () {
+            firstChange = null;
+            inspectPageAndSendInfo(options);
+        }, Math.max(0, Math.min(RESCAN_DELAY, firstChange + RESCAN_MAX_DELAY - Date.now())));
+    };
+    // Content revealed by tabs or expanders only shows in the text of the page
+    // once no longer hidden, hence the attributes. The text is read whatever
+    // the styles, so the classes and styles, which pages change all the time,
+    // are not watched.
+    new MutationObserver(scheduleInspection).observe(document.body, {
+        childList: true,
+        subtree: true,
+        characterData: true,
+        attributes: true,
+        attributeFilter: ["href", "integrity", "hidden", "open"]
+    });
+    window.addEventListener("popstate", scheduleInspection);
+    window.addEventListener("hashchange", scheduleInspection);
 }
 
-// Invokes the inspectPageAndSendInfo function to start the inspection process.
-inspectPageAndSendInfo();
+// Starts the inspection process.
+watchPage();
 
 
 /*******************************************************************************
@@ -179,59 +188,49 @@ fetch(chrome.runtime.getURL('css/fontawesome-all.css'), {method: 'GET'}).then(re
 
 shadow.appendChild(style);
 
+/* The popup is a modal dialog, labelled by its title and described by its status. */
 let popup = document.createElement("div");
 popup.id = 'popup';
+popup.setAttribute("role", "dialog");
+popup.setAttribute("aria-modal", "true");
+popup.setAttribute("aria-labelledby", "popupTitle");
+popup.setAttribute("aria-describedby", "status");
+popup.addEventListener("keydown", handlePopupKeys);
 
 /* The top of the popup, with the logos and exit button. */
 let popup_head = document.createElement("div");
-popup_head.style.width = "100%";
-popup_head.style.height = "20px";
-
-let unil_logo = document.createElement("img");
-const unil_logo_size = "24px";
-unil_logo.classList.add("rounded");
-unil_logo.alt = "Unil logo";
-unil_logo.style.cssFloat = "left";
-unil_logo.src = chrome.runtime.getURL('icons/unil-favicon.ico');
-unil_logo.style.height = unil_logo_size;
-unil_logo.style.width = unil_logo_size;
-unil_logo.style.marginRight = '3px';
-
-let uh_logo = document.createElement("img");
-const uh_logo_size = "24px";
-uh_logo.classList.add("rounded");
-uh_logo.alt = "Unil logo";
-uh_logo.style.cssFloat = "left";
-uh_logo.src = chrome.runtime.getURL('icons/uh-logo.png');
-uh_logo.style.height = uh_logo_size;
-uh_logo.style.width = uh_logo_size;
-uh_logo.style.marginRight = '3px';
-
-let acv_logo = document.createElement("img");
-const acv_logo_size = "32px";
-acv_logo.classList.add("rounded");
-acv_logo.alt = "ACV logo";
-acv_logo.style.cssFloat = "left";
-acv_logo.src = chrome.runtime.getURL('icons/acv-logo.png');
-acv_logo.style.height = acv_logo_size;
-acv_logo.style.width = acv_logo_size;
-
-let hide_link = document.createElement("a");
-hide_link.style.cssFloat = "right";
-hide_link.id = 'hide';
-hide_link.href = '#';
-hide_link.innerHTML = MSG_HIDE;
-hide_link.onclick = makeHideFunction(mask);
-
-popup_head.appendChild(unil_logo)
-popup_head.appendChild(uh_logo);
-popup_head.appendChild(acv_logo);
-popup_head.appendChild(hide_link);
+popup_head.className = 'popup-head';
+
+for (let [image, message, size] of [
+    ['icons/unil-favicon.ico', "popupLogoUnil", 24],
+    ['icons/uh-logo.png', "popupLogoUh", 24],
+    ['icons/acv-logo.png', "popupLogoAcv", 32]
+]) {
+    let logo = document.createElement("img");
+    logo.className = 'rounded logo';
+    logo.alt = chrome.i18n.getMessage(message);
+    logo.src = chrome.runtime.getURL(image);
+    logo.style.height = size + 'px';
+    logo.style.width = size + 'px';
+    popup_head.appendChild(logo);
+}
+
+let closeButton = document.createElement("button");
+closeButton.type = 'button';
+closeButton.id = 'hide';
+closeButton.className = 'close-button';
+closeButton.title = chrome.i18n.getMessage("popupClose");
+closeButton.setAttribute("aria-label", closeButton.title);
+closeButton.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i>';
+closeButton.onclick = hidePopup;
+
+popup_head.appendChild(closeButton);
 
 popup.appendChild(popup_head);
 
 /* The title of the popup. */
 let title = document.createElement("div");
+title.id = 'popupTitle';
 title.className = 'title';
 title.innerHTML = chrome.i18n.getMessage("contentPopupTitle");
 
@@ -240,13 +239,32 @@ popup.appendChild(title);
 /* The content of the popup. */
 let content = document.createElement("div");
 content.className = 'content';
-content.innerHTML = '<p id="details"><p><p id="status">' +
+content.innerHTML = '<p id="details"></p><p id="status">' +
     chrome.i18n.getMessage("contentPopupStatus") +
     '<img src="' + chrome.runtime.getURL("icons/icon16.png") +
-     '" alt="Icon of the plugin"></p>';
+     '" alt="' + chrome.i18n.getMessage("popupIcon") + '"></p>';
+
+/* Whether the download is in quarantine: the last news of it replaces the previous one. */
+let quarantineNotice = document.createElement("div");
+quarantineNotice.id = 'quarantine';
+content.appendChild(quarantineNotice);
 
 popup.appendChild(content);
 
+/**
+ * The live region.
+ *
+ * Screen readers announce the progress of the verification and its result
+ * from it; it is not shown.
+ */
+let announcer = document.createElement("div");
+announcer.className = 'sr-only';
+announcer.setAttribute("role", "status");
+announcer.setAttribute("aria-live", "polite");
+announcer.setAttribute("aria-atomic", "true");
+
+popup.appendChild(announcer);
+
 /**
  * The file upload button. 
  * 
@@ -255,10 +273,7 @@ popup.appendChild(content);
  * step.
  */
 let buttonWrapper = document.createElement("div");
-buttonWrapper.style.display = 'flex';
-buttonWrapper.style.flexDirection = 'column';
-buttonWrapper.style.alignItems = 'center';
-buttonWrapper.style.justifyContent = 'center';
+buttonWrapper.className = 'button-wrapper';
 
 let fileInput = document.createElement("input");
 fileInput.type = "file";
@@ -266,13 +281,28 @@ fileInput.id = "fileUpload";
 fileInput.style.display = "none";
 
 let uploadButton = document.createElement("button");
-uploadButton.innerHTML = "Select File";
+uploadButton.type = "button";
+uploadButton.className = "btn btn-primary mt-2";
+uploadButton.textContent = chrome.i18n.getMessage("popupSelectFile");
 uploadButton.style.display = "none";
-uploadButton.style.marginTop = "10px";
 uploadButton.onclick = function() {
     fileInput.click();
 };
 
+/* The token the service worker gave for the last completed download, which
+ * the file the user selects is verified with, see verifyFile. It is only
+ * good once. */
+let pendingToken = null;
+
+fileInput.onchange = function() {
+    if (this.files.length > 0 && pendingToken !== null) {
+        verifyFile(this.files[0], pendingToken);
+        pendingToken = null;
+    }
+    // The same file can be selected again for the next download.
+    this.value = '';
+};
+
 buttonWrapper.appendChild(fileInput);
 buttonWrapper.appendChild(uploadButton);
 
@@ -286,40 +316,72 @@ content.appendChild(buttonWrapper);
  * processsing progress.
  */
 let verificationContainer = document.createElement("div");
+verificationContainer.className = 'verification';
 verificationContainer.style.display = "none";
-verificationContainer.style.marginTop = "10px";
 
 let goalHash = document.createElement("div");
-goalHash.style.fontFamily = "monospace";
-goalHash.style.textAlign = 'center';
-goalHash.style.fontSize = '110%';
+goalHash.className = 'hashes';
 
 let calculatedHash = document.createElement("div");
-calculatedHash.style.fontFamily = "monospace";
-calculatedHash.style.textAlign = 'center';
-calculatedHash.style.fontSize = '110%';
+calculatedHash.className = 'hashes';
 
 /* The loading bar. */
 let loadingBarContainer = document.createElement("div");
 loadingBarContainer.id = 'loadingBarContainer';
-loadingBarContainer.style.width = '100%';
-loadingBarContainer.style.backgroundColor = '#ddd';
-loadingBarContainer.style.marginTop = "10px";
 
 let loadingBar = document.createElement("div");
 loadingBar.id = 'loadingBar';
-loadingBar.style.width = '0%';
-loadingBar.style.height = '30px';
-loadingBar.style.backgroundColor = '#4CAF50';
+loadingBar.setAttribute("role", "progressbar");
+loadingBar.setAttribute("aria-label", chrome.i18n.getMessage("popupProgress"));
+loadingBar.setAttribute("aria-valuemin", "0");
+loadingBar.setAttribute("aria-valuemax", "100");
 
 loadingBarContainer.appendChild(loadingBar);
 
+/**
+ * The mismatch panel.
+ *
+ * This is visible once the file does not match. It shows the characters that
+ * differ between the expected and computed checksums, and lets the user delete
+ * the file, download it again to verify it again, or keep it.
+ */
+let mismatchPanel = document.createElement("div");
+mismatchPanel.className = 'mismatch';
+mismatchPanel.style.display = "none";
+
+let mismatchDiff = document.createElement("div");
+mismatchDiff.className = 'hashes text-left';
+
+let mismatchActions = document.createElement("div");
+mismatchActions.className = "text-center mt-2";
+
+let deleteButton = createActionButton("popupMismatchDelete", "btn-danger");
+let redownloadButton = createActionButton("popupMismatchRedownload", "btn-primary");
+let keepButton = createActionButton("popupMismatchKeep", "btn-outline-secondary");
+mismatchActions.append(deleteButton, redownloadButton, keepButton);
+
+mismatchPanel.appendChild(mismatchDiff);
+mismatchPanel.appendChild(mismatchActions);
+
 verificationContainer.appendChild(goalHash);
 verificationContainer.appendChild(calculatedHash);
 verificationContainer.appendChild(loadingBarContainer);
+verificationContainer.appendChild(mismatchPanel);
 
 content.appendChild(verificationContainer);
 
+/* The hidden frame hashing the file selected by the user, if any. */
+let hasherFrame = null;
+
+/* The checksums computed so far, by algorithm, and the algorithms done. */
+let computedHashes = {};
+let finishedHashes = new Set();
+
+/* The element of the page that had the focus before the popup was shown. */
+let focusBeforePopup = null;
+/* The last progress announced, in steps of ANNOUNCED_PROGRESS_STEP percent. */
+let announcedProgress = 0;
+
 mask.appendChild(popup);
 
 shadow.appendChild(mask);
@@ -334,22 +396,105 @@ try {
  * UI helper functions.
  ******************************************************************************/
 
-/* Makes an element visible. */
-function makeVisible(elem) {
-    if (window.getComputedStyle(elem).display === 'none') {
-        elem.style.display = 'initial';
+/* Creates a button of the mismatch panel. */
+function createActionButton(message, className) {
+    let button = document.createElement("button");
+    button.type = "button";
+    button.className = "btn btn-sm m-1 " + className;
+    button.textContent = chrome.i18n.getMessage(message);
+    return button;
+}
+
+/* The elements of the popup that take the focus with the Tab key. */
+const FOCUSABLE = 'button, [href], input:not([type=file]), select, textarea, [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Shows the popup, and moves the focus into it unless it was shown already.
+ */
+function showPopup() {
+    if (mask.style.display === 'block') {
+        return;
     }
-    if (elem.parentElement !== null) {
-        makeVisible(elem.parentElement);
+    mask.style.display = 'block';
+    focusBeforePopup = document.activeElement;
+    closeButton.focus();
+}
+
+/**
+ * Hides the popup, and gives the focus back to the element of the page that
+ * had it.
+ *
+ * @returns {boolean} False, for the click not to follow a link.
+ */
+function hidePopup() {
+    mask.style.display = 'none';
+    if (focusBeforePopup !== null && typeof focusBeforePopup.focus === 'function') {
+        focusBeforePopup.focus();
     }
+    focusBeforePopup = null;
+    return false;
 }
 
-/* Creates a function that hides an element. */
-function makeHideFunction(e) {
-    return function () {
-        e.style.display = 'none';
-        return false;
+/**
+ * Closes the popup with the Escape key, and keeps the focus in the popup
+ * while it is shown: Tab from its last control goes to its first one, and
+ * Shift+Tab from its first control to its last one.
+ *
+ * @param {KeyboardEvent} event - The key pressed.
+ */
+function handlePopupKeys(event) {
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        hidePopup();
+        return;
+    }
+    if (event.key !== 'Tab') {
+        return;
+    }
+    const focusable = [...popup.querySelectorAll(FOCUSABLE)].filter(elem => !elem.disabled && elem.offsetParent !== null);
+    if (focusable.length === 0) {
+        event.preventDefault();
+        return;
     }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey && shadow.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && (shadow.activeElement === last || !popup.contains(shadow.activeElement))) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+/**
+ * Has screen readers announce a message, see announcer.
+ *
+ * @param {string} html - The message, in HTML: only its text is announced.
+ */
+function announce(html) {
+    const elem = document.createElement('div');
+    elem.innerHTML = html;
+    announcer.textContent = elem.textContent.trim();
+}
+
+/**
+ * Tells whether a checksum matches with an icon and a text besides its
+ * color.
+ *
+ * @param {HTMLElement} elem - The element showing the checksum.
+ * @param {boolean} matches - Whether it matches.
+ */
+function markIndicator(elem, matches) {
+    elem.classList.remove('indicator-match', 'indicator-mismatch');
+    elem.classList.add(matches ? 'indicator-match' : 'indicator-mismatch');
+    const icon = document.createElement('i');
+    icon.className = (matches ? 'fas fa-check-circle' : 'fas fa-times-circle') + ' mr-1';
+    icon.setAttribute("aria-hidden", "true");
+    const text = document.createElement('span');
+    text.className = 'sr-only';
+    text.textContent = chrome.i18n.getMessage(matches ? "popupIndicatorMatch" : "popupIndicatorMismatch") + ' ';
+    elem.prepend(icon, text);
 }
 
 // Send request to background to delete downloaded file
@@ -365,7 +510,6 @@ function deleteFile(id) {
  * Performs actions based on messages from the background processs.
  ******************************************************************************/
 chrome.runtime.onMessage.addListener(function (message) {
-    let mask = shadow.getElementById('mask');
     let status = shadow.getElementById('status');
 
     switch (message.type) {
@@ -374,7 +518,34 @@ chrome.runtime.onMessage.addListener(function (message) {
             // Style the popup accordingly.
             title.innerHTML = chrome.i18n.getMessage("popupTitle");
             status.innerHTML = chrome.i18n.getMessage("popupDetails") + chrome.i18n.getMessage("popupStatusDownloading");
-            mask.style.display = 'block';
+            mismatchPanel.style.display = 'none';
+            showPopup();
+            break;
+        // A download may come from several links or pages with different
+        // checksums: it is not verified.
+        case "ambiguousDownload":
+            title.innerHTML = chrome.i18n.getMessage("popupTitle");
+            status.innerHTML = chrome.i18n.getMessage("popupStatusAmbiguous", escapeHtml(message.filename));
+            verificationContainer.style.display = 'none';
+            showPopup();
+            break;
+        // The user has selected a checksum to verify the next download against.
+        case "checksumSelected":
+            title.innerHTML = chrome.i18n.getMessage("popupTitleChecksumSelected");
+            status.innerHTML = chrome.i18n.getMessage("popupStatusChecksumSelected",
+                message.checksum.type.map(checksumTypeName).join(', '));
+            verificationContainer.style.display = 'block';
+            loadingBarContainer.style.display = "none";
+            goalHash.textContent = message.checksum.value[0];
+            calculatedHash.innerHTML = '';
+            showPopup();
+            break;
+        // The text selected by the user is not a checksum.
+        case "invalidSelection":
+            title.innerHTML = chrome.i18n.getMessage("popupTitleChecksumSelected");
+            status.innerHTML = chrome.i18n.getMessage("popupStatusInvalidSelection");
+            verificationContainer.style.display = 'none';
+            showPopup();
             break;
         // A download has completed.
         case "downloadComplete":
@@ -382,20 +553,52 @@ chrome.runtime.onMessage.addListener(function (message) {
             title.innerHTML = chrome.i18n.getMessage("popupTitle");
             status.innerHTML = chrome.i18n.getMessage("popupStatusUploadPrompt");
             uploadButton.style.display = "block";
-            mask.style.display = 'block';
+            showPopup();
 
             // Start verification once the file has been selected.
-            fileInput.addEventListener("change", handleFileChange = function() {
-                if (this.files.length > 0) {
-                    verifyFile(this.files[0], message.checksum, message.downloadId); 
-                }
-            });
-            break;  
+            pendingToken = message.token;
+            break;
+        // The extension has started verifying the downloaded file by itself.
+        case "verificationStarted":
+            showVerifying(message.checksum);
+            break;
+        // The checksum computation has progressed.
+        case "verificationProgress":
+            updateLoadingBar(message.percentage);
+            Object.assign(computedHashes, message.hashes);
+            showComputedHashes();
+            break;
+        // The checksum of one of the algorithms has been computed.
+        case "verificationDigest":
+            updateLoadingBar(100);
+            computedHashes[message.algorithm] = message.hash;
+            finishedHashes.add(message.algorithm);
+            showComputedHashes();
+            break;
+        // The checksum computation has ended.
+        case "verificationComplete":
+            removeHasherFrame();
+            showResult(message.valid, message.algorithm, message.checksum, message.computed, message.downloadId,
+                message.signature || message.checksum.signature || null, message.trusted || null);
+            break;
+        // The downloaded file could not be verified.
+        case "verificationFailed":
+            removeHasherFrame();
+            console.debug("Error: " + message.message);
+            showError();
+            break;
         // A file has been deleted.
         case "deleted":
             // Style the popup accordingly.
             status.innerHTML = chrome.i18n.getMessage("popupStatusDeleted");
-            mask.style.display = 'block';
+            showPopup();
+            break;
+        // The download is held under a temporary name until it is verified,
+        // or has been released from quarantine, or stays in it.
+        case "quarantine":
+            quarantineNotice.innerHTML = chrome.i18n.getMessage(QUARANTINE_MESSAGES[message.status],
+                escapeHtml(message.filename));
+            showPopup();
             break;
         // An error has occurred in the background script.
         case "error":
@@ -412,201 +615,334 @@ chrome.runtime.onMessage.addListener(function (message) {
 
 /******************************************************************************
  * Verify a file by calculating its checksum.
+ * Used when the extension cannot read the download itself and the user has
+ * selected the file. The file is handed over to a hidden extension frame,
+ * which hashes it in a worker and reports back through the service worker.
+ * The token of the download tells the frame what to verify the file against.
+ ******************************************************************************/
+function verifyFile(file, token) {
+    removeHasherFrame();
+    const frameUrl = chrome.runtime.getURL(HASHER_FRAME);
+    hasherFrame = document.createElement("iframe");
+    hasherFrame.style.display = "none";
+    hasherFrame.onload = function () {
+        hasherFrame.contentWindow.postMessage({
+            type: "verify",
+            file: file,
+            token: token
+        }, new URL(frameUrl).origin);
+    };
+    hasherFrame.src = frameUrl;
+    shadow.appendChild(hasherFrame);
+}
+
+/* Removes the hashing frame once the verification is over. */
+function removeHasherFrame() {
+    if (hasherFrame !== null) {
+        hasherFrame.remove();
+        hasherFrame = null;
+    }
+}
+
+/******************************************************************************
+ * Apply the "computing" style to the popup.
  ******************************************************************************/
-async function verifyFile(file, checksum, downloadId) {
-    let mask = shadow.getElementById('mask');
+function showVerifying(checksum) {
     let status = shadow.getElementById('status');
 
-    // Implement the "computing" style.
     uploadButton.style.display = 'none';
     verificationContainer.style.display = 'block';
-    goalHash.innerHTML = checksum.value.join('<br>');
+    loadingBarContainer.style.display = "block";
+    mismatchPanel.style.display = 'none';
+    updateLoadingBar(0);
+    computedHashes = {};
+    finishedHashes = new Set();
+    calculatedHash.innerHTML = '';
+    goalHash.textContent = '';
+    for (let value of checksum.value) {
+        const checksumElem = document.createElement('div');
+        checksumElem.textContent = value;
+        goalHash.appendChild(checksumElem);
+    }
     title.innerHTML = chrome.i18n.getMessage("popupTitleVerifying");
-    status.innerHTML = chrome.i18n.getMessage("popupDetailsVerifying") + chrome.i18n.getMessage("popupStatusComputing");
-    mask.style.display = 'block';
+    status.innerHTML = chrome.i18n.getMessage("popupDetailsVerifying") + chrome.i18n.getMessage("popupStatusComputing") +
+        checksumSourceNotice(checksum);
+    announcedProgress = 0;
+    announce(title.innerHTML);
+    showPopup();
+}
 
-    try {
-        // Check if CryptoJS is loaded
-        if (typeof CryptoJS === 'undefined') {
-            throw new Error("CryptoJS is required and was not found.");
-        }
+/******************************************************************************
+ * Tell where the checksums the file is compared against come from: warn that
+ * they could not be tied to the downloaded file, and that it is compared
+ * against all the checksums of the page, or that the user selected them.
+ ******************************************************************************/
+function checksumSourceNotice(checksum) {
+    if (checksum.userSupplied) {
+        return chrome.i18n.getMessage("popupStatusUserSupplied");
+    }
+    return checksum.associated ? '' : chrome.i18n.getMessage("popupStatusPageWide");
+}
 
-         // Store the checksum data as local variables.
-        const checksum_types = checksum.type;
-        const checksum_value_actual = new Set(checksum.value);
-        const checksum_value_computed = new Set();
-
-        let valid;
-
-        let checksum_result;
-        // For all types of checksum algorithms detected on the page,
-        for (let checksum_type of checksum_types) {
-            // calculate those checksums according to that algorithm on the given file.
-            let workingHash;
-            loadingBar.style.width = '0%';
-            switch (checksum_type.toLowerCase().replace('-', '').replace(' ', '')) {
-                case CHECKSUM_TYPE_MD5:
-                    workingHash = CryptoJS.algo.MD5.create();
-                    performance.mark("start");
-                    checksum_result = await computeHash(file, workingHash);
-                    performance.mark("end");
-                    console.log("Time taken to check " +  file.size + " byte file: " + performance.measure("md5hashtime", "start", "end").duration + " milliseconds. (md5)");
-                    break;
-                case CHECKSUM_TYPE_SHA1:
-                    workingHash = CryptoJS.algo.SHA1.create();
-                    performance.mark("start");
-                    checksum_result = await computeHash(file, workingHash);
-                    performance.mark("end");
-                    console.log("Time taken to check " +  file.size + " byte file: " + performance.measure("sha1hashtime", "start", "end").duration + " milliseconds. (sha1)");
-                    break;
-                case CHECKSUM_TYPE_SHA256:
-                    workingHash = CryptoJS.algo.SHA256.create();
-                    performance.mark("start");
-                    checksum_result = await computeHash(file, workingHash);
-                    performance.mark("end");
-                    console.log("Time taken to check " +  file.size + " byte file: " + performance.measure("sha256hashtime", "start", "end").duration + " milliseconds. (sha256)");
-                    break;
-                case CHECKSUM_TYPE_SHA384:
-                    workingHash = CryptoJS.algo.SHA384.create();
-                    performance.mark("start");
-                    checksum_result = await computeHash(file, workingHash);
-                    performance.mark("end");
-                    console.log("Time taken to check " +  file.size + " byte file: " + performance.measure("sha384hashtime", "start", "end").duration + " milliseconds. (sha384)");
-                    break;
-                case CHECKSUM_TYPE_SHA512:
-                    workingHash = CryptoJS.algo.SHA512.create();
-                    performance.mark("start");
-                    checksum_result = await computeHash(file, workingHash);
-                    performance.mark("end");
-                    console.log("Time taken to check " +  file.size + " byte file: " + performance.measure("sha512hashtime", "start", "end").duration + " milliseconds. (sha512)");
-                    break;
-                default:
-                    console.debug("An error has occured while computing the checksum: Unknown checksum type '" + checksum_type + "'");
-                    continue;
-            }
-            // Store the computed checksum
-            checksum_value_computed.add(checksum_result);
-
-            // The checksums are valid if the given and computed checksums match.
-            // Stop calculating checksums on the first match.
-            valid = new Set([...checksum_value_computed].filter(x => checksum_value_actual.has(x))).size > 0;
-            if(valid){
-                break;
-            }
-        }
+/******************************************************************************
+ * Tell where on the page the checksum the file matches was found, if it was
+ * found on the page rather than in a checksum file or selected by the user.
+ ******************************************************************************/
+function locationNotice(checksum, value) {
+    if (value === null || checksum.userSupplied || !checksumLocations.has(value)) {
+        return '';
+    }
+    return chrome.i18n.getMessage("popupStatusFoundAt", escapeHtml(checksumLocations.get(value)));
+}
 
-        // If they are valid,
-        if (valid) {
-            // Apply the "safe" styling to the popup.
-            title.innerHTML = chrome.i18n.getMessage("contentPopupTitleSafe");
-            status.innerHTML = chrome.i18n.getMessage("popupStatusValid");
-            // Clear the existing content of goalHash
-            goalHash.innerHTML = '';
-
-            // Then, for each checksum provided on the page, create an element
-            // and style it depending on whether it matches a computed checksum
-            checksum.value.forEach((checksumValue) => {
-                // create a new div for each checksum
-                const checksumElem = document.createElement('div');
-                // set the text content to the checksum value
-                checksumElem.textContent = checksumValue; 
-
-                // If the computed checksums contain this value, add styling to indicate a match
-                if (checksum_value_computed.has(checksumValue.toLowerCase().replace('-', ''))) {
-                    checksumElem.style.color = 'green';
-                }
-
-                // Append the checksum element to the goalHash container
-                goalHash.appendChild(checksumElem);
-            });
-            calculatedHash.style.color = 'green';
-        // Otherwise,
+/******************************************************************************
+ * Apply the "safe" or "unsafe" style to the popup once the checksums of the
+ * file have been computed.
+ ******************************************************************************/
+function showResult(valid, algorithm, checksum, computed, downloadId, signature = null, trusted = null) {
+    let status = shadow.getElementById('status');
+    // A signature that does not match makes the file unsafe, whatever its checksum.
+    const badSignature = signature !== null && signature.status === SIGNATURE_INVALID;
+    const signatureStatus = signature !== null ? signature.status : null;
+    // The trusted manifests of the user prevail over the page.
+    const matches = trusted !== null ? trusted.valid : valid;
+
+    loadingBarContainer.style.display = "none";
+    // If they are valid,
+    if (matches && !badSignature) {
+        // Apply the "safe" styling to the popup, the "signed" one if a
+        // trusted key signed the file or its checksums, or warn if the key
+        // that signed them is unknown.
+        if (signatureStatus === SIGNATURE_TRUSTED) {
+            title.innerHTML = chrome.i18n.getMessage("contentPopupTitleSigned");
+        } else if (signatureStatus === SIGNATURE_UNKNOWN_KEY) {
+            title.innerHTML = chrome.i18n.getMessage("contentPopupTitleUnknownKey");
         } else {
-            // Apply the "unsafe" styling to the popup.
-            title.innerHTML = chrome.i18n.getMessage("contentPopupTitleUnsafe");
-            status.innerHTML = chrome.i18n.getMessage("popupStatusInvalid");
-            calculatedHash.style.color = 'red';
-
-            // If the user wants to delete the file,
-            shadow.getElementById("delete").onclick = function () {
-                // delete the file.
-                deleteFile(downloadId);
-            };
+            title.innerHTML = chrome.i18n.getMessage("contentPopupTitleSafe");
+        }
+        status.innerHTML = (valid ? chrome.i18n.getMessage("popupStatusValid") +
+            chrome.i18n.getMessage("popupStatusMatchedAlgorithm", checksumTypeName(algorithm)) : '') +
+            trustedNotice(trusted, valid, checksum) +
+            signatureNotice(signature) +
+            checksumSourceNotice(checksum) +
+            locationNotice(checksum, valid ? computed[algorithm] : null);
+        if (!valid) {
+            algorithm = trusted.algorithm;
         }
-    } catch (error) {
-        // Handle other errors
-        console.error("An error occurred:", error.message);
-        title.innerHTML = "Error";
-        status.innerHTML = "An unexpected error occurred.";
-        mask.style.display = 'block';
-    } finally {
-        // Regardless of success or error, remove the download from local storage
-        chrome.storage.local.get(['downloads'], function(result) {
-            let downloads = result.downloads || {};
-            if (downloadId in downloads) {
-                delete downloads[downloadId];
-                chrome.storage.local.set({downloads: downloads});
+        // Clear the existing content of goalHash
+        goalHash.innerHTML = '';
+
+        // Then, for each checksum provided on the page, create an element
+        // and style it depending on whether it matches a computed checksum
+        checksum.value.forEach((checksumValue) => {
+            // create a new div for each checksum
+            const checksumElem = document.createElement('div');
+            // set the text content to the checksum value
+            checksumElem.textContent = checksumValue; 
+
+            // If the computed checksums contain this value, indicate a match
+            if (computed[algorithm] === checksumValue) {
+                markIndicator(checksumElem, true);
+            }
+            if (checksumLocations.has(checksumValue)) {
+                checksumElem.title = checksumLocations.get(checksumValue);
             }
+
+            // Append the checksum element to the goalHash container
+            goalHash.appendChild(checksumElem);
         });
+        computedHashes = {[algorithm]: computed[algorithm]};
+        finishedHashes = new Set([algorithm]);
+        showComputedHashes();
+        [...calculatedHash.children].forEach(hashElem => markIndicator(hashElem, true));
+    // Otherwise,
+    } else {
+        // Apply the "unsafe" styling to the popup, telling apart the files
+        // whose checksum matches but whose signature does not.
+        title.innerHTML = matches ?
+            chrome.i18n.getMessage("contentPopupTitleSignatureMismatch") :
+            chrome.i18n.getMessage("contentPopupTitleUnsafe");
+        if (matches) {
+            status.innerHTML = chrome.i18n.getMessage("popupStatusSignatureMismatch") + signatureNotice(signature);
+        } else {
+            status.innerHTML = (valid ? '' : chrome.i18n.getMessage("popupStatusInvalid")) +
+                trustedNotice(trusted, valid, checksum) + signatureNotice(signature) + checksumSourceNotice(checksum);
+        }
+        computedHashes = computed;
+        finishedHashes = new Set(Object.keys(computed));
+        showComputedHashes();
+        [...calculatedHash.children].forEach(hashElem => markIndicator(hashElem, false));
+        showMismatch(matches ? {} : computed, checksum, downloadId);
     }
+    announce(title.innerHTML);
 }
 
 /******************************************************************************
- * Compute the checksum of a portion of a file and update the working hash with
- * the result.
+ * Tell whether the file matches the trusted manifests of the user, apart from
+ * the checksums of the page.
  ******************************************************************************/
-async function processChunk(chunk, workingHash) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = function(e) {
-            const arrayBuffer = e.target.result;
-            const uint8Array = new Uint8Array(arrayBuffer);
-            const wordsCount = Math.ceil(arrayBuffer.byteLength / 4);
-            let words = [];
-            for (let i = 0; i < wordsCount; i++) {
-                words[i] = (
-                    (uint8Array[i * 4] << 24) |
-                    (uint8Array[i * 4 + 1] << 16) |
-                    (uint8Array[i * 4 + 2] << 8) |
-                    (uint8Array[i * 4 + 3])
-                ) >>> 0;
-            }
-            const wordArray = CryptoJS.lib.WordArray.create(words, arrayBuffer.byteLength);
-            workingHash.update(wordArray);
-            const incrementalHash = workingHash.clone().finalize().toString(CryptoJS.enc.Hex);
-            calculatedHash.innerText = incrementalHash;
-            resolve();
-        };
-        reader.onerror = reject;
-        reader.readAsArrayBuffer(chunk);
-    });
+function trustedNotice(trusted, valid, checksum) {
+    if (trusted === null) {
+        return '';
+    }
+    if (trusted.valid) {
+        return chrome.i18n.getMessage("popupTrustedMatch", checksumTypeName(trusted.algorithm)) +
+            (checksum.value.length !== 0 && !valid ? chrome.i18n.getMessage("popupTrustedPageMismatch") : '');
+    }
+    return chrome.i18n.getMessage(valid ? "popupTrustedMismatchPage" : "popupTrustedMismatch");
 }
 
 /******************************************************************************
- * Compute the checksum of a file given a particular hashing algorithm.
+ * Show the mismatch panel: the expected and computed checksums, with the
+ * characters that differ highlighted, and the actions on the file.
  ******************************************************************************/
-async function computeHash(file, workingHash) {
-    let chunkStart = 0;
-    let chunkEnd;
-    loadingBarContainer.style.display = "block";
-    while (chunkStart < file.size) {
-        chunkEnd = Math.min(chunkStart + CHUNK_SIZE, file.size);
-        updateLoadingBar(chunkEnd, file.size);
-        const chunk = file.slice(chunkStart, chunkEnd);
-        await processChunk(chunk, workingHash);
-        chunkStart += CHUNK_SIZE;
+function showMismatch(computed, checksum, downloadId) {
+    mismatchDiff.textContent = '';
+    const compared = checksum.trusted ? mergeChecksums([checksum, checksum.trusted], true) : checksum;
+    for (let [algorithm, hash] of Object.entries(computed)) {
+        const expected = closestChecksum(compared, algorithm, hash);
+        if (expected === null) {
+            continue;
+        }
+        const name = document.createElement("div");
+        name.className = "small font-weight-bold mt-1";
+        name.textContent = checksumTypeName(algorithm);
+        mismatchDiff.append(name,
+            diffLine("popupMismatchExpected", expected, hash),
+            diffLine("popupMismatchComputed", hash, expected));
+    }
+
+    deleteButton.onclick = function () {
+        deleteFile(downloadId);
+        mismatchPanel.style.display = 'none';
+    };
+    redownloadButton.onclick = function () {
+        chrome.runtime.sendMessage({type: "redownload", id: downloadId, checksum: checksum});
+        mismatchPanel.style.display = 'none';
+    };
+    keepButton.onclick = function () {
+        chrome.runtime.sendMessage({type: "keepDownload", id: downloadId});
+        mismatchPanel.style.display = 'none';
+        shadow.getElementById('status').innerHTML += chrome.i18n.getMessage("popupMismatchKept");
+    };
+    mismatchPanel.style.display = 'block';
+}
+
+/**
+ * Finds the expected checksum closest to a computed one: of the same
+ * algorithm, and with the fewest differing characters.
+ *
+ * @param {Object} checksum - The checksum data the file was verified against.
+ * @param {string} algorithm - The algorithm of the computed checksum.
+ * @param {string} hash - The computed checksum.
+ * @returns {?string} The expected checksum, or null if none is of that
+ * algorithm.
+ */
+function closestChecksum(checksum, algorithm, hash) {
+    const candidates = checksum.value.filter(value => value.length === hash.length &&
+        (!checksum.candidates || !checksum.candidates[value] || checksum.candidates[value].includes(algorithm)));
+    const distance = value => [...value].filter((char, index) => char !== hash[index]).length;
+    return candidates.reduce((closest, value) => closest === null || distance(value) < distance(closest) ? value : closest, null);
+}
+
+/**
+ * Creates a line of the mismatch panel, highlighting the characters of a
+ * checksum that differ from the other one.
+ *
+ * @param {string} label - The message labelling the line.
+ * @param {string} value - The checksum shown.
+ * @param {string} other - The checksum it is compared to.
+ * @returns {HTMLDivElement} The line.
+ */
+function diffLine(label, value, other) {
+    const line = document.createElement("div");
+    line.append(chrome.i18n.getMessage(label) + ' ');
+    for (let index = 0; index < value.length; index++) {
+        if (value[index] === other[index]) {
+            line.append(value[index]);
+        } else {
+            const char = document.createElement("mark");
+            char.className = "p-0 text-danger font-weight-bold";
+            char.textContent = value[index];
+            line.appendChild(char);
+        }
+    }
+    return line;
+}
+
+/******************************************************************************
+ * Describe the signature of the file, or of its checksums, if any.
+ ******************************************************************************/
+function signatureNotice(signature) {
+    if (signature === null) {
+        return '';
+    }
+    const signer = escapeHtml(signature.signer || '');
+    const fingerprint = escapeHtml(signature.fingerprint || '');
+    switch (signature.status) {
+        case SIGNATURE_TRUSTED:
+            return chrome.i18n.getMessage("popupSignatureTrusted", [signer, fingerprint]);
+        case SIGNATURE_UNKNOWN_KEY:
+            // minisign, signify and SSH keys are pinned per site.
+            return signature.format === SIGNATURE_FORMAT_OPENPGP ?
+                chrome.i18n.getMessage("popupSignatureUnknownKey", fingerprint) :
+                chrome.i18n.getMessage("popupSignatureNotPinned", [SIGNATURE_FORMAT_NAMES[signature.format], fingerprint]);
+        case SIGNATURE_INVALID:
+            return chrome.i18n.getMessage("popupSignatureInvalid", [signer, fingerprint]);
+        case SIGNATURE_TOO_LARGE:
+            return chrome.i18n.getMessage("popupSignatureTooLarge",
+                [SIGNATURE_FORMAT_NAMES[signature.format], MAX_SIGNED_DATA_SIZE / (1024 * 1024)]);
+        default:
+            return chrome.i18n.getMessage("popupSignatureError");
     }
+}
+
+/* Escapes a string to be inserted in HTML. */
+function escapeHtml(text) {
+    const elem = document.createElement('span');
+    elem.textContent = text;
+    return elem.innerHTML;
+}
+
+/******************************************************************************
+ * Apply the "error" style to the popup.
+ ******************************************************************************/
+function showError() {
+    let status = shadow.getElementById('status');
+
     loadingBarContainer.style.display = "none";
-    return workingHash.finalize().toString(CryptoJS.enc.Hex);
+    title.innerHTML = chrome.i18n.getMessage("contentPopupTitleError");
+    status.innerHTML = chrome.i18n.getMessage("popupStatusError");
+    announce(title.innerHTML + ' ' + status.innerHTML);
+    showPopup();
 }
 
 /******************************************************************************
- * Update the loading bar with the checksum calculation progress.
+ * Update the loading bar with the checksum calculation progress. All the
+ * algorithms are computed in a single pass, so there is a single bar.
  ******************************************************************************/
-function updateLoadingBar(position, fileSize) {
-    let percentage = (position / fileSize) * 100;
+function updateLoadingBar(percentage) {
     loadingBar.style.width = percentage + '%';
-  }
-  
-
+    loadingBar.setAttribute("aria-valuenow", Math.floor(percentage));
+    const step = Math.floor(percentage / ANNOUNCED_PROGRESS_STEP) * ANNOUNCED_PROGRESS_STEP;
+    if (step > announcedProgress) {
+        announcedProgress = step;
+        announce(chrome.i18n.getMessage("popupProgressAnnounced", String(step)));
+    }
+}
 
+/******************************************************************************
+ * Display the checksums computed so far, one line per algorithm. The checksums
+ * that are not final yet are dimmed.
+ ******************************************************************************/
+function showComputedHashes() {
+    calculatedHash.innerHTML = '';
+    for (let [algorithm, hash] of Object.entries(computedHashes)) {
+        const hashElem = document.createElement('div');
+        hashElem.textContent = checksumTypeName(algorithm) + ': ' + hash;
+        if (!finishedHashes.has(algorithm)) {
+            hashElem.className = 'pending';
+        }
+        calculatedHash.appendChild(hashElem);
+    }
+}
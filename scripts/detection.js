@@ -0,0 +1,453 @@
+/*******************************************************************************
+ * Detection of the checksums of a page.
+ *
+ * Finds the download links of a page, the checksums it shows and the links to
+ * checksum files and signatures, and ties the checksums to the links they are
+ * shown with. The page is read through collectPageText (scanner.js) and the
+ * standard DOM properties of its elements only, so that the content script and
+ * the command-line tool (cli/verify.js), which parses saved pages, share it.
+ ******************************************************************************/
+
+const REGEXP_CHECKSUM_VALUE = /(?:[a-f0-9]{32,}|[A-F0-9]{32,})/g;
+/* Checksums shorter than MD5, such as CRC32, only looked for when their algorithm is named. */
+const REGEXP_SHORT_CHECKSUM_VALUE = /(?<![0-9A-Za-z])(?:[a-f0-9]{8,31}|[A-F0-9]{8,31})(?![0-9A-Za-z])/g;
+/* SRI strings, and base64 or base64url strings long enough to be checksums. */
+const REGEXP_CHECKSUM_ENCODED = /(?<![A-Za-z0-9+/_=-])(?:sha(?:256|384|512)-)?[A-Za-z0-9+/_-]{22,88}={0,2}(?![A-Za-z0-9+/_=-])/g;
+const REGEXP_CHECKSUM_ALGO = /(sha3?\s*-?\s*(1|224|256|384|512)(\/256)?|md5|blake2b(\s*-?\s*(256|512))?|blake3|b[23]sum|crc\s*-?\s*32)/gi;
+/* Labels of checksums, and of the other hashes pages show: commits, keys, tokens and ids. */
+const REGEXP_CHECKSUM_LABEL = /(checksum|hash|digest|integrity|sums?\b|sha3?\s*-?\s*(1|224|256|384|512)|md5|blake[23]|crc\s*-?\s*32)/i;
+const REGEXP_OTHER_HASH_LABEL = /(commit|revision|\brev\b|merge|parent|\btree\b|\bgit\b|fingerprint|key\s*id|token|api[\s_-]?key|secret|session|uuid|nonce|csrf|\bid\b)/i;
+/* The names and ids of the elements holding the tokens of forms and scripts. */
+const REGEXP_TOKEN_NAME = /(token|csrf|xsrf|nonce|authenticity)/i;
+/* Links to commits and other objects of code hosting sites. */
+const REGEXP_OTHER_HASH_URL = /\/(commit|commits|tree|blob|pull|compare|releases\/tag)\//;
+/* The elements that show checksums, and how far a checksum is looked for from a label or a download link. */
+const CHECKSUM_ELEMENTS = 'code, pre, kbd, samp, tt, td, input, textarea';
+const CHECKSUM_LABEL_DISTANCE = 60;
+const LINK_PROXIMITY_LEVELS = 6;
+/* The lowest score of the checksum values kept, see scoreChecksum: that of a
+ * labeled hexadecimal value. The others must score higher. */
+const MIN_CHECKSUM_SCORE = 0;
+
+/**
+ * Extracts the text matching a given regex pattern from the text of the page,
+ * see collectPageText.
+ *
+ * @param {Object[]} segments - The segments of text of the page.
+ * @param {RegExp} pattern - The regex pattern to match against the text.
+ * @param {function(string): string} [transform] - Applied to every match. By
+ * default, matches are put in lower case and their first dash is removed.
+ * @returns {Map<string, {segment: Object, index: number, length: number}[]>}
+ * The unique strings matching the regex pattern, with their occurrences: the
+ * segment they are in, and their offset and length in it.
+ */
+function extractPattern(segments, pattern, transform = c => c.toLowerCase().replace('-', '')) {
+    const matches = new Map();
+    for (let segment of segments) {
+        for (let match of segment.text.matchAll(pattern)) {
+            const value = transform(match[0]);
+            const occurrence = {segment: segment, index: match.index, length: match[0].length};
+            matches.set(value, (matches.get(value) || []).concat(occurrence));
+        }
+    }
+    return matches;
+}
+
+/**
+ * Checks if a string contains a mix of letters and numbers.
+ * 
+ * @param {string} elem - The string to evaluate.
+ * @returns {boolean} True if the string contains both letters and numbers; 
+ * otherwise, false.
+ */
+function hasMix(elem) {
+    const letters = /([a-f]|[A-F])/;
+    const numbers = /([0-9])/;
+    return letters.test(elem) && numbers.test(elem);
+}
+
+/**
+ * Filters a set of strings to include only those that are valid checksums.
+ * A valid checksum is defined as a string of the length of the checksums of an
+ * algorithm that may have produced it, that contains a mix of letters and
+ * numbers.
+ * 
+ * @param {Iterable<string>} set - The strings to filter.
+ * @param {Set<string>} namedTypes - The normalized algorithm names found on
+ * the page.
+ * @returns {Set<string>} A new set containing only strings that are valid 
+ * checksums.
+ */
+function filter(set, namedTypes) {
+    const checksumValues = new Set();
+    for (let elem of set) {
+        if (inferChecksumTypes(elem, namedTypes).length !== 0) {
+            if (hasMix(elem)) {
+                checksumValues.add(elem)
+            }
+        }
+    }
+    return checksumValues
+}
+
+/**
+ * Filters a set of base64, base64url and SRI strings to include only those
+ * that are plausible checksums. SRI strings name their algorithm; plain base64
+ * strings must be padded or at least as long as a SHA-256 checksum, and mix
+ * upper case letters, lower case letters and numbers, unlike most words and
+ * identifiers.
+ *
+ * @param {Iterable<string>} set - The strings to filter.
+ * @returns {Map<string, {value: string, type: ?string}>} The strings that are
+ * plausible checksums, with their hexadecimal value and algorithm.
+ */
+function filterEncoded(set) {
+    const checksums = new Map();
+    for (let elem of set) {
+        const normalized = normalizeChecksumValue(elem);
+        // Hexadecimal checksums are detected by filter.
+        if (normalized === null || REGEXP_HEX.test(elem)) {
+            continue;
+        }
+        if (normalized.type === null && (
+            (!elem.endsWith('=') && elem.length < 43) ||
+            !(/[A-Z]/.test(elem) && /[a-z]/.test(elem) && /[0-9]/.test(elem))
+        )) {
+            continue;
+        }
+        checksums.set(elem, normalized);
+    }
+    return checksums;
+}
+
+/**
+ * Returns the text before an occurrence of a checksum candidate on its line,
+ * where its label would be.
+ *
+ * @param {{segment: Object, index: number, length: number}} occurrence - The
+ * occurrence, see extractPattern.
+ * @returns {string} At most CHECKSUM_LABEL_DISTANCE characters.
+ */
+function textBefore(occurrence) {
+    const lineStart = occurrence.segment.text.lastIndexOf('\n', occurrence.index) + 1;
+    return occurrence.segment.text.slice(Math.max(lineStart, occurrence.index - CHECKSUM_LABEL_DISTANCE), occurrence.index);
+}
+
+/**
+ * Scores how likely an occurrence of a checksum candidate is to be the
+ * checksum of a file, rather than a commit hash, a key fingerprint, a token or
+ * an identifier. Labels naming a checksum or its algorithm before it, the name
+ * of a download on the same line, an element showing code and a download link
+ * close by raise the score; labels naming something else, a link to a commit,
+ * a place in a URL or a file name, hidden inputs and elements named after
+ * tokens lower it.
+ *
+ * @param {{segment: Object, index: number, length: number}} occurrence - The
+ * occurrence, see extractPattern.
+ * @param {string} value - The candidate, in hexadecimal.
+ * @param {HTMLAnchorElement[]} downloadLinks - The download links of the page.
+ * @returns {number} The score, negative for the candidates that are not
+ * credible.
+ */
+function scoreChecksum(occurrence, value, downloadLinks) {
+    const text = occurrence.segment.text;
+    const lineStart = text.lastIndexOf('\n', occurrence.index) + 1;
+    const lineEnd = text.indexOf('\n', occurrence.index) === -1 ? text.length : text.indexOf('\n', occurrence.index);
+    const before = textBefore(occurrence);
+    const after = text.slice(occurrence.index + occurrence.length, lineEnd);
+    const line = text.slice(lineStart, lineEnd).toLowerCase();
+    const elem = occurrence.segment.elementAt(occurrence.index);
+    let score = 0;
+
+    if (REGEXP_CHECKSUM_LABEL.test(before)) {
+        score += 3;
+    }
+    if (REGEXP_OTHER_HASH_LABEL.test(before)) {
+        score -= 4;
+    }
+    // Commit hashes, unlike SHA-1 checksums, are rarely labeled.
+    if (value.length === 40 && !REGEXP_CHECKSUM_LABEL.test(before)) {
+        score -= 2;
+    }
+    // Part of a path, a query string or a file name, as in app.3f2a....css.
+    if (/[/=?#.]$/.test(before) || /^\.[a-z]/i.test(after)) {
+        score -= 3;
+    }
+    // Without an extension, as in /download/, the last part of the path is
+    // unlikely to be a file name, see findChecksumsByFilename.
+    if (downloadLinks.map(link => filenameFromUrl(link.href).toLowerCase())
+        .some(filename => filename.includes('.') && line.includes(filename))) {
+        score += 2;
+    }
+    if (elem !== null) {
+        const link = elem.closest("a[href]");
+        if (link !== null && REGEXP_OTHER_HASH_URL.test(link.href)) {
+            score -= 4;
+        }
+        if (elem.closest(CHECKSUM_ELEMENTS) !== null) {
+            score += 1;
+        }
+        // Tokens of forms, such as authenticity_token or csrfmiddlewaretoken.
+        if (elem.localName === 'input' && (elem.getAttribute('type') || '').toLowerCase() === 'hidden') {
+            score -= 4;
+        }
+        const named = elem.closest('[name], [id]');
+        if (named !== null && REGEXP_TOKEN_NAME.test((named.getAttribute('name') || '') + ' ' + named.id)) {
+            score -= 4;
+        }
+        // The fewer levels up to a container of a download link, the closer.
+        let container = elem;
+        for (let level = 0; container !== null && level < LINK_PROXIMITY_LEVELS; level++) {
+            if (downloadLinks.some(link => container.contains(link))) {
+                score += level < LINK_PROXIMITY_LEVELS / 2 ? 2 : 1;
+                break;
+            }
+            container = container.parentElement;
+        }
+    }
+    return score;
+}
+
+/**
+ * Detects the checksum values of a page, in hexadecimal, base64 or SRI form.
+ * The candidates that are not credible are left out, see scoreChecksum, and
+ * the others are listed the most credible first. Only a label lets a value
+ * through without any other clue, and only a hexadecimal one: random tokens
+ * often look like base64 checksums.
+ *
+ * @param {Object[]} segments - The segments of text of the page, see
+ * collectPageText.
+ * @param {Set<string>} namedTypes - The normalized algorithm names found on
+ * the page.
+ * @param {HTMLAnchorElement[]} downloadLinks - The download links of the page.
+ * @returns {{forms: Map<string, string[]>, knownTypes: Object<string,
+ * string>, locations: Map<string, string>}} The checksum values in
+ * hexadecimal, with the forms they appear in on the page (in lower case), the
+ * algorithm of the values that tell it, and where each value was found.
+ */
+function detectChecksums(segments, namedTypes, downloadLinks) {
+    const candidates = [];
+    const knownTypes = {};
+    // Each candidate is as credible as its most credible occurrence.
+    const addCandidate = function (value, form, occurrences, encoded) {
+        let best = null;
+        for (let occurrence of occurrences) {
+            const score = scoreChecksum(occurrence, value, downloadLinks);
+            const labeled = !encoded && REGEXP_CHECKSUM_LABEL.test(textBefore(occurrence));
+            const credible = score > MIN_CHECKSUM_SCORE || (labeled && score === MIN_CHECKSUM_SCORE);
+            if (credible && (best === null || score > best.score)) {
+                best = {score: score, occurrence: occurrence};
+            }
+        }
+        if (best !== null) {
+            candidates.push({value: value, form: form, score: best.score,
+                location: best.occurrence.segment.locate(best.occurrence.index, best.occurrence.length)});
+        }
+    };
+
+    const values = extractPattern(segments, REGEXP_CHECKSUM_VALUE);
+    if ([...namedTypes].some(type => CHECKSUM_ALGORITHMS[type].size < 32)) {
+        for (let [value, occurrences] of extractPattern(segments, REGEXP_SHORT_CHECKSUM_VALUE)) {
+            values.set(value, (values.get(value) || []).concat(occurrences));
+        }
+    }
+    for (let value of filter(values.keys(), namedTypes)) {
+        addCandidate(value, value, values.get(value), false);
+    }
+    const encodedValues = extractPattern(segments, REGEXP_CHECKSUM_ENCODED, c => c);
+    for (let [encoded, normalized] of filterEncoded(encodedValues.keys())) {
+        addCandidate(normalized.value, encoded.toLowerCase(), encodedValues.get(encoded), true);
+        if (normalized.type !== null) {
+            knownTypes[normalized.value] = normalized.type;
+        }
+    }
+
+    const forms = new Map();
+    const locations = new Map();
+    candidates.sort((a, b) => b.score - a.score);
+    for (let candidate of candidates) {
+        forms.set(candidate.value, (forms.get(candidate.value) || []).concat(candidate.form));
+        if (!locations.has(candidate.value)) {
+            locations.set(candidate.value, candidate.location);
+        }
+    }
+    return {forms: forms, knownTypes: knownTypes, locations: locations};
+}
+
+/**
+ * Finds the checksum values shown next to a download link: those in the
+ * smallest container of the link (e.g. its table row, list item or paragraph)
+ * that holds checksum values but no link to another download.
+ *
+ * @param {HTMLAnchorElement} link - The download link.
+ * @param {HTMLAnchorElement[]} downloadLinks - All the download links of the
+ * page.
+ * @param {Map<string, string[]>} checksumForms - The checksum values of the
+ * page, with the forms they appear in.
+ * @param {?Element} [ignored=null] - An element not to read, see
+ * collectPageText.
+ * @param {Map<Element, string>} [containerTexts] - The text of the containers
+ * already read, in lower case, shared by the links of a page so that each
+ * container is read once.
+ * @returns {string[]} The checksum values next to the link.
+ */
+function findChecksumsNearLink(link, downloadLinks, checksumForms, ignored = null, containerTexts = new Map()) {
+    const others = downloadLinks.filter(other => other.href !== link.href);
+    let container = link.parentElement;
+    while (container !== null && container !== link.ownerDocument.body) {
+        // Past this point, the checksums may belong to another download.
+        if (others.some(other => container.contains(other))) {
+            break;
+        }
+        if (!containerTexts.has(container)) {
+            containerTexts.set(container,
+                collectPageText(container, '', ignored).map(segment => segment.text).join('\n').toLowerCase());
+        }
+        const text = containerTexts.get(container);
+        const found = [...checksumForms].filter(([value, forms]) => forms.some(form => text.includes(form)));
+        if (found.length !== 0) {
+            return found.map(([value, forms]) => value);
+        }
+        container = container.parentElement;
+    }
+    return [];
+}
+
+/**
+ * Finds the checksum values mentioned on the same line as the name of the file
+ * a download link points to, as in listings like "<checksum>  <filename>".
+ *
+ * @param {string} url - The URL of the download.
+ * @param {string[]} lines - The lines of text of the page, in lower case.
+ * @param {Map<string, string[]>} checksumForms - The checksum values of the
+ * page, with the forms they appear in.
+ * @returns {string[]} The checksum values mentioned with the file name.
+ */
+function findChecksumsByFilename(url, lines, checksumForms) {
+    const filename = filenameFromUrl(url).toLowerCase();
+    // Without an extension, the last part of the path is unlikely to be a file name.
+    if (!filename.includes('.')) {
+        return [];
+    }
+    return [...checksumForms]
+        .filter(([value, forms]) => lines.some(line => line.includes(filename) && forms.some(form => line.includes(form))))
+        .map(([value, forms]) => value);
+}
+
+/**
+ * Finds the checksums given in the integrity attributes of the page, such as
+ * <a href="..." integrity="sha256-...">. Only the elements pointing to
+ * downloads are kept.
+ *
+ * @param {Node} root - The element to inspect.
+ * @param {Object} options - The options of the extension.
+ * @returns {Object<string, {value: string, type: ?string}[]>} The checksums of
+ * each URL.
+ */
+function findIntegrityChecksums(root, options) {
+    const checksums = {};
+    root.querySelectorAll("[integrity]").forEach(function (elem) {
+        const url = typeof elem.href === 'string' ? elem.href : elem.src;
+        if (!url || (elem.nodeName !== "A" && !isDownloadUrl(url, options))) {
+            return;
+        }
+        const values = elem.getAttribute("integrity").split(/\s+/).map(normalizeChecksumValue).filter(value => value !== null);
+        if (values.length !== 0) {
+            checksums[url] = (checksums[url] || []).concat(values);
+        }
+    });
+    return checksums;
+}
+
+/**
+ * Inspects a page for download links and checksum information. The checksums
+ * that can be tied to a specific download link are given for that link.
+ *
+ * @param {Node} root - The element to inspect, usually the body of the page.
+ * @param {Object} options - The options of the extension, see
+ * DEFAULT_OPTIONS.
+ * @param {?Element} [ignored=null] - An element not to read, see
+ * collectPageText.
+ * @returns {{findings: ?{urls: string[], checksum: Object, links:
+ * Object<string, Object>, checksumFiles: string[], signatures: string[]},
+ * locations: Map<string, string>}} The download URLs, the checksums of the
+ * page and of each link, and the URLs of the checksum files and signatures,
+ * or null if the page has no checksum to verify a download against; and where
+ * on the page each checksum value was found.
+ */
+function inspectDocument(root, options, ignored = null) {
+    let downloadLinks = [];
+    let checksumFiles = new Set();
+    let signatures = new Set();
+    // Store the download links and the links to checksum files and signatures.
+    root.querySelectorAll("a").forEach(function (link) {
+        if (!link.hasAttribute("href")) {
+            return;
+        }
+        if (isChecksumFile(link.href)) {
+            checksumFiles.add(link.href);
+        } else if (isSignatureFile(link.href)) {
+            signatures.add(link.href);
+        } else if (isDownloadUrl(link.href, options)) {
+            downloadLinks.push(link);
+        }
+    });
+
+    // Detect checksum algorithms in the page.
+    const segments = collectPageText(root, '', ignored);
+    const checksumAlgos = extractPattern(segments, REGEXP_CHECKSUM_ALGO);
+    const namedTypes = new Set([...checksumAlgos.keys()].map(normalizeChecksumType).filter(type => type !== null));
+    // Detect checksum values in the page, scored against the download links,
+    // and in integrity attributes.
+    const checksums = detectChecksums(segments, namedTypes, downloadLinks);
+    const checksumValues = new Set(checksums.forms.keys());
+    const integrityChecksums = findIntegrityChecksums(root, options);
+
+    // Unless there are any checksum values or checksum files, and download
+    // URLs, or downloads with integrity attributes, there is nothing to verify.
+    if (!((checksumValues.size !== 0 || checksumFiles.size !== 0) && downloadLinks.length !== 0) &&
+        Object.keys(integrityChecksums).length === 0) {
+        return {findings: null, locations: checksums.locations};
+    }
+    // The algorithms of each checksum value are inferred from its length,
+    // keeping those named on the page when there are any.
+    const lines = segments.map(segment => segment.text).join('\n').toLowerCase().split('\n');
+
+    // Associate checksums to the links they are shown with.
+    const links = {};
+    const containerTexts = new Map();
+    for (let link of downloadLinks) {
+        const values = new Set([
+            ...findChecksumsNearLink(link, downloadLinks, checksums.forms, ignored, containerTexts),
+            ...findChecksumsByFilename(link.href, lines, checksums.forms)
+        ]);
+        if (values.size !== 0) {
+            links[link.href] = buildChecksum(values, namedTypes, true, checksums.knownTypes);
+        }
+    }
+    // Integrity attributes name the URL they apply to.
+    for (let [url, values] of Object.entries(integrityChecksums)) {
+        const knownTypes = {};
+        values.filter(value => value.type !== null).forEach(value => knownTypes[value.value] = value.type);
+        const checksum = buildChecksum(values.map(value => value.value), namedTypes, true, knownTypes);
+        links[url] = url in links ? mergeChecksums([links[url], checksum], true) : checksum;
+    }
+
+    return {
+        findings: {
+            urls: [...new Set(downloadLinks.map(link => link.href).concat(Object.keys(integrityChecksums)))],
+            checksum: buildChecksum(checksumValues, namedTypes, false, checksums.knownTypes),
+            links: links,
+            checksumFiles: [...checksumFiles],
+            signatures: [...signatures]
+        },
+        locations: checksums.locations
+    };
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        extractPattern, hasMix, filter, filterEncoded, textBefore, scoreChecksum, detectChecksums,
+        findChecksumsNearLink, findChecksumsByFilename, findIntegrityChecksums, inspectDocument
+    };
+}
@@ -0,0 +1,32 @@
+/*******************************************************************************
+ * Hashing frame.
+ *
+ * When the extension cannot read a download itself, the user selects the file
+ * in the page popup. Content scripts cannot start extension workers, so the
+ * content script injects this page in a hidden frame and posts the selected
+ * file to it. Progress and result are sent to the service worker, which
+ * relays them to the tab like those of the offscreen document.
+ *
+ * The page the frame is in can post to it as well: the file comes with the
+ * token the service worker gave the content script, and what the file is
+ * verified against is only taken from the service worker, in exchange for
+ * that token.
+ ******************************************************************************/
+window.addEventListener("message", async function (event) {
+    if (event.source !== window.parent || !event.data || event.data.type !== "verify" ||
+        !(event.data.file instanceof Blob)) {
+        return;
+    }
+    const file = event.data.file;
+    const request = await chrome.runtime.sendMessage({type: "redeemVerificationToken", token: event.data.token});
+    if (!request || request.error) {
+        console.error("Could not verify the file:", request ? request.error : "No response from the service worker");
+        return;
+    }
+    verifyAndReport(file, request.checksum, function (type, data) {
+        chrome.runtime.sendMessage(Object.assign({
+            type: type,
+            downloadId: request.downloadId
+        }, data));
+    }, request.signature, request.quarantine ? request.downloadId : null);
+});
@@ -0,0 +1,114 @@
+/*******************************************************************************
+ * Hashing of files.
+ *
+ * Computes the checksums of a file using the streaming implementations
+ * registered in CHECKSUM_ALGORITHMS, mostly from hash-wasm, and compares them
+ * against the expected checksums. The file is read once, in chunks that feed
+ * every requested algorithm, so files of several gigabytes are never loaded in
+ * memory at once nor read several times. Only Blob is used, so that the
+ * hashing worker and the command-line tool (cli/verify.js) share it.
+ ******************************************************************************/
+
+const CHUNK_SIZE = 4 * 1024 * 1024; // 4MB
+// Minimum delay between two progress reports, in milliseconds.
+const PROGRESS_INTERVAL = 100;
+
+/**
+ * Computes the checksum of the data hashed so far, without finalizing the
+ * hasher.
+ *
+ * @param {string} algorithm - The name of the algorithm.
+ * @param {Object} hasher - The hash-wasm hasher.
+ * @returns {Promise<string>} The hexadecimal checksum.
+ */
+async function intermediateDigest(algorithm, hasher) {
+    const copy = await CHECKSUM_ALGORITHMS[algorithm].create();
+    copy.load(hasher.save());
+    return copy.digest('hex');
+}
+
+/**
+ * Computes the checksums of a file for several algorithms, reading the file
+ * only once, and reports the progress to the caller.
+ *
+ * @param {Blob} file - The file to hash.
+ * @param {string[]} algorithms - The names of the algorithms.
+ * @param {function(number, number, Object<string, string>)} [onProgress] -
+ * Called regularly with the number of bytes hashed, the file size and the
+ * checksums of the data hashed so far, by algorithm.
+ * @param {function(string, string)} [onDigest] - Called with each algorithm
+ * and its final checksum.
+ * @returns {Promise<Object<string, string>>} The hexadecimal checksum of the
+ * file for each algorithm.
+ */
+async function hashFile(file, algorithms, onProgress = () => {}, onDigest = () => {}) {
+    const hashers = {};
+    for (let algorithm of algorithms) {
+        if (!(algorithm in CHECKSUM_ALGORITHMS)) {
+            throw new Error("Unknown checksum type '" + algorithm + "'");
+        }
+        hashers[algorithm] = await CHECKSUM_ALGORITHMS[algorithm].create();
+        hashers[algorithm].init();
+    }
+
+    let lastReport = 0;
+    for (let chunkStart = 0; chunkStart < file.size; chunkStart += CHUNK_SIZE) {
+        const chunkEnd = Math.min(chunkStart + CHUNK_SIZE, file.size);
+        const chunk = new Uint8Array(await file.slice(chunkStart, chunkEnd).arrayBuffer());
+        for (let algorithm of algorithms) {
+            hashers[algorithm].update(chunk);
+        }
+
+        if (Date.now() - lastReport >= PROGRESS_INTERVAL && chunkEnd < file.size) {
+            lastReport = Date.now();
+            const hashes = {};
+            for (let algorithm of algorithms) {
+                hashes[algorithm] = await intermediateDigest(algorithm, hashers[algorithm]);
+            }
+            onProgress(chunkEnd, file.size, hashes);
+        }
+    }
+
+    const hashes = {};
+    for (let algorithm of algorithms) {
+        hashes[algorithm] = hashers[algorithm].digest('hex');
+        onDigest(algorithm, hashes[algorithm]);
+    }
+    return hashes;
+}
+
+/**
+ * Compares computed checksums against checksum values. A computed checksum
+ * only matches a value if its algorithm is one of the candidates of that
+ * value.
+ *
+ * @param {{value: string[], candidates: Object<string, string[]>}} checksum -
+ * The checksum values and the candidate algorithms of each value.
+ * @param {Object<string, string>} computed - The computed checksums, by
+ * algorithm.
+ * @returns {{valid: boolean, algorithm: ?string}} Whether one of the computed
+ * checksums matches, and its algorithm.
+ */
+function matchChecksums(checksum, computed) {
+    // The checksums are valid if any of the given and computed checksums
+    // match, whatever the encoding of the given checksums.
+    const expected = {};
+    for (let value of checksum.value) {
+        const normalized = normalizeChecksumValue(value);
+        if (normalized !== null) {
+            expected[normalized.value] = (checksum.candidates && checksum.candidates[value]) ||
+                (normalized.type ? [normalized.type] : null);
+        }
+    }
+    for (let [algorithm, hash] of Object.entries(computed)) {
+        const candidates = expected[hash];
+        if (hash in expected && (!candidates || candidates.includes(algorithm))) {
+            return {valid: true, algorithm: algorithm};
+        }
+    }
+    return {valid: false, algorithm: null};
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {intermediateDigest, hashFile, matchChecksums};
+}
@@ -0,0 +1,38 @@
+/*******************************************************************************
+ * Hashing worker.
+ *
+ * Computes the checksums of a file off the main thread with hashFile, see
+ * hash-file.js.
+ *
+ * Request: {file: Blob, algorithms: string[]}
+ * Replies: {type: "progress", position, size, hashes: {algorithm: hash}}
+ *          {type: "digest", algorithm, hash}, once per algorithm
+ *          {type: "result", hashes: {algorithm: hash}}
+ *          {type: "error", message}
+ ******************************************************************************/
+importScripts(
+    'algorithms.js',
+    'sha512-256.js',
+    'hash-wasm/md5.umd.min.js',
+    'hash-wasm/sha1.umd.min.js',
+    'hash-wasm/sha224.umd.min.js',
+    'hash-wasm/sha256.umd.min.js',
+    'hash-wasm/sha384.umd.min.js',
+    'hash-wasm/sha512.umd.min.js',
+    'hash-wasm/sha3.umd.min.js',
+    'hash-wasm/blake2b.umd.min.js',
+    'hash-wasm/blake3.umd.min.js',
+    'hash-wasm/crc32.umd.min.js',
+    'hash-file.js'
+);
+
+self.onmessage = async function (event) {
+    try {
+        const hashes = await hashFile(event.data.file, event.data.algorithms,
+            (position, size, hashes) => postMessage({type: "progress", position: position, size: size, hashes: hashes}),
+            (algorithm, hash) => postMessage({type: "digest", algorithm: algorithm, hash: hash}));
+        postMessage({type: "result", hashes: hashes});
+    } catch (error) {
+        postMessage({type: "error", message: error.message});
+    }
+};
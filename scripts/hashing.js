@@ -0,0 +1,180 @@
+const HASH_WORKER = 'scripts/hash-worker.js';
+
+/*******************************************************************************
+ * Checksum computation.
+ *
+ * The functions below compute the checksums of a file in a dedicated worker and
+ * compare them against the checksums found on a page. They are shared by the
+ * extension pages that verify files (the offscreen document and the frame
+ * injected by the content script), and do not touch the UI: progress is
+ * reported through callbacks. The worker hashes the file and the checksums are
+ * compared with hash-file.js, which the command-line tool shares.
+ ******************************************************************************/
+
+/******************************************************************************
+ * Compute the checksums of a file for several hashing algorithms, in a single
+ * pass over the file.
+ *
+ * onProgress, if given, is called regularly with the number of bytes hashed,
+ * the file size and the checksums of the data hashed so far, by algorithm.
+ * onDigest, if given, is called with each algorithm and its final checksum.
+ ******************************************************************************/
+function computeHashes(file, checksumTypes, onProgress, onDigest) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(chrome.runtime.getURL(HASH_WORKER));
+        worker.onmessage = function (event) {
+            switch (event.data.type) {
+                case "progress":
+                    if (onProgress) {
+                        onProgress(event.data.position, event.data.size, event.data.hashes);
+                    }
+                    break;
+                case "digest":
+                    if (onDigest) {
+                        onDigest(event.data.algorithm, event.data.hash);
+                    }
+                    break;
+                case "result":
+                    worker.terminate();
+                    resolve(event.data.hashes);
+                    break;
+                case "error":
+                    worker.terminate();
+                    reject(new Error(event.data.message));
+                    break;
+            }
+        };
+        worker.onerror = function (event) {
+            worker.terminate();
+            reject(new Error("Hashing worker failed: " + event.message));
+        };
+        worker.postMessage({file: file, algorithms: checksumTypes});
+    });
+}
+
+/**
+ * Computes the checksums of a file for every candidate algorithm, and compares
+ * them against the checksum values found on the page. A computed checksum only
+ * matches a value if its algorithm is one of the candidates of that value.
+ *
+ * @param {Blob} file - The file to verify.
+ * @param {{type: string[], value: string[], candidates: Object<string,
+ * string[]>}} checksum - The algorithms to compute, the checksum values found
+ * on the page and the candidate algorithms of each value.
+ * @param {function(number, number, Object<string, string>)} [onProgress] -
+ * Progress callback, see computeHashes.
+ * @param {function(string, string)} [onDigest] - Digest callback, see
+ * computeHashes.
+ * @returns {Promise<{valid: boolean, algorithm: ?string, computed:
+ * Object<string, string>}>} Whether one of the computed checksums matches the
+ * page, the algorithm that matched, and the computed checksums by algorithm.
+ */
+async function computeChecksums(file, checksum, onProgress, onDigest) {
+    const checksum_types = new Set();
+
+    // Collect the types of checksum algorithms to compute.
+    for (let checksum_type of checksum.type) {
+        const type = normalizeChecksumType(checksum_type);
+        if (type === null) {
+            console.debug("An error has occured while computing the checksum: Unknown checksum type '" + checksum_type + "'");
+            continue;
+        }
+        checksum_types.add(type);
+    }
+    if (checksum_types.size === 0) {
+        return {valid: false, algorithm: null, computed: {}};
+    }
+
+    // Calculate those checksums on the given file, all at once.
+    const start = performance.now();
+    const computed = await computeHashes(file, [...checksum_types], onProgress, onDigest);
+    console.log("Time taken to check " + file.size + " byte file: " + (performance.now() - start) + " milliseconds. (" + [...checksum_types].join(', ') + ")");
+
+    return Object.assign(matchChecksums(checksum, computed), {computed: computed});
+}
+
+/**
+ * Verifies a file, and its detached signature if any, and reports the
+ * progress and the result as
+ * verificationStarted, verificationProgress, verificationDigest,
+ * verificationComplete and verificationFailed messages, as expected by the
+ * content script.
+ *
+ * @param {Blob} file - The file to verify.
+ * @param {Object} checksum - The checksum algorithms and values found on the
+ * page, and under "trusted" those of the trusted manifests that apply to the
+ * file, if any. The result against the manifests prevails.
+ * @param {function(string, Object)} report - Sends a message of the given type
+ * with the given data.
+ * @param {?{url: string, keyring: Object}} [signature] - The URL of the
+ * detached signature of the file and the keys to verify it against, see
+ * fetchAndVerifySignature.
+ * @param {?number} [quarantined] - The id of the download, if it is in
+ * quarantine: it is released if it matches, see releaseQuarantinedFile.
+ */
+async function verifyAndReport(file, checksum, report, signature = null, quarantined = null) {
+    const start = performance.now();
+    try {
+        report("verificationStarted", {checksum: checksum});
+
+        // Only report whole percentages to avoid flooding the service worker.
+        let lastPercentage = -1;
+        const types = checksum.trusted ? [...new Set([...checksum.type, ...checksum.trusted.type])] : checksum.type;
+        const result = await computeChecksums(file, Object.assign({}, checksum, {type: types}), function (position, size, hashes) {
+            const percentage = Math.floor((position / size) * 100);
+            if (percentage !== lastPercentage) {
+                lastPercentage = percentage;
+                report("verificationProgress", {percentage: percentage, hashes: hashes});
+            }
+        }, function (algorithm, hash) {
+            report("verificationDigest", {algorithm: algorithm, hash: hash});
+        });
+        const signatureResult = signature ? await fetchAndVerifySignature(file, signature.url, signature.keyring) : null;
+        const badSignature = [signatureResult, checksum.signature].some(result => result && result.status === SIGNATURE_INVALID);
+        const trusted = checksum.trusted ? matchChecksums(checksum.trusted, result.computed) : null;
+        if (quarantined !== null && (trusted ? trusted.valid : result.valid) && !badSignature) {
+            try {
+                await releaseQuarantinedFile(file, quarantined, result.computed);
+            } catch (error) {
+                console.error("Could not release the file from quarantine:", error.message);
+            }
+        }
+        report("verificationComplete", {
+            valid: result.valid,
+            algorithm: result.algorithm,
+            computed: result.computed,
+            checksum: checksum,
+            signature: signatureResult,
+            trusted: trusted,
+            duration: performance.now() - start
+        });
+    } catch (error) {
+        console.error("An error occurred:", error.message);
+        report("verificationFailed", {message: error.message, checksum: checksum, duration: performance.now() - start});
+    }
+}
+
+/**
+ * Releases a file from quarantine. The downloads API cannot rename files, so
+ * the verified content is saved again under its real name by the service
+ * worker, under the name it recorded, which then deletes the quarantined file.
+ * The service worker checks the checksums of the content again first.
+ *
+ * @param {Blob} file - The verified content of the file.
+ * @param {number} downloadId - The id of the download in quarantine.
+ * @param {Object<string, string>} computed - The checksums of the file, by
+ * algorithm.
+ * @returns {Promise} Resolves once the file is saved under its real name.
+ */
+async function releaseQuarantinedFile(file, downloadId, computed) {
+    const url = URL.createObjectURL(file);
+    try {
+        const response = await chrome.runtime.sendMessage({type: "saveReleasedFile", downloadId: downloadId, url: url,
+            computed: computed});
+        if (!response || response.error) {
+            throw new Error(response ? response.error : "No response from the service worker");
+        }
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,113 @@
+/* Outcomes of the verifications. */
+const HISTORY_OUTCOME_PASS = 'pass';
+const HISTORY_OUTCOME_FAIL = 'fail';
+const HISTORY_OUTCOME_ERROR = 'error';
+
+/* Where the verified files come from. */
+const HISTORY_SOURCE_DOWNLOAD = 'download';
+const HISTORY_SOURCE_VERIFIER = 'verifier';
+
+/* How long, and how many, records are kept by default. 0 means no limit. */
+const DEFAULT_HISTORY_RETENTION = {maxRecords: 1000, maxDays: 365};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/* How the outcomes are shown on the extension pages. */
+const HISTORY_OUTCOME_STYLES = {
+    [HISTORY_OUTCOME_PASS]: {icon: 'fas fa-check-circle', className: 'text-success', message: 'historyOutcomePass'},
+    [HISTORY_OUTCOME_FAIL]: {icon: 'fas fa-times-circle', className: 'text-danger', message: 'historyOutcomeFail'},
+    [HISTORY_OUTCOME_ERROR]: {icon: 'fas fa-exclamation-circle', className: 'text-warning', message: 'historyOutcomeError'}
+};
+
+/*******************************************************************************
+ * Verification history.
+ *
+ * Every verification is recorded under the "history" key of
+ * chrome.storage.local, the most recent first, as:
+ * {id, timestamp, source, downloadId?, filename, downloadUrl, pageUrl, tab?,
+ *  algorithm, expected: string[], computed: {algorithm: checksum}, outcome,
+ *  signature, userSupplied, trusted, duration, overridden?}
+ * trusted telling whether the file matches the trusted manifests, null if
+ * none applies to it, and overridden being set once the user keeps a file
+ * that does not match, from the tab the download was started from.
+ * The records are written by the service worker only, and pruned according to
+ * the retention limits under the "historyRetention" key. The time the user
+ * last looked at the downloads, in the toolbar popup, is kept under the
+ * "failuresSeenAt" key: the downloads that failed since are counted on the
+ * toolbar badge.
+ ******************************************************************************/
+
+/**
+ * Returns the retention limits of the history.
+ *
+ * @returns {Promise<{maxRecords: number, maxDays: number}>} The limits.
+ */
+async function getHistoryRetention() {
+    const data = await chrome.storage.local.get('historyRetention');
+    return Object.assign({}, DEFAULT_HISTORY_RETENTION, data.historyRetention || {});
+}
+
+/**
+ * Drops the records exceeding the retention limits.
+ *
+ * @param {Object[]} history - The records, the most recent first.
+ * @param {{maxRecords: number, maxDays: number}} retention - The limits.
+ * @returns {Object[]} The records to keep.
+ */
+function pruneHistory(history, retention) {
+    let kept = history;
+    if (retention.maxDays > 0) {
+        const oldest = Date.now() - retention.maxDays * DAY;
+        kept = kept.filter(record => record.timestamp >= oldest);
+    }
+    if (retention.maxRecords > 0) {
+        kept = kept.slice(0, retention.maxRecords);
+    }
+    return kept;
+}
+
+/* The pending update of the history, updates being applied one at a time. */
+let historyUpdate = Promise.resolve();
+
+/**
+ * Updates the history, after the pending updates, and prunes it.
+ *
+ * @param {function(Object[]): Object[]} update - Returns the new records from
+ * the current ones.
+ * @returns {Promise} Resolves once the history is updated.
+ */
+function updateHistory(update) {
+    historyUpdate = historyUpdate.then(async function () {
+        const retention = await getHistoryRetention();
+        const data = await chrome.storage.local.get('history');
+        await chrome.storage.local.set({history: pruneHistory(update(data.history || []), retention)});
+    }).catch(function (error) {
+        console.error("Could not update the history:", error.message);
+    });
+    return historyUpdate;
+}
+
+/**
+ * Adds a record to the history.
+ *
+ * @param {Object} record - The record, without its id and timestamp.
+ * @returns {Promise} Resolves once the record is stored.
+ */
+function addHistoryRecord(record) {
+    record.timestamp = Date.now();
+    record.id = record.timestamp + '-' + Math.random().toString(36).substring(2, 8);
+    return updateHistory(history => [record, ...history]);
+}
+
+/**
+ * Counts the downloads whose verification failed, or did not match, since the
+ * user last looked at them.
+ *
+ * @param {Object[]} history - The records, the most recent first.
+ * @param {number} seenAt - The time the user last looked at the downloads.
+ * @returns {number} The number of failed verifications.
+ */
+function countUnseenFailures(history, seenAt) {
+    return history.filter(record => record.source === HISTORY_SOURCE_DOWNLOAD && record.timestamp > seenAt &&
+        record.outcome !== HISTORY_OUTCOME_PASS && !record.overridden).length;
+}
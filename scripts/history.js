@@ -0,0 +1,191 @@
+/*******************************************************************************
+ * History page.
+ *
+ * Lists the verifications recorded by the service worker, filters them, and
+ * exports them as JSON or CSV.
+ ******************************************************************************/
+
+const CSV_COLUMNS = ['timestamp', 'source', 'filename', 'downloadUrl', 'pageUrl', 'algorithm', 'expected', 'computed',
+    'outcome', 'overridden', 'trusted', 'signatureStatus', 'signer', 'fingerprint', 'userSupplied', 'duration'];
+
+/* The records of the history, the most recent first. */
+let records = [];
+
+/**
+ * Returns the records matching the filters of the page.
+ *
+ * @returns {Object[]} The matching records.
+ */
+function filteredRecords() {
+    const search = document.getElementById("search").value.trim().toLowerCase();
+    const outcome = document.getElementById("outcome").value;
+    return records.filter(function (record) {
+        if (outcome && record.outcome !== outcome) {
+            return false;
+        }
+        const text = [record.filename, record.downloadUrl, record.pageUrl, record.algorithm,
+            ...record.expected, ...Object.values(record.computed)].join(' ').toLowerCase();
+        return text.includes(search);
+    });
+}
+
+/**
+ * Creates a table cell.
+ *
+ * @param {string} text - The content of the cell.
+ * @param {string} [className] - The class of the cell.
+ * @returns {HTMLTableCellElement} The cell.
+ */
+function createCell(text, className) {
+    const cell = document.createElement("td");
+    cell.textContent = text;
+    if (className) {
+        cell.className = className;
+    }
+    return cell;
+}
+
+/* Lists the records matching the filters. */
+function showRecords() {
+    const table = document.getElementById("records");
+    const shown = filteredRecords();
+    table.textContent = "";
+    for (let record of shown) {
+        const row = document.createElement("tr");
+        const style = HISTORY_OUTCOME_STYLES[record.outcome];
+        const outcome = createCell("", style.className);
+        const icon = document.createElement("i");
+        icon.className = style.icon + " mr-1";
+        icon.setAttribute("aria-hidden", "true");
+        outcome.append(icon, chrome.i18n.getMessage(style.message));
+        if (record.overridden) {
+            outcome.append(' (' + chrome.i18n.getMessage("historyOverridden") + ')');
+        }
+        if (record.trusted === true || record.trusted === false) {
+            outcome.append(' (' + chrome.i18n.getMessage(record.trusted ? "historyTrustedMatch" : "historyTrustedMismatch") + ')');
+        }
+
+        row.append(
+            createCell(new Date(record.timestamp).toLocaleString()),
+            createCell(record.filename),
+            createCell([record.downloadUrl, record.pageUrl].filter(url => url).join('\n'), "checksum"),
+            createCell(record.algorithm ? checksumTypeName(record.algorithm) : ''),
+            createCell(record.expected.join('\n'), "checksum"),
+            createCell(Object.entries(record.computed).map(([algorithm, hash]) => checksumTypeName(algorithm) + ': ' + hash).join('\n'), "checksum"),
+            outcome,
+            createCell((record.duration / 1000).toFixed(1) + ' s')
+        );
+        table.appendChild(row);
+    }
+    document.getElementById("count").textContent = chrome.i18n.getMessage("historyCount", [String(shown.length), String(records.length)]);
+}
+
+/**
+ * Flattens a record to the columns of the CSV export.
+ *
+ * @param {Object} record - The record.
+ * @returns {Object<string, string>} The values of the columns.
+ */
+function csvRow(record) {
+    return {
+        timestamp: new Date(record.timestamp).toISOString(),
+        source: record.source,
+        filename: record.filename,
+        downloadUrl: record.downloadUrl || '',
+        pageUrl: record.pageUrl || '',
+        algorithm: record.algorithm || '',
+        expected: record.expected.join(' '),
+        computed: Object.entries(record.computed).map(([algorithm, hash]) => algorithm + ':' + hash).join(' '),
+        outcome: record.outcome,
+        overridden: String(!!record.overridden),
+        trusted: record.trusted === true || record.trusted === false ? String(record.trusted) : '',
+        signatureStatus: record.signature ? record.signature.status : '',
+        signer: record.signature ? record.signature.signer || '' : '',
+        fingerprint: record.signature ? record.signature.fingerprint || '' : '',
+        userSupplied: String(record.userSupplied),
+        duration: String(record.duration)
+    };
+}
+
+/**
+ * Escapes a CSV value. Values that a spreadsheet would read as a formula are
+ * prefixed with a quote.
+ *
+ * @param {string} value - The value.
+ * @returns {string} The escaped value.
+ */
+function csvValue(value) {
+    if (/^[=+\-@\t\r]/.test(value)) {
+        value = "'" + value;
+    }
+    return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+}
+
+/**
+ * Downloads a file generated by the page.
+ *
+ * @param {string} content - The content of the file.
+ * @param {string} type - The MIME type of the file.
+ * @param {string} filename - The name of the file.
+ */
+function saveFile(content, type, filename) {
+    const url = URL.createObjectURL(new Blob([content], {type: type}));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+document.getElementById("exportJson").addEventListener("click", function () {
+    saveFile(JSON.stringify(filteredRecords(), null, 2), "application/json", "verification-history.json");
+});
+
+document.getElementById("exportCsv").addEventListener("click", function () {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (let record of filteredRecords()) {
+        const row = csvRow(record);
+        lines.push(CSV_COLUMNS.map(column => csvValue(row[column])).join(','));
+    }
+    saveFile(lines.join('\r\n') + '\r\n', "text/csv", "verification-history.csv");
+});
+
+document.getElementById("clear").addEventListener("click", function () {
+    if (confirm(chrome.i18n.getMessage("historyClearConfirm"))) {
+        chrome.runtime.sendMessage({type: "clearHistory"});
+    }
+});
+
+document.getElementById("search").addEventListener("input", showRecords);
+document.getElementById("outcome").addEventListener("change", showRecords);
+document.getElementById("filters").addEventListener("submit", function (event) {
+    event.preventDefault();
+});
+
+document.getElementById("retention").addEventListener("submit", function (event) {
+    event.preventDefault();
+    chrome.storage.local.set({
+        historyRetention: {
+            maxRecords: Math.max(0, parseInt(document.getElementById("maxRecords").value) || 0),
+            maxDays: Math.max(0, parseInt(document.getElementById("maxDays").value) || 0)
+        }
+    });
+});
+
+// The history is updated by the service worker.
+chrome.storage.onChanged.addListener(function (changes, areaName) {
+    if (areaName === 'local' && 'history' in changes) {
+        records = changes.history.newValue || [];
+        showRecords();
+    }
+});
+
+chrome.storage.local.get('history', function (data) {
+    records = data.history || [];
+    showRecords();
+});
+
+getHistoryRetention().then(function (retention) {
+    document.getElementById("maxRecords").value = retention.maxRecords;
+    document.getElementById("maxDays").value = retention.maxDays;
+});
@@ -0,0 +1,15 @@
+/*******************************************************************************
+ * Localization of the extension pages.
+ *
+ * Elements with a data-i18n attribute get the message of that name as their
+ * text content.
+ ******************************************************************************/
+
+function localizePage() {
+    for (let elem of document.querySelectorAll('[data-i18n]')) {
+        elem.textContent = chrome.i18n.getMessage(elem.dataset.i18n);
+    }
+    document.documentElement.lang = chrome.i18n.getUILanguage();
+}
+
+localizePage();
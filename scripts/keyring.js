@@ -0,0 +1,170 @@
+/*******************************************************************************
+ * Keyring management.
+ *
+ * The OpenPGP public keys trusted to sign downloads and checksum files are
+ * stored as {armoredKey, fingerprint, userIds} objects under the "keyring" key
+ * of chrome.storage.local, where the service worker reads them. The minisign,
+ * signify and SSH keys, which are only trusted for the sites they are pinned
+ * for, are stored as {site, format, keyId, publicKey, comment} objects under
+ * the "pinnedKeys" key.
+ ******************************************************************************/
+
+/**
+ * Lists the keys of the keyring in the table.
+ *
+ * @param {{armoredKey: string, fingerprint: string, userIds: string[]}[]}
+ * keyring - The keys of the keyring.
+ */
+function showKeyring(keyring) {
+    const table = document.getElementById("keys");
+    table.textContent = "";
+    for (let key of keyring) {
+        const row = document.createElement("tr");
+        const userIds = document.createElement("td");
+        userIds.textContent = key.userIds.join(", ");
+        const fingerprint = document.createElement("td");
+        fingerprint.className = "text-monospace";
+        fingerprint.textContent = key.fingerprint;
+        const actions = document.createElement("td");
+        const remove = document.createElement("button");
+        remove.className = "btn btn-sm btn-outline-danger";
+        remove.textContent = chrome.i18n.getMessage("keyringRemove");
+        remove.addEventListener("click", function () {
+            removeKey(key.fingerprint);
+        });
+        actions.appendChild(remove);
+        row.append(userIds, fingerprint, actions);
+        table.appendChild(row);
+    }
+}
+
+/**
+ * Removes a key from the keyring.
+ *
+ * @param {string} fingerprint - The formatted fingerprint of the key.
+ */
+function removeKey(fingerprint) {
+    chrome.storage.local.get({keyring: []}, function (result) {
+        const keyring = result.keyring.filter(key => key.fingerprint !== fingerprint);
+        chrome.storage.local.set({keyring: keyring}, function () {
+            showKeyring(keyring);
+        });
+    });
+}
+
+/**
+ * Adds armored public keys to the keyring, replacing the keys with the same
+ * fingerprint.
+ *
+ * @param {string} armoredKeys - One or several armored public keys.
+ * @returns {Promise<number>} The number of keys imported.
+ */
+async function importKeys(armoredKeys) {
+    const keys = await openpgp.readKeys({armoredKeys: armoredKeys});
+    const imported = keys.filter(key => !key.isPrivate()).map(key => ({
+        armoredKey: key.armor(),
+        fingerprint: formatFingerprint(key.getFingerprint()),
+        userIds: key.getUserIDs()
+    }));
+
+    const result = await chrome.storage.local.get({keyring: []});
+    const keyring = result.keyring.filter(key => !imported.some(newKey => newKey.fingerprint === key.fingerprint));
+    keyring.push(...imported);
+    await chrome.storage.local.set({keyring: keyring});
+    showKeyring(keyring);
+    return imported.length;
+}
+
+/**
+ * Lists the pinned keys in the table.
+ *
+ * @param {{site: string, format: string, keyId: string, comment: string}[]}
+ * pinnedKeys - The pinned keys.
+ */
+function showPinnedKeys(pinnedKeys) {
+    const table = document.getElementById("pinnedKeys");
+    table.textContent = "";
+    for (let key of pinnedKeys) {
+        const row = document.createElement("tr");
+        for (let value of [key.site, SIGNATURE_FORMAT_NAMES[key.format], key.keyId, key.comment]) {
+            const cell = document.createElement("td");
+            cell.textContent = value;
+            row.appendChild(cell);
+        }
+        row.children[2].className = "text-monospace";
+        const actions = document.createElement("td");
+        const remove = document.createElement("button");
+        remove.className = "btn btn-sm btn-outline-danger";
+        remove.textContent = chrome.i18n.getMessage("keyringRemove");
+        remove.addEventListener("click", function () {
+            unpinKey(key);
+        });
+        actions.appendChild(remove);
+        row.appendChild(actions);
+        table.appendChild(row);
+    }
+}
+
+/**
+ * Removes a pinned key.
+ *
+ * @param {{site: string, keyId: string}} pinnedKey - The key to remove.
+ */
+function unpinKey(pinnedKey) {
+    chrome.storage.local.get({pinnedKeys: []}, function (result) {
+        const pinnedKeys = result.pinnedKeys.filter(key => key.site !== pinnedKey.site || key.keyId !== pinnedKey.keyId);
+        chrome.storage.local.set({pinnedKeys: pinnedKeys}, function () {
+            showPinnedKeys(pinnedKeys);
+        });
+    });
+}
+
+/**
+ * Pins a minisign, signify or SSH public key for a site.
+ *
+ * @param {string} site - The host name of the site, e.g. "ziglang.org".
+ * @param {string} text - The public key, as published.
+ * @returns {Promise<Object>} The pinned key.
+ */
+async function pinKey(site, text) {
+    const key = await parsePublicKey(text);
+    key.site = site.trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/[/:].*$/, '');
+
+    const result = await chrome.storage.local.get({pinnedKeys: []});
+    const pinnedKeys = result.pinnedKeys.filter(pinned => pinned.site !== key.site || pinned.keyId !== key.keyId);
+    pinnedKeys.push(key);
+    await chrome.storage.local.set({pinnedKeys: pinnedKeys});
+    showPinnedKeys(pinnedKeys);
+    return key;
+}
+
+document.getElementById("import").addEventListener("submit", async function (event) {
+    event.preventDefault();
+    const status = document.getElementById("status");
+    const armoredKey = document.getElementById("armoredKey");
+    try {
+        const count = await importKeys(armoredKey.value);
+        status.textContent = chrome.i18n.getMessage("keyringImported", String(count));
+        armoredKey.value = "";
+    } catch (error) {
+        status.textContent = chrome.i18n.getMessage("keyringImportFailed", error.message);
+    }
+});
+
+document.getElementById("pin").addEventListener("submit", async function (event) {
+    event.preventDefault();
+    const status = document.getElementById("pinStatus");
+    const publicKey = document.getElementById("publicKey");
+    try {
+        const key = await pinKey(document.getElementById("site").value, publicKey.value);
+        status.textContent = chrome.i18n.getMessage("pinnedKeysPinned", [key.keyId, key.site]);
+        publicKey.value = "";
+    } catch (error) {
+        status.textContent = chrome.i18n.getMessage("pinnedKeysFailed", error.message);
+    }
+});
+
+chrome.storage.local.get({keyring: [], pinnedKeys: []}, function (result) {
+    showKeyring(result.keyring);
+    showPinnedKeys(result.pinnedKeys);
+});
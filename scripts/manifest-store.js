@@ -0,0 +1,138 @@
+/*******************************************************************************
+ * Trusted manifests.
+ *
+ * The checksums published by a page cannot be trusted more than the page: if
+ * the site is compromised, both the file and its checksum are. Manifests of
+ * known-good checksums, imported by the user or an administrator, are kept
+ * under the "manifests" key of chrome.storage.local as:
+ * {id, name, importedAt, entries: [{filename, domain, type, value}]}
+ * Every entry applies to the files of that name, to the files downloaded from
+ * that vendor domain or its subdomains, or to both; filename or domain may be
+ * null, not both. Every completed download is checked against the entries
+ * that apply to it, whether or not its page had checksums.
+ *
+ * Manifests are imported as SHA256SUMS-style checksum files, see
+ * parseChecksumFile, or as JSON: an array of entries, or an object with an
+ * "entries" array and a default "domain", each entry being
+ * {filename?, domain?, checksum, algorithm?}, or naming its algorithm as in
+ * {filename, sha256: "..."}.
+ ******************************************************************************/
+
+/**
+ * Returns the imported manifests.
+ *
+ * @returns {Promise<Object[]>} The manifests, the most recent first.
+ */
+async function getManifests() {
+    const data = await chrome.storage.local.get('manifests');
+    return data.manifests || [];
+}
+
+/**
+ * Reads the entries of a JSON manifest.
+ *
+ * @param {*} json - The parsed manifest.
+ * @param {?string} domain - The vendor domain of the entries that do not name
+ * one.
+ * @returns {{filename: ?string, domain: ?string, value: string, type:
+ * ?string}[]} The entries, not yet checked.
+ */
+function readJsonManifest(json, domain) {
+    const entries = Array.isArray(json) ? json : (json && json.entries) || [];
+    domain = (json && !Array.isArray(json) && json.domain) || domain;
+    const read = [];
+    for (let entry of entries) {
+        if (!entry || typeof entry !== 'object') {
+            continue;
+        }
+        const common = {filename: entry.filename || null, domain: entry.domain || domain};
+        if (entry.checksum) {
+            read.push(Object.assign({value: String(entry.checksum), type: entry.algorithm || null}, common));
+        }
+        // Checksums keyed by their algorithm, such as "sha256".
+        for (let [key, value] of Object.entries(entry)) {
+            if (normalizeChecksumType(key) !== null && typeof value === 'string') {
+                read.push(Object.assign({value: value, type: key}, common));
+            }
+        }
+    }
+    return read;
+}
+
+/**
+ * Parses a manifest, as JSON or as a checksum file.
+ *
+ * @param {string} text - The content of the manifest.
+ * @param {string} name - The name of the manifest file, which may tell the
+ * algorithm of a checksum file.
+ * @param {?string} domain - The vendor domain of the entries that do not name
+ * one, if any.
+ * @returns {{filename: ?string, domain: ?string, type: ?string, value:
+ * string}[]} The entries, with their checksum normalized.
+ * @throws {Error} If the manifest lists no valid entry.
+ */
+function parseManifest(text, name, domain) {
+    // Keep the host name of a domain given as a URL.
+    domain = domain ? domain.trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/[/:].*$/, '') || null : null;
+    let raw;
+    try {
+        raw = readJsonManifest(JSON.parse(text), domain);
+    } catch (e) {
+        raw = parseChecksumFile(text, 'file:///' + encodeURIComponent(name)).map(entry => ({
+            filename: entry.filename !== null ? entry.filename.split('/').pop() : null,
+            domain: domain,
+            value: entry.value,
+            type: entry.type
+        }));
+    }
+
+    const entries = [];
+    for (let entry of raw) {
+        const normalized = normalizeChecksumValue(entry.value.trim());
+        let type = entry.type ? normalizeChecksumType(entry.type) : null;
+        // An algorithm that does not fit the checksum is inferred instead.
+        if (normalized !== null && type !== null && CHECKSUM_ALGORITHMS[type].size !== normalized.value.length) {
+            type = null;
+        }
+        if (normalized === null || (!entry.filename && !entry.domain)) {
+            continue;
+        }
+        entries.push({
+            filename: entry.filename,
+            domain: entry.domain ? entry.domain.toLowerCase() : null,
+            type: normalized.type || type,
+            value: normalized.value
+        });
+    }
+    if (entries.length === 0) {
+        throw new Error(chrome.i18n.getMessage("manifestsNoEntry"));
+    }
+    return entries;
+}
+
+/**
+ * Finds the known-good checksums of a download in the manifests.
+ *
+ * @param {Object[]} manifests - The manifests.
+ * @param {string} filename - The name of the downloaded file.
+ * @param {string[]} hosts - The host names the file was downloaded from: of
+ * the download URL, and of its page.
+ * @returns {?Object} The checksum data, as built by buildChecksum, or null if
+ * no entry applies to the download.
+ */
+function findTrustedChecksum(manifests, filename, hosts) {
+    const values = new Set();
+    const knownTypes = {};
+    for (let manifest of manifests) {
+        for (let entry of manifest.entries) {
+            if ((entry.filename === null || entry.filename === filename) &&
+                (entry.domain === null || hosts.some(host => siteMatches(host, entry.domain)))) {
+                values.add(entry.value);
+                if (entry.type) {
+                    knownTypes[entry.value] = entry.type;
+                }
+            }
+        }
+    }
+    return values.size === 0 ? null : buildChecksum(values, new Set(), true, knownTypes);
+}
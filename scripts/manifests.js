@@ -0,0 +1,89 @@
+/*******************************************************************************
+ * Trusted manifests management.
+ *
+ * Imports the manifests of known-good checksums that downloads are checked
+ * against, see manifest-store.js, and lists them.
+ ******************************************************************************/
+
+/**
+ * Lists the manifests in the table.
+ *
+ * @param {Object[]} manifests - The manifests.
+ */
+function showManifests(manifests) {
+    const table = document.getElementById("manifests");
+    table.textContent = "";
+    for (let manifest of manifests) {
+        const row = document.createElement("tr");
+        const domains = [...new Set(manifest.entries.map(entry => entry.domain).filter(domain => domain))];
+        for (let value of [manifest.name, domains.join(", "), String(manifest.entries.length),
+            new Date(manifest.importedAt).toLocaleString()]) {
+            const cell = document.createElement("td");
+            cell.textContent = value;
+            row.appendChild(cell);
+        }
+        const actions = document.createElement("td");
+        const remove = document.createElement("button");
+        remove.className = "btn btn-sm btn-outline-danger";
+        remove.textContent = chrome.i18n.getMessage("keyringRemove");
+        remove.addEventListener("click", function () {
+            removeManifest(manifest.id);
+        });
+        actions.appendChild(remove);
+        row.appendChild(actions);
+        table.appendChild(row);
+    }
+}
+
+/**
+ * Removes a manifest.
+ *
+ * @param {string} id - The id of the manifest.
+ */
+function removeManifest(id) {
+    chrome.storage.local.get({manifests: []}, function (result) {
+        const manifests = result.manifests.filter(manifest => manifest.id !== id);
+        chrome.storage.local.set({manifests: manifests}, function () {
+            showManifests(manifests);
+        });
+    });
+}
+
+/**
+ * Imports a manifest, replacing the manifest of the same name.
+ *
+ * @param {File} file - The manifest file.
+ * @param {string} domain - The vendor domain of the entries that do not name
+ * one, or an empty string.
+ * @returns {Promise<Object>} The imported manifest.
+ */
+async function importManifest(file, domain) {
+    const manifest = {
+        id: Date.now() + '-' + Math.random().toString(36).substring(2, 8),
+        name: file.name,
+        importedAt: Date.now(),
+        entries: parseManifest(await file.text(), file.name, domain)
+    };
+    const result = await chrome.storage.local.get({manifests: []});
+    const manifests = [manifest, ...result.manifests.filter(other => other.name !== manifest.name)];
+    await chrome.storage.local.set({manifests: manifests});
+    showManifests(manifests);
+    return manifest;
+}
+
+document.getElementById("import").addEventListener("submit", async function (event) {
+    event.preventDefault();
+    const status = document.getElementById("status");
+    const fileInput = document.getElementById("manifestFile");
+    try {
+        const manifest = await importManifest(fileInput.files[0], document.getElementById("domain").value);
+        status.textContent = chrome.i18n.getMessage("manifestsImported", [String(manifest.entries.length), manifest.name]);
+        fileInput.value = "";
+    } catch (error) {
+        status.textContent = chrome.i18n.getMessage("manifestsImportFailed", error.message);
+    }
+});
+
+chrome.storage.local.get({manifests: []}, function (result) {
+    showManifests(result.manifests);
+});
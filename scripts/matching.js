@@ -0,0 +1,235 @@
+/* Query parameters that only track the visitor, and do not change the file. */
+const REGEXP_TRACKING_PARAMETER = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|_ga|_gl|ref_src)$/i;
+
+/* How closely a download matches a page, the closest first. */
+/* The checksum was selected on the page, for its next download. */
+const MATCH_NEXT_DOWNLOAD = 4;
+/* The download URL is one of the links of the page. */
+const MATCH_URL = 3;
+/* The name of the downloaded file is that of a link, or listed in a checksum
+ * file of the page. */
+const MATCH_FILENAME = 2;
+/* The download was started from the page, by a script or a link that was not
+ * detected, and its URL or file name is that of a monitored download. */
+const MATCH_PAGE = 1;
+
+/*******************************************************************************
+ * Download matching.
+ *
+ * The functions below find the page, among the monitored ones, that a new
+ * download was started from, and the checksums to verify it against. Downloads
+ * rarely come from the exact URL of the link: redirections through mirrors,
+ * tracking parameters, encodings, blob: and data: URLs and downloads started
+ * by scripts are matched through normalized URLs, the name of the file, the
+ * referrer of the download and the tab the user is on.
+ ******************************************************************************/
+
+/**
+ * Normalizes a URL, so that the URLs of the same file compare equal: without
+ * fragment nor tracking parameters, with the other parameters sorted, and the
+ * path encoded the same way.
+ *
+ * @param {string} url - The URL.
+ * @returns {string} The normalized URL, or the URL itself if it is invalid.
+ */
+function normalizeUrl(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            return parsed.href;
+        }
+        parsed.pathname = parsed.pathname.split('/').map(function (segment) {
+            try {
+                return encodeURIComponent(decodeURIComponent(segment));
+            } catch (e) {
+                return segment;
+            }
+        }).join('/');
+        const parameters = [...parsed.searchParams]
+            .filter(([name]) => !REGEXP_TRACKING_PARAMETER.test(name))
+            .sort(([a], [b]) => a < b ? -1 : a > b ? 1 : 0);
+        parsed.search = new URLSearchParams(parameters).toString();
+        return parsed.href;
+    } catch (e) {
+        return url;
+    }
+}
+
+/**
+ * Returns the name of the file a link leads to: the last segment of its path,
+ * or, for links such as ".../file.iso/download", the last segment that looks
+ * like a file name.
+ *
+ * @param {string} url - The URL of the link.
+ * @returns {string} The file name, or an empty string if the URL does not
+ * tell it.
+ */
+function linkFilename(url) {
+    if (!/^https?:/i.test(url)) {
+        return '';
+    }
+    const filename = filenameFromUrl(url);
+    if (filename.includes('.')) {
+        return filename;
+    }
+    try {
+        const segments = new URL(url).pathname.split('/').map(decodeURIComponent);
+        return segments.reverse().find(segment => /\.[a-z0-9]+$/i.test(segment)) || '';
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * Returns the names the file of a download may be listed under: the name it
+ * is saved under, if already known, and the names its URLs tell.
+ *
+ * @param {chrome.downloads.DownloadItem} downloadItem - The download.
+ * @returns {string[]} The file names.
+ */
+function downloadFilenames(downloadItem) {
+    const filenames = new Set([linkFilename(downloadItem.url || ''), linkFilename(downloadItem.finalUrl || '')]);
+    if (downloadItem.filename) {
+        const filename = downloadItem.filename.split(/[\\/]/).pop();
+        filenames.add(filename.endsWith(QUARANTINE_SUFFIX) ? filename.slice(0, -QUARANTINE_SUFFIX.length) : filename);
+    }
+    filenames.delete('');
+    return [...filenames];
+}
+
+/**
+ * Determines if a referrer is only the origin of a page, as browsers send by
+ * default to other sites, such as the mirrors and CDNs downloads come from.
+ *
+ * @param {string} referrer - The referrer of a download.
+ * @param {string} url - The URL of the page.
+ * @returns {boolean} True if the referrer is the origin of the page.
+ */
+function isOriginReferrer(referrer, url) {
+    try {
+        const origin = new URL(url).origin;
+        return origin !== 'null' && referrer === origin + '/';
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Determines if a download was started from a page: the referrer of the
+ * download is the page, or its origin, or, downloads started by scripts often
+ * having none, the page is the one the user is on.
+ *
+ * @param {Object} page - The entry of the page in the registry.
+ * @param {chrome.downloads.DownloadItem} downloadItem - The download.
+ * @param {?chrome.tabs.Tab} activeTab - The tab the user is on, if known.
+ * @returns {boolean} True if the download was started from the page.
+ */
+function isStartedFrom(page, downloadItem, activeTab) {
+    if (downloadItem.referrer) {
+        return withoutHash(downloadItem.referrer) === withoutHash(page.page) ||
+            isOriginReferrer(downloadItem.referrer, page.page);
+    }
+    return !!activeTab && activeTab.id === page.tab && !!activeTab.url &&
+        withoutHash(activeTab.url) === withoutHash(page.page);
+}
+
+/**
+ * Finds how closely a download matches a page, and the checksums to verify it
+ * against.
+ *
+ * @param {Object} page - The entry of the page in the registry.
+ * @param {chrome.downloads.DownloadItem} downloadItem - The download.
+ * @param {?chrome.tabs.Tab} activeTab - The tab the user is on, if known.
+ * @param {Object} options - The options, for the extensions and patterns of
+ * the monitored downloads.
+ * @returns {?{level: number, url: ?string, checksum: ?Object}} The match,
+ * with the link it matched if any, and the checksums, null if they are
+ * ambiguous, or null if the download does not match the page.
+ */
+function matchPage(page, downloadItem, activeTab, options) {
+    const links = page.links || {};
+    if (page.nextDownload) {
+        return isStartedFrom(page, downloadItem, activeTab) ?
+            {level: MATCH_NEXT_DOWNLOAD, url: null, checksum: page.checksum} : null;
+    }
+
+    // Prefer the checksums tied to the URL over those of the whole page.
+    const downloadUrls = [downloadItem.url, downloadItem.finalUrl].filter(url => url);
+    const exact = page.urls.find(url => downloadUrls.includes(url));
+    const normalized = downloadUrls.map(normalizeUrl);
+    const url = exact || page.urls.find(url => normalized.includes(normalizeUrl(url)));
+    if (url) {
+        return {level: MATCH_URL, url: url, checksum: links[url] || page.checksum};
+    }
+
+    const filenames = downloadFilenames(downloadItem);
+    const listed = filenames.find(filename => filename in (page.files || {}));
+    const namesakes = page.urls.filter(url => filenames.includes(linkFilename(url)));
+    if (listed) {
+        return {level: MATCH_FILENAME, url: namesakes[0] || null, checksum: page.files[listed]};
+    }
+    if (namesakes.length !== 0) {
+        // Links to files of the same name may come with different checksums.
+        const checksums = new Set(namesakes.map(url => JSON.stringify(links[url] || page.checksum)));
+        return {level: MATCH_FILENAME, url: namesakes[0], checksum: checksums.size === 1 ? JSON.parse([...checksums][0]) : null};
+    }
+
+    // Any other download started from the page, such as an image saved by
+    // the user, is only verified if it looks like a monitored download.
+    if (isStartedFrom(page, downloadItem, activeTab) &&
+        filenames.concat(downloadUrls).some(name => isDownloadUrl(name, options))) {
+        return {level: MATCH_PAGE, url: null, checksum: page.checksum};
+    }
+    return null;
+}
+
+/**
+ * Finds the page a download was started from, among the monitored pages.
+ * When several pages, or several links of a page, match the download as
+ * closely with different checksums, the page it was started from is
+ * preferred; otherwise the match is ambiguous.
+ *
+ * @param {chrome.downloads.DownloadItem} downloadItem - The download.
+ * @param {Object[]} pages - The monitored pages, the most recent first.
+ * @param {?chrome.tabs.Tab} activeTab - The tab the user is on, if known.
+ * @param {Object} options - The options, see matchPage.
+ * @returns {?{page: ?Object, level: number, checksum: ?Object, ambiguous:
+ * Object[]}} The page and checksums of the download, or the pages it may come
+ * from if the match is ambiguous, or null if it matches none.
+ */
+function matchDownload(downloadItem, pages, activeTab, options) {
+    let best = [];
+    for (let page of pages) {
+        const match = matchPage(page, downloadItem, activeTab, options);
+        if (match === null || (best.length !== 0 && match.level < best[0].level)) {
+            continue;
+        }
+        if (best.length !== 0 && match.level > best[0].level) {
+            best = [];
+        }
+        best.push(Object.assign({page: page}, match));
+    }
+    if (best.length === 0) {
+        return null;
+    }
+
+    // The same page may be open in several tabs.
+    const distinct = best.filter((match, index) => match.checksum !== null &&
+        best.findIndex(other => JSON.stringify(other.checksum) === JSON.stringify(match.checksum)) === index);
+    let candidates = best.some(match => match.checksum === null) ? [] : distinct;
+    if (candidates.length > 1) {
+        candidates = candidates.filter(match => isStartedFrom(match.page, downloadItem, activeTab));
+    }
+    if (candidates.length === 1) {
+        return {page: candidates[0].page, level: candidates[0].level, checksum: candidates[0].checksum, ambiguous: []};
+    }
+    return {page: null, level: best[0].level, checksum: null, ambiguous: best.map(match => match.page)};
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        MATCH_NEXT_DOWNLOAD, MATCH_URL, MATCH_FILENAME, MATCH_PAGE, normalizeUrl, linkFilename, downloadFilenames,
+        isOriginReferrer, isStartedFrom, matchPage, matchDownload
+    };
+}
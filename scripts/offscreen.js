@@ -0,0 +1,83 @@
+/*******************************************************************************
+ * Offscreen document.
+ *
+ * The service worker cannot read files, so it hands completed downloads over
+ * to this document. The file is loaded from disk, its checksums are computed,
+ * and the progress and result are sent back to the service worker, which
+ * relays them to the tab of the download.
+ ******************************************************************************/
+
+/**
+ * Listen to messages coming from the service worker
+ */
+chrome.runtime.onMessage.addListener(function (message) {
+    // Messages sent to other extension pages are ignored.
+    if (message.target !== 'offscreen') {
+        return;
+    }
+    switch (message.type) {
+        // A monitored download has completed and must be verified.
+        case "verify":
+            verifyDownload(message);
+            break;
+        default:
+            console.debug("Unknown request type: " + message.type);
+            break;
+    }
+});
+
+/**
+ * Loads a local file. The fetch API does not support file:// URLs, but
+ * XMLHttpRequest does once the user has allowed access to file URLs.
+ *
+ * @param {string} url - The file:// URL of the file.
+ * @returns {Promise<Blob>} The content of the file.
+ */
+function loadFile(url) {
+    return new Promise((resolve, reject) => {
+        const request = new XMLHttpRequest();
+        request.open('GET', url);
+        request.responseType = 'blob';
+        request.onload = function () {
+            // file:// requests report a status of 0 on success.
+            if (request.status === 0 || request.status === 200) {
+                resolve(request.response);
+            } else {
+                reject(new Error("Could not read " + url + " (status " + request.status + ")"));
+            }
+        };
+        request.onerror = function () {
+            reject(new Error("Could not read " + url));
+        };
+        request.send();
+    });
+}
+
+/**
+ * Computes the checksums of a completed download, verifies its signature if
+ * any, and reports the progress and the result to the service worker.
+ *
+ * @param {{downloadId: number, tab: number, fileUrl: string, checksum: Object,
+ * signature: ?Object, quarantine: ?Object}} message - The verification request
+ * sent by the service worker.
+ */
+async function verifyDownload(message) {
+    const report = function (type, data) {
+        chrome.runtime.sendMessage(Object.assign({
+            type: type,
+            downloadId: message.downloadId,
+            tab: message.tab
+        }, data));
+    };
+
+    let file;
+    try {
+        file = await loadFile(message.fileUrl);
+    } catch (error) {
+        console.error("An error occurred:", error.message);
+        report("verificationFailed", {message: error.message});
+        return;
+    }
+    await verifyAndReport(file, message.checksum, report, message.signature,
+        message.quarantine ? message.downloadId : null);
+}
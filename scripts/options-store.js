@@ -0,0 +1,121 @@
+/* The options of the extension, until the user changes them. */
+const DEFAULT_OPTIONS = {
+    // The extensions of the files whose download links are monitored.
+    extensions: ["dmg", "exe", "msi", "pkg", "iso", "zip", "7z", "tar.xz", "tar.gz", "tgz", "tar.bz2", "tar", "deb", "rpm",
+        "appimage", "apk", "jar", "whl", "vsix"],
+    // Regular expressions matching the URLs known to start a download.
+    downloadPatterns: ["download"],
+    // When not empty, only those sites are inspected.
+    allowedSites: [],
+    // Sites never inspected.
+    deniedSites: [],
+    // Delete the downloads whose checksum does not match without asking.
+    deleteOnMismatch: false,
+    // Save the downloads under a temporary name until they are verified.
+    quarantine: false,
+    // Notify the verifications that end in a background tab.
+    notifications: false,
+    // How long to wait for the scripts of a page to load its content, in
+    // milliseconds.
+    scanDelay: 200,
+    // The algorithms, the preferred first, and those never computed.
+    algorithmOrder: Object.keys(CHECKSUM_ALGORITHMS),
+    disabledAlgorithms: []
+};
+
+/*******************************************************************************
+ * Options.
+ *
+ * The options are kept under the "options" key of chrome.storage.sync, so that
+ * they follow the user across browsers, and are edited on the options page.
+ * They are read by the content script, to tell which pages to inspect and
+ * which links lead to downloads, and by the service worker, which applies the
+ * algorithm preferences and the automatic actions.
+ ******************************************************************************/
+
+/**
+ * Returns the options of the extension, completed with the default options.
+ *
+ * @returns {Promise<Object>} The options, as DEFAULT_OPTIONS.
+ */
+async function getOptions() {
+    const data = await chrome.storage.sync.get('options');
+    const options = Object.assign({}, DEFAULT_OPTIONS, data.options || {});
+    // Algorithms added since the options were saved come last.
+    options.algorithmOrder = options.algorithmOrder.filter(type => type in CHECKSUM_ALGORITHMS)
+        .concat(Object.keys(CHECKSUM_ALGORITHMS).filter(type => !options.algorithmOrder.includes(type)));
+    return options;
+}
+
+/**
+ * Determines if a host name is a site, or one of its subdomains.
+ *
+ * @param {string} hostname - The host name.
+ * @param {string} site - The site, as a domain name.
+ * @returns {boolean} True if the host name belongs to the site.
+ */
+function siteMatches(hostname, site) {
+    return hostname === site || hostname.endsWith('.' + site);
+}
+
+/**
+ * Determines if the extension inspects the pages of a site, according to the
+ * allowed and denied sites.
+ *
+ * @param {string} hostname - The host name of the page.
+ * @param {Object} options - The options.
+ * @returns {boolean} True if the pages of the site are inspected.
+ */
+function isSiteEnabled(hostname, options) {
+    if (options.deniedSites.some(site => siteMatches(hostname, site))) {
+        return false;
+    }
+    return options.allowedSites.length === 0 || options.allowedSites.some(site => siteMatches(hostname, site));
+}
+
+/**
+ * Determines if a URL leads to a download to verify: if it ends with one of
+ * the monitored extensions, or matches one of the download patterns.
+ *
+ * @param {string} url - The URL to check.
+ * @param {Object} options - The options.
+ * @returns {boolean} True if the URL might lead to a download.
+ */
+function isDownloadUrl(url, options) {
+    const lowerUrl = url.toLowerCase();
+    if (options.extensions.some(ext => lowerUrl.endsWith('.' + ext))) {
+        return true;
+    }
+    return options.downloadPatterns.some(function (pattern) {
+        try {
+            return new RegExp(pattern, 'i').test(url);
+        } catch (e) {
+            console.debug("Invalid download pattern '" + pattern + "': " + e.toString());
+            return false;
+        }
+    });
+}
+
+/**
+ * Applies the algorithm preferences to checksum data: the disabled algorithms
+ * are dropped, and the others are computed, and reported, in the preferred
+ * order.
+ *
+ * @param {Object} checksum - The checksum data, as built by buildChecksum.
+ * @param {Object} options - The options.
+ * @returns {Object} The checksum data to verify the download against.
+ */
+function applyAlgorithmOptions(checksum, options) {
+    const byPreference = types => types
+        .filter(type => !options.disabledAlgorithms.includes(type))
+        .sort((a, b) => options.algorithmOrder.indexOf(a) - options.algorithmOrder.indexOf(b));
+    const candidates = {};
+    for (let [value, types] of Object.entries(checksum.candidates || {})) {
+        candidates[value] = byPreference(types);
+    }
+    return Object.assign({}, checksum, {type: byPreference(checksum.type), candidates: candidates});
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {DEFAULT_OPTIONS, siteMatches, isSiteEnabled, isDownloadUrl, applyAlgorithmOptions};
+}
@@ -0,0 +1,145 @@
+/*******************************************************************************
+ * Options page.
+ *
+ * Edits the options read by the content script and the service worker, see
+ * options-store.js. Lists are edited one entry per line.
+ ******************************************************************************/
+
+const LIST_OPTIONS = ['extensions', 'downloadPatterns', 'allowedSites', 'deniedSites'];
+
+/* The algorithms, in the order shown. */
+let algorithmOrder = [];
+
+/**
+ * Reads a list edited one entry per line.
+ *
+ * @param {string} id - The id of the text area.
+ * @returns {string[]} The entries, without blank lines.
+ */
+function readList(id) {
+    return document.getElementById(id).value.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '');
+}
+
+/**
+ * Lists the algorithms in the preferred order, with a checkbox to disable
+ * each of them and buttons to move them.
+ *
+ * @param {string[]} disabled - The disabled algorithms.
+ */
+function showAlgorithms(disabled) {
+    const list = document.getElementById("algorithms");
+    list.textContent = "";
+    algorithmOrder.forEach(function (type, index) {
+        const item = document.createElement("li");
+        item.className = "list-group-item d-flex align-items-center";
+
+        const enabled = document.createElement("input");
+        enabled.type = "checkbox";
+        enabled.className = "mr-3";
+        enabled.id = "algorithm-" + type;
+        enabled.dataset.type = type;
+        enabled.checked = !disabled.includes(type);
+        const label = document.createElement("label");
+        label.className = "mb-0 flex-grow-1";
+        label.htmlFor = enabled.id;
+        label.textContent = checksumTypeName(type);
+        item.append(enabled, label);
+
+        for (let [offset, icon, message] of [[-1, 'fas fa-arrow-up', 'optionsMoveUp'], [1, 'fas fa-arrow-down', 'optionsMoveDown']]) {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = "btn btn-sm btn-outline-secondary ml-1";
+            button.title = chrome.i18n.getMessage(message, checksumTypeName(type));
+            button.setAttribute("aria-label", button.title);
+            button.disabled = index + offset < 0 || index + offset >= algorithmOrder.length;
+            button.innerHTML = '<i class="' + icon + '" aria-hidden="true"></i>';
+            button.addEventListener("click", function () {
+                const disabledNow = readDisabledAlgorithms();
+                algorithmOrder.splice(index, 1);
+                algorithmOrder.splice(index + offset, 0, type);
+                showAlgorithms(disabledNow);
+            });
+            item.appendChild(button);
+        }
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Reads the algorithms unchecked on the page.
+ *
+ * @returns {string[]} The disabled algorithms.
+ */
+function readDisabledAlgorithms() {
+    return [...document.querySelectorAll("#algorithms input[type=checkbox]")]
+        .filter(checkbox => !checkbox.checked)
+        .map(checkbox => checkbox.dataset.type);
+}
+
+/**
+ * Fills the form with options.
+ *
+ * @param {Object} options - The options, as DEFAULT_OPTIONS.
+ */
+function showOptions(options) {
+    for (let name of LIST_OPTIONS) {
+        document.getElementById(name).value = options[name].join('\n');
+    }
+    document.getElementById("scanDelay").value = options.scanDelay;
+    document.getElementById("deleteOnMismatch").checked = options.deleteOnMismatch;
+    document.getElementById("quarantine").checked = options.quarantine;
+    document.getElementById("notifications").checked = options.notifications;
+    algorithmOrder = [...options.algorithmOrder];
+    showAlgorithms(options.disabledAlgorithms);
+}
+
+/**
+ * Reads the options of the form, and checks them.
+ *
+ * @returns {Object} The options, as DEFAULT_OPTIONS.
+ * @throws {Error} If a download pattern is not a valid regular expression.
+ */
+function readOptions() {
+    const options = {};
+    for (let name of LIST_OPTIONS) {
+        options[name] = readList(name);
+    }
+    // Extensions are compared with the end of the URLs, in lower case.
+    options.extensions = options.extensions.map(ext => ext.toLowerCase().replace(/^\.+/, ''));
+    options.allowedSites = options.allowedSites.map(site => site.toLowerCase());
+    options.deniedSites = options.deniedSites.map(site => site.toLowerCase());
+    for (let pattern of options.downloadPatterns) {
+        try {
+            new RegExp(pattern);
+        } catch (e) {
+            throw new Error(chrome.i18n.getMessage("optionsInvalidPattern", pattern));
+        }
+    }
+    options.scanDelay = Math.max(0, parseInt(document.getElementById("scanDelay").value) || 0);
+    options.deleteOnMismatch = document.getElementById("deleteOnMismatch").checked;
+    options.quarantine = document.getElementById("quarantine").checked;
+    options.notifications = document.getElementById("notifications").checked;
+    options.algorithmOrder = [...algorithmOrder];
+    options.disabledAlgorithms = readDisabledAlgorithms();
+    return options;
+}
+
+document.getElementById("options").addEventListener("submit", async function (event) {
+    event.preventDefault();
+    const status = document.getElementById("status");
+    try {
+        await chrome.storage.sync.set({options: readOptions()});
+        status.className = "ml-2 text-success";
+        status.textContent = chrome.i18n.getMessage("optionsSaved");
+    } catch (error) {
+        status.className = "ml-2 text-danger";
+        status.textContent = error.message;
+    }
+});
+
+document.getElementById("reset").addEventListener("click", function () {
+    showOptions(DEFAULT_OPTIONS);
+    document.getElementById("status").textContent = "";
+});
+
+getOptions().then(showOptions);
@@ -0,0 +1,162 @@
+/*******************************************************************************
+ * Toolbar popup.
+ *
+ * Lists the downloads tracked in every tab, with the progress of their
+ * download and verification, and the downloads verified lately. Opening the
+ * popup clears the count of failed verifications on the toolbar badge.
+ ******************************************************************************/
+
+/* How many of the verifications of the last day are listed. */
+const RECENT_RECORDS = 5;
+/* How often the progress of the downloads is refreshed, in milliseconds. */
+const DOWNLOAD_REFRESH_PERIOD = 1000;
+
+const STATE_STYLES = {
+    [DOWNLOAD_STATE_DOWNLOADING]: {icon: 'fas fa-download', className: 'text-info', message: 'actionPopupDownloading'},
+    [DOWNLOAD_STATE_VERIFYING]: {icon: 'fas fa-spinner fa-spin', className: 'text-primary', message: 'actionPopupVerifying'},
+    [DOWNLOAD_STATE_AWAITING_FILE]: {icon: 'fas fa-hourglass-half', className: 'text-warning', message: 'actionPopupAwaitingFile'}
+};
+
+/* The tracked downloads, by id, and their items in the browser. */
+let downloads = {};
+let items = {};
+/* The progress of the verifications, in percent, by download id. */
+let progress = {};
+
+/**
+ * Returns the name of a tracked download: the name it gets back once out of
+ * quarantine, the name it is saved under, or the name its URL tells.
+ *
+ * @param {string} id - The id of the download.
+ * @param {Object} entry - The entry of the download in the registry.
+ * @returns {string} The name of the file.
+ */
+function downloadFilename(id, entry) {
+    if (entry.quarantine) {
+        return entry.quarantine.filename;
+    }
+    const item = items[id];
+    return item && item.filename ? item.filename.split(/[\\/]/).pop() : filenameFromUrl(entry.download);
+}
+
+/**
+ * Creates an item of a list.
+ *
+ * @param {{icon: string, className: string}} style - The icon of the status,
+ * and its class.
+ * @param {string} filename - The name of the file.
+ * @param {string} status - The status of the file.
+ * @returns {HTMLLIElement} The item.
+ */
+function createItem(style, filename, status) {
+    const item = document.createElement("li");
+    item.className = "list-group-item";
+    const name = document.createElement("div");
+    name.className = "filename";
+    name.textContent = filename;
+    const text = document.createElement("small");
+    text.className = style.className;
+    const icon = document.createElement("i");
+    icon.className = style.icon + " mr-1";
+    icon.setAttribute("aria-hidden", "true");
+    text.append(icon, status);
+    item.append(name, text);
+    return item;
+}
+
+/* Lists the tracked downloads, the most recent first. */
+function showDownloads() {
+    const list = document.getElementById("downloads");
+    list.textContent = "";
+    const entries = Object.entries(downloads).sort(([, a], [, b]) => b.startedAt - a.startedAt);
+    for (let [id, entry] of entries) {
+        const style = STATE_STYLES[entry.state];
+        let status = chrome.i18n.getMessage(style.message);
+        const item = items[id];
+        if (entry.state === DOWNLOAD_STATE_DOWNLOADING && item && item.totalBytes > 0) {
+            status += ' ' + Math.floor(100 * item.bytesReceived / item.totalBytes) + '%';
+        } else if (entry.state === DOWNLOAD_STATE_VERIFYING && id in progress) {
+            status += ' ' + Math.floor(progress[id]) + '%';
+        }
+        const element = createItem(style, downloadFilename(id, entry), status);
+
+        // The user selects the file in the popup of its tab.
+        if (entry.state === DOWNLOAD_STATE_AWAITING_FILE && entry.tab !== null) {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = "btn btn-sm btn-outline-primary d-block mt-1";
+            button.textContent = chrome.i18n.getMessage("actionPopupShowTab");
+            button.addEventListener("click", async function () {
+                const tab = await chrome.tabs.update(entry.tab, {active: true});
+                await chrome.windows.update(tab.windowId, {focused: true});
+                window.close();
+            });
+            element.appendChild(button);
+        }
+        list.appendChild(element);
+    }
+    document.getElementById("noDownloads").hidden = entries.length !== 0;
+}
+
+/**
+ * Lists the downloads verified during the last day.
+ *
+ * @param {Object[]} history - The records of the history, the most recent
+ * first.
+ */
+function showRecent(history) {
+    const list = document.getElementById("recent");
+    list.textContent = "";
+    const recent = history.filter(record => record.source === HISTORY_SOURCE_DOWNLOAD && record.timestamp > Date.now() - DAY)
+        .slice(0, RECENT_RECORDS);
+    for (let record of recent) {
+        const style = HISTORY_OUTCOME_STYLES[record.outcome];
+        list.appendChild(createItem(style, record.filename,
+            chrome.i18n.getMessage(style.message) + ' · ' + new Date(record.timestamp).toLocaleTimeString()));
+    }
+    document.getElementById("noRecent").hidden = recent.length !== 0;
+}
+
+/* Reads the tracked downloads, and the progress of those being downloaded. */
+async function refreshDownloads() {
+    downloads = (await getTracking()).downloads;
+    items = {};
+    for (let id of Object.keys(downloads)) {
+        const [item] = await chrome.downloads.search({id: parseInt(id)});
+        items[id] = item || null;
+    }
+    showDownloads();
+}
+
+// The offscreen document and the hashing frames report to every extension
+// page, the popup included.
+chrome.runtime.onMessage.addListener(function (message) {
+    if (message.type === "verificationStarted") {
+        progress[message.downloadId] = 0;
+        showDownloads();
+    } else if (message.type === "verificationProgress") {
+        progress[message.downloadId] = message.percentage;
+        showDownloads();
+    }
+});
+
+chrome.storage.onChanged.addListener(function (changes, areaName) {
+    if (areaName === 'local' && 'downloads' in changes) {
+        refreshDownloads();
+    }
+    if (areaName === 'local' && 'history' in changes) {
+        showRecent(changes.history.newValue || []);
+    }
+});
+
+setInterval(function () {
+    if (Object.values(downloads).some(entry => entry.state === DOWNLOAD_STATE_DOWNLOADING)) {
+        refreshDownloads();
+    }
+}, DOWNLOAD_REFRESH_PERIOD);
+
+refreshDownloads();
+chrome.storage.local.get('history', function (data) {
+    showRecent(data.history || []);
+});
+chrome.storage.local.set({failuresSeenAt: Date.now()});
@@ -0,0 +1,211 @@
+/*******************************************************************************
+ * Page scanner.
+ *
+ * Reads the text of a page the way it reads on screen, so that the checksums
+ * it shows can be looked for in it. Syntax highlighters split checksums across
+ * inline elements, and long checksums are wrapped with <wbr> elements: the text
+ * of the inline elements is therefore read along with that of the block they
+ * are in, such as a table cell or a code block. The attributes that hold
+ * checksums, the documents of same-origin frames and the open shadow roots of
+ * custom elements are read too: the data attributes named after checksums,
+ * such as data-sha256 or data-clipboard-text, the titles, and the values of
+ * the read-only fields that show them. The values of the other fields, such
+ * as the tokens of forms, are not read.
+ *
+ * The text is read as segments, each telling the element the text found at a
+ * given offset is in, and its location on the page as a CSS selector, from the
+ * closest ancestor that has an id, or else from the body. The parts of the
+ * location are separated by " >> " where it goes into a frame or a shadow
+ * root.
+ *
+ * Only the standard properties of the nodes are read, so that the pages parsed
+ * by the command-line tool (cli/verify.js) read the same way.
+ ******************************************************************************/
+
+/* The elements whose text reads along with that of their parent. */
+const INLINE_ELEMENTS = new Set([
+    'A', 'ABBR', 'B', 'BDI', 'BDO', 'CITE', 'CODE', 'DATA', 'DEL', 'DFN', 'EM', 'FONT', 'I', 'INS', 'KBD', 'LABEL',
+    'MARK', 'Q', 'S', 'SAMP', 'SMALL', 'SPAN', 'STRONG', 'SUB', 'SUP', 'TIME', 'TT', 'U', 'VAR', 'WBR'
+]);
+/* The elements whose content is not shown as text. */
+const SKIPPED_ELEMENTS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE']);
+/* The attributes read for checksums, besides the data attributes named after
+ * them and the values of read-only fields, see isChecksumAttribute. */
+const CHECKSUM_ATTRIBUTES = ['title'];
+const REGEXP_CHECKSUM_ATTRIBUTE = /^data-.*(sha|md5|blake|crc|hash|checksum|digest|clipboard)/i;
+/* The types of the nodes read, as Node.ELEMENT_NODE and Node.TEXT_NODE. */
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+/**
+ * Describes an element as a part of a CSS selector: its tag name with its id,
+ * or with its position among the children of its parent of the same tag.
+ *
+ * @param {Element} elem - The element.
+ * @returns {string} The part of the selector.
+ */
+function describeElement(elem) {
+    const tag = elem.localName;
+    if (elem.id) {
+        return tag + '#' + elem.id;
+    }
+    const parent = elem.parentElement;
+    if (parent === null) {
+        return tag;
+    }
+    const sameTag = [...parent.children].filter(child => child.localName === tag);
+    return sameTag.length > 1 ? tag + ':nth-of-type(' + (sameTag.indexOf(elem) + 1) + ')' : tag;
+}
+
+/**
+ * Returns a CSS selector of an element: its ancestors, from the closest one
+ * that has an id, or else from the body or the root of the shadow tree it is
+ * in, so that the same element is always located the same way.
+ *
+ * @param {Element} elem - The element.
+ * @returns {string} The selector.
+ */
+function elementLocation(elem) {
+    const parts = [];
+    while (elem && elem.nodeType === ELEMENT_NODE) {
+        parts.unshift(describeElement(elem));
+        if (elem.id || elem.localName === 'body') {
+            break;
+        }
+        elem = elem.parentElement;
+    }
+    return parts.join(' > ');
+}
+
+/**
+ * Tells whether an attribute of an element may show a checksum.
+ *
+ * @param {Element} elem - The element.
+ * @param {{name: string, value: string}} attribute - The attribute.
+ * @returns {boolean} True if the attribute is read for checksums.
+ */
+function isChecksumAttribute(elem, attribute) {
+    if (attribute.name === 'value') {
+        // The fields the user can see and copy from, but not edit.
+        return elem.nodeName === 'INPUT' && elem.hasAttribute('readonly') &&
+            (elem.getAttribute('type') || 'text').toLowerCase() !== 'hidden';
+    }
+    return CHECKSUM_ATTRIBUTES.includes(attribute.name) || REGEXP_CHECKSUM_ATTRIBUTE.test(attribute.name);
+}
+
+/**
+ * Returns the closest element containing two elements.
+ *
+ * @param {Element} first - The first element.
+ * @param {Element} second - The second element.
+ * @returns {Element} Their closest common ancestor, or one of them if it
+ * contains the other.
+ */
+function commonAncestor(first, second) {
+    for (let elem = first; elem; elem = elem.parentElement) {
+        if (elem.contains(second)) {
+            return elem;
+        }
+    }
+    return first;
+}
+
+/**
+ * Reads the text of a page, or of a part of it.
+ *
+ * @param {Node} root - The element, document or shadow root to read.
+ * @param {string} [prefix=''] - The location of the frame or shadow root
+ * being read, followed by " >> ".
+ * @param {?Element} [ignored=null] - An element not to read, such as the
+ * popup of the extension.
+ * @returns {{text: string, attribute: ?string, elementAt: function(number):
+ * ?Element, locate: function(number, number=): string}[]} The segments of
+ * text, one per block and per attribute, with the name of the attribute, and
+ * the functions that give the element of the text found at an offset of each,
+ * and the location of the text of a given length found at an offset: that of
+ * the closest element holding all of it, such as a checksum split across
+ * several inline elements.
+ */
+function collectPageText(root, prefix = '', ignored = null) {
+    const segments = [];
+    const newBlock = function () {
+        const block = {text: '', nodes: []};
+        block.elementAt = function (offset) {
+            const node = block.nodes.filter(node => node.offset <= offset).pop();
+            return node ? node.element : null;
+        };
+        block.locate = function (offset, length = 1) {
+            const first = block.elementAt(offset);
+            const last = block.elementAt(offset + Math.max(length, 1) - 1);
+            return prefix + elementLocation(first && last ? commonAncestor(first, last) : first);
+        };
+        return block;
+    };
+    const addBlock = function (block) {
+        if (block.text.trim() !== '') {
+            segments.push({text: block.text, attribute: null, elementAt: block.elementAt, locate: block.locate});
+        }
+    };
+    const readAttributes = function (elem) {
+        for (let attribute of elem.attributes) {
+            if (isChecksumAttribute(elem, attribute)) {
+                const location = prefix + elementLocation(elem) + '[' + attribute.name + ']';
+                // The name of the attribute may name the algorithm, as in data-sha256.
+                segments.push({
+                    text: attribute.name + ': ' + attribute.value,
+                    attribute: attribute.name,
+                    elementAt: () => elem,
+                    locate: () => location
+                });
+            }
+        }
+    };
+    const readNode = function (node, block) {
+        for (let child of node.childNodes) {
+            if (child.nodeType === TEXT_NODE) {
+                block.nodes.push({offset: block.text.length, element: child.parentElement});
+                // Zero-width spaces and soft hyphens also wrap long checksums.
+                block.text += child.nodeValue.replace(/[\u200b\u00ad]/g, '');
+                continue;
+            }
+            if (child.nodeType !== ELEMENT_NODE || SKIPPED_ELEMENTS.has(child.nodeName) || child.hidden ||
+                child === ignored) {
+                continue;
+            }
+            readAttributes(child);
+            if (child.nodeName === 'BR') {
+                block.text += '\n';
+            } else if (child.nodeName === 'IFRAME') {
+                // The frames of other origins cannot be read.
+                let frameDocument = null;
+                try {
+                    frameDocument = child.contentDocument;
+                } catch (e) {
+                    console.debug("Could not read the frame " + child.src + ": " + e.message);
+                }
+                if (frameDocument && frameDocument.body) {
+                    segments.push(...collectPageText(frameDocument.body, prefix + elementLocation(child) + ' >> ', ignored));
+                }
+            } else if (INLINE_ELEMENTS.has(child.nodeName)) {
+                readNode(child, block);
+            } else {
+                const inner = newBlock();
+                readNode(child, inner);
+                addBlock(inner);
+                block.text += '\n';
+            }
+            if (child.shadowRoot) {
+                segments.push(...collectPageText(child.shadowRoot, prefix + elementLocation(child) + ' >> ', ignored));
+            }
+        }
+    };
+
+    const block = newBlock();
+    readNode(root, block);
+    addBlock(block);
+    return segments;
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {describeElement, elementLocation, isChecksumAttribute, commonAncestor, collectPageText};
+}
@@ -0,0 +1,220 @@
+/*******************************************************************************
+ * SHA-512/256.
+ *
+ * hash-wasm does not implement SHA-512/256, which is SHA-512 with other initial
+ * values, truncated to 256 bits (FIPS 180-4). This streaming implementation
+ * follows the interface of the hash-wasm hashers used by the hashing worker:
+ * init, update, digest, save and load. 64 bits words are stored as pairs of
+ * 32 bits integers, high word first.
+ ******************************************************************************/
+
+const SHA512_BLOCK_SIZE = 128;
+
+/* The round constants of SHA-512. */
+const SHA512_K = new Int32Array([
+    0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd,
+    0xb5c0fbcf, 0xec4d3b2f, 0xe9b5dba5, 0x8189dbbc,
+    0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019,
+    0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118,
+    0xd807aa98, 0xa3030242, 0x12835b01, 0x45706fbe,
+    0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+    0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1,
+    0x9bdc06a7, 0x25c71235, 0xc19bf174, 0xcf692694,
+    0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3,
+    0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65,
+    0x2de92c6f, 0x592b0275, 0x4a7484aa, 0x6ea6e483,
+    0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+    0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210,
+    0xb00327c8, 0x98fb213f, 0xbf597fc7, 0xbeef0ee4,
+    0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725,
+    0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70,
+    0x27b70a85, 0x46d22ffc, 0x2e1b2138, 0x5c26c926,
+    0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+    0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8,
+    0x81c2c92e, 0x47edaee6, 0x92722c85, 0x1482353b,
+    0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001,
+    0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30,
+    0xd192e819, 0xd6ef5218, 0xd6990624, 0x5565a910,
+    0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+    0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53,
+    0x2748774c, 0xdf8eeb99, 0x34b0bcb5, 0xe19b48a8,
+    0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb,
+    0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3,
+    0x748f82ee, 0x5defb2fc, 0x78a5636f, 0x43172f60,
+    0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+    0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9,
+    0xbef9a3f7, 0xb2c67915, 0xc67178f2, 0xe372532b,
+    0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207,
+    0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178,
+    0x06f067aa, 0x72176fba, 0x0a637dc5, 0xa2c898a6,
+    0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+    0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493,
+    0x3c9ebe0a, 0x15c9bebc, 0x431d67c4, 0x9c100d4c,
+    0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a,
+    0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817
+]);
+
+/* The initial values of SHA-512/256. */
+const SHA512_256_IV = new Int32Array([
+    0x22312194, 0xfc2bf72c, 0x9f555fa3, 0xc84c64c2,
+    0x2393b86b, 0x6f53b151, 0x96387719, 0x5940eabd,
+    0x96283ee2, 0xa88effe3, 0xbe5e1e25, 0x53863992,
+    0x2b0199fc, 0x2c85b8aa, 0x0eb72ddc, 0x81c52ca2
+]);
+
+/**
+ * Processes a block of 128 bytes. Additions carry from the low to the high
+ * words when the unsigned low sum wraps around.
+ *
+ * @param {Int32Array} h - The state, updated in place.
+ * @param {Int32Array} w - The message schedule, 160 words.
+ * @param {Uint8Array} data - The data.
+ * @param {number} offset - The position of the block in the data.
+ */
+function sha512Block(h, w, data, offset) {
+    let xh, xl, th, tl, sh, sl;
+    for (let i = 0; i < 32; i++) {
+        const p = offset + i * 4;
+        w[i] = (data[p] << 24) | (data[p + 1] << 16) | (data[p + 2] << 8) | data[p + 3];
+    }
+    for (let i = 32; i < 160; i += 2) {
+        // w[t] = sigma1(w[t - 2]) + w[t - 7] + sigma0(w[t - 15]) + w[t - 16]
+        xh = w[i - 4];
+        xl = w[i - 3];
+        th = ((xh >>> 19) | (xl << 13)) ^ ((xl >>> 29) | (xh << 3)) ^ (xh >>> 6);
+        tl = ((xl >>> 19) | (xh << 13)) ^ ((xh >>> 29) | (xl << 3)) ^ ((xl >>> 6) | (xh << 26));
+        sl = (tl + w[i - 13]) | 0;
+        th = (th + w[i - 14] + ((sl >>> 0) < (tl >>> 0) ? 1 : 0)) | 0;
+        xh = w[i - 30];
+        xl = w[i - 29];
+        sh = ((xh >>> 1) | (xl << 31)) ^ ((xh >>> 8) | (xl << 24)) ^ (xh >>> 7);
+        tl = ((xl >>> 1) | (xh << 31)) ^ ((xl >>> 8) | (xh << 24)) ^ ((xl >>> 7) | (xh << 25));
+        xl = (sl + tl) | 0;
+        th = (th + sh + ((xl >>> 0) < (tl >>> 0) ? 1 : 0)) | 0;
+        tl = (xl + w[i - 31]) | 0;
+        w[i] = (th + w[i - 32] + ((tl >>> 0) < (xl >>> 0) ? 1 : 0)) | 0;
+        w[i + 1] = tl;
+    }
+
+    let ah = h[0], al = h[1], bh = h[2], bl = h[3], ch = h[4], cl = h[5], dh = h[6], dl = h[7];
+    let eh = h[8], el = h[9], fh = h[10], fl = h[11], gh = h[12], gl = h[13], hh = h[14], hl = h[15];
+    for (let i = 0; i < 160; i += 2) {
+        // T1 = h + Sigma1(e) + Ch(e, f, g) + K[t] + W[t]
+        sh = ((eh >>> 14) | (el << 18)) ^ ((eh >>> 18) | (el << 14)) ^ ((el >>> 9) | (eh << 23));
+        sl = ((el >>> 14) | (eh << 18)) ^ ((el >>> 18) | (eh << 14)) ^ ((eh >>> 9) | (el << 23));
+        tl = (hl + sl) | 0;
+        th = (hh + sh + ((tl >>> 0) < (sl >>> 0) ? 1 : 0)) | 0;
+        sl = (fl & el) ^ (gl & ~el);
+        xl = (tl + sl) | 0;
+        th = (th + ((fh & eh) ^ (gh & ~eh)) + ((xl >>> 0) < (sl >>> 0) ? 1 : 0)) | 0;
+        sl = SHA512_K[i + 1];
+        tl = (xl + sl) | 0;
+        th = (th + SHA512_K[i] + ((tl >>> 0) < (sl >>> 0) ? 1 : 0)) | 0;
+        sl = w[i + 1];
+        xl = (tl + sl) | 0;
+        th = (th + w[i] + ((xl >>> 0) < (sl >>> 0) ? 1 : 0)) | 0;
+        tl = xl;
+        // T2 = Sigma0(a) + Maj(a, b, c)
+        sh = ((ah >>> 28) | (al << 4)) ^ ((al >>> 2) | (ah << 30)) ^ ((al >>> 7) | (ah << 25));
+        sl = ((al >>> 28) | (ah << 4)) ^ ((ah >>> 2) | (al << 30)) ^ ((ah >>> 7) | (al << 25));
+        xl = (al & bl) ^ (al & cl) ^ (bl & cl);
+        const t2l = (sl + xl) | 0;
+        const t2h = (sh + ((ah & bh) ^ (ah & ch) ^ (bh & ch)) + ((t2l >>> 0) < (xl >>> 0) ? 1 : 0)) | 0;
+
+        hh = gh; hl = gl;
+        gh = fh; gl = fl;
+        fh = eh; fl = el;
+        el = (dl + tl) | 0;
+        eh = (dh + th + ((el >>> 0) < (tl >>> 0) ? 1 : 0)) | 0;
+        dh = ch; dl = cl;
+        ch = bh; cl = bl;
+        bh = ah; bl = al;
+        al = (tl + t2l) | 0;
+        ah = (th + t2h + ((al >>> 0) < (t2l >>> 0) ? 1 : 0)) | 0;
+    }
+
+    const state = [ah, al, bh, bl, ch, cl, dh, dl, eh, el, fh, fl, gh, gl, hh, hl];
+    for (let i = 0; i < 16; i += 2) {
+        const low = (h[i + 1] + state[i + 1]) | 0;
+        h[i] = (h[i] + state[i] + ((low >>> 0) < (state[i + 1] >>> 0) ? 1 : 0)) | 0;
+        h[i + 1] = low;
+    }
+}
+
+/**
+ * Creates a SHA-512/256 hasher.
+ *
+ * @returns {Promise<Object>} The hasher, initialized.
+ */
+function createSHA512_256() {
+    const h = new Int32Array(16);
+    const w = new Int32Array(160);
+    const buffer = new Uint8Array(SHA512_BLOCK_SIZE);
+    let bufferLength = 0;
+    let length = 0;
+
+    const hasher = {
+        init: function () {
+            h.set(SHA512_256_IV);
+            bufferLength = 0;
+            length = 0;
+            return hasher;
+        },
+        update: function (data) {
+            let offset = 0;
+            length += data.length;
+            if (bufferLength > 0) {
+                const count = Math.min(SHA512_BLOCK_SIZE - bufferLength, data.length);
+                buffer.set(data.subarray(0, count), bufferLength);
+                bufferLength += count;
+                offset = count;
+                if (bufferLength < SHA512_BLOCK_SIZE) {
+                    return hasher;
+                }
+                sha512Block(h, w, buffer, 0);
+                bufferLength = 0;
+            }
+            for (; offset + SHA512_BLOCK_SIZE <= data.length; offset += SHA512_BLOCK_SIZE) {
+                sha512Block(h, w, data, offset);
+            }
+            buffer.set(data.subarray(offset), 0);
+            bufferLength = data.length - offset;
+            return hasher;
+        },
+        digest: function (outputType) {
+            // Padding: a 1 bit, zeros, and the length in bits on 128 bits.
+            const padding = new Uint8Array(bufferLength < 112 ? 128 - bufferLength : 256 - bufferLength);
+            padding[0] = 0x80;
+            const bits = length * 8;
+            const view = new DataView(padding.buffer);
+            view.setUint32(padding.length - 8, Math.floor(bits / 0x100000000));
+            view.setUint32(padding.length - 4, bits >>> 0);
+            hasher.update(padding);
+
+            const digest = new Uint8Array(32);
+            const digestView = new DataView(digest.buffer);
+            for (let i = 0; i < 8; i++) {
+                digestView.setUint32(i * 4, h[i]);
+            }
+            if (outputType === 'binary') {
+                return digest;
+            }
+            return [...digest].map(byte => byte.toString(16).padStart(2, '0')).join('');
+        },
+        save: function () {
+            return {h: h.slice(), buffer: buffer.slice(), bufferLength: bufferLength, length: length};
+        },
+        load: function (state) {
+            h.set(state.h);
+            buffer.set(state.buffer);
+            bufferLength = state.bufferLength;
+            length = state.length;
+            return hasher;
+        }
+    };
+    return Promise.resolve(hasher.init());
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {createSHA512_256};
+}
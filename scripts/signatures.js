@@ -0,0 +1,594 @@
+/* Detached signatures: file.iso.asc, file.iso.sig, file.iso.minisig, SHA256SUMS.gpg... */
+const REGEXP_SIGNATURE_FILE = /\.(asc|sig|gpg|sign|minisig)$/i;
+const PGP_ARMOR_SIGNATURE = '-----BEGIN PGP SIGNATURE-----';
+const PGP_ARMOR_SIGNED_MESSAGE = '-----BEGIN PGP SIGNED MESSAGE-----';
+/* minisign and signify files start with this line. */
+const MINISIGN_UNTRUSTED_COMMENT = 'untrusted comment:';
+const MINISIGN_TRUSTED_COMMENT = 'trusted comment:';
+/* The untrusted comment of minisign public keys; signify ones name their use. */
+const MINISIGN_KEY_COMMENT = 'minisign public key';
+/* Ed25519 signature of the data itself, or of its BLAKE2b-512 checksum. */
+const MINISIGN_ALGORITHM_PURE = 'Ed';
+const MINISIGN_ALGORITHM_PREHASHED = 'ED';
+/* Signatures made with ssh-keygen -Y sign. */
+const SSH_ARMOR_SIGNATURE = '-----BEGIN SSH SIGNATURE-----';
+const SSH_SIGNATURE_MAGIC = 'SSHSIG';
+/* The namespace ssh-keygen uses for the signatures of files. */
+const SSH_SIGNATURE_NAMESPACE = 'file';
+const SSH_KEY_ED25519 = 'ssh-ed25519';
+/* Algorithm names of the hashing worker, for the prehashed signatures. */
+const SSH_HASH_ALGORITHMS = {sha256: 'sha256', sha512: 'sha512'};
+/* The largest file a signature of the data itself is verified against, as
+ * the whole file is then read in memory: pure Ed25519 minisign signatures,
+ * and signify signatures. */
+const MAX_SIGNED_DATA_SIZE = 256 * 1024 * 1024; // 256MB
+
+/* Formats of the signatures, and of the keys pinned to verify them. */
+const SIGNATURE_FORMAT_OPENPGP = 'openpgp';
+const SIGNATURE_FORMAT_MINISIGN = 'minisign';
+const SIGNATURE_FORMAT_SIGNIFY = 'signify';
+const SIGNATURE_FORMAT_SSH = 'ssh';
+
+/* The formats of the keys that verify minisign and signify signatures. */
+const MINISIGN_KEY_FORMATS = [SIGNATURE_FORMAT_MINISIGN, SIGNATURE_FORMAT_SIGNIFY];
+
+const SIGNATURE_FORMAT_NAMES = {
+    [SIGNATURE_FORMAT_OPENPGP]: 'OpenPGP',
+    [SIGNATURE_FORMAT_MINISIGN]: 'minisign',
+    [SIGNATURE_FORMAT_SIGNIFY]: 'signify',
+    [SIGNATURE_FORMAT_SSH]: 'SSH'
+};
+
+/* The signature was made by a key of the user's keyring. */
+const SIGNATURE_TRUSTED = 'trusted';
+/* The signature was made by a key the user has not imported. */
+const SIGNATURE_UNKNOWN_KEY = 'unknownKey';
+/* The signature does not match the signed data. */
+const SIGNATURE_INVALID = 'invalid';
+/* The signature could not be read or fetched. */
+const SIGNATURE_ERROR = 'error';
+/* The signed file is too large to be verified, see MAX_SIGNED_DATA_SIZE. */
+const SIGNATURE_TOO_LARGE = 'tooLarge';
+
+/*******************************************************************************
+ * Signatures.
+ *
+ * The functions below recognize the signature files published next to
+ * downloads and verify them against the keys of the user, kept in
+ * chrome.storage: OpenPGP signatures against the keyring, with OpenPGP.js
+ * (openpgp.min.js), and the Ed25519 signatures of minisign, signify and
+ * ssh-keygen against the keys pinned for the site of the download, with
+ * WebCrypto. The content script only uses the functions recognizing signature
+ * files.
+ ******************************************************************************/
+
+/**
+ * Determines if a URL points to a detached signature.
+ *
+ * @param {string} url - The URL to check.
+ * @returns {boolean} True if the file name is one of a signature file.
+ */
+function isSignatureFile(url) {
+    return REGEXP_SIGNATURE_FILE.test(filenameFromUrl(url));
+}
+
+/**
+ * Returns the name of the file a detached signature applies to, which is the
+ * name of the signature without its extension.
+ *
+ * @param {string} url - The URL of the signature.
+ * @returns {string} The name of the signed file.
+ */
+function signedFilename(url) {
+    return filenameFromUrl(url).replace(REGEXP_SIGNATURE_FILE, '');
+}
+
+/**
+ * Formats a fingerprint or key ID the way GnuPG displays them: in upper case,
+ * by groups of four characters.
+ *
+ * @param {string} fingerprint - The hexadecimal fingerprint.
+ * @returns {string} The formatted fingerprint.
+ */
+function formatFingerprint(fingerprint) {
+    return fingerprint.toUpperCase().match(/.{1,4}/g).join(' ');
+}
+
+/**
+ * Reads the armored public keys of a keyring. Keys that cannot be read are
+ * ignored.
+ *
+ * @param {string[]} armoredKeys - The armored public keys.
+ * @returns {Promise<Object[]>} The OpenPGP.js keys.
+ */
+async function readKeyring(armoredKeys) {
+    const keys = [];
+    for (let armoredKey of armoredKeys) {
+        try {
+            keys.push(await openpgp.readKey({armoredKey: armoredKey}));
+        } catch (e) {
+            console.debug("Could not read a key of the keyring: " + e.toString());
+        }
+    }
+    return keys;
+}
+
+/**
+ * Describes the key that made a valid signature.
+ *
+ * @param {Object} key - The OpenPGP.js key.
+ * @returns {{format: string, status: string, signer: ?string, fingerprint:
+ * string}} The signature result.
+ */
+function trustedSignature(key) {
+    return {
+        format: SIGNATURE_FORMAT_OPENPGP,
+        status: SIGNATURE_TRUSTED,
+        signer: key.getUserIDs()[0] || null,
+        fingerprint: formatFingerprint(key.getFingerprint())
+    };
+}
+
+/**
+ * Verifies OpenPGP signatures against a keyring.
+ *
+ * @param {Object} message - The OpenPGP.js message or cleartext message.
+ * @param {Object} [signature] - The detached OpenPGP.js signature, if any.
+ * @param {string[]} armoredKeys - The armored public keys of the keyring.
+ * @param {boolean} streamed - Whether the message data is a stream, which must
+ * be read for the signature to be verified.
+ * @returns {Promise<{format: string, status: string, signer: ?string,
+ * fingerprint: ?string}>} The signature result.
+ */
+async function verifyPgpMessage(message, signature, armoredKeys, streamed) {
+    const keyIDs = signature ? signature.getSigningKeyIDs() : message.getSigningKeyIDs();
+    const keys = await readKeyring(armoredKeys);
+    const key = keys.find(key => keyIDs.some(keyID => key.getKeys(keyID).length !== 0));
+    if (!key) {
+        return {
+            format: SIGNATURE_FORMAT_OPENPGP,
+            status: SIGNATURE_UNKNOWN_KEY,
+            signer: null,
+            fingerprint: keyIDs.map(keyID => formatFingerprint(keyID.toHex())).join(', ')
+        };
+    }
+
+    const result = await openpgp.verify({
+        message: message,
+        signature: signature,
+        verificationKeys: [key],
+        format: 'binary'
+    });
+    if (streamed) {
+        const reader = result.data.getReader();
+        while (!(await reader.read()).done) {
+            // Reading the data feeds the signature verification.
+        }
+    }
+    try {
+        await result.signatures[0].verified;
+    } catch (e) {
+        console.debug("Invalid signature: " + e.toString());
+        return {format: SIGNATURE_FORMAT_OPENPGP, status: SIGNATURE_INVALID, signer: key.getUserIDs()[0] || null, fingerprint: formatFingerprint(key.getFingerprint())};
+    }
+    return trustedSignature(key);
+}
+
+/**
+ * Verifies an OpenPGP detached signature, armored or binary.
+ *
+ * @param {Uint8Array|ReadableStream<Uint8Array>} data - The signed data, as
+ * bytes or as a stream for large files.
+ * @param {Uint8Array} signatureBytes - The content of the signature file.
+ * @param {string[]} armoredKeys - The armored public keys of the keyring.
+ * @returns {Promise<{format: string, status: string, signer: ?string,
+ * fingerprint: ?string}>} The signature result.
+ */
+async function verifyPgpSignature(data, signatureBytes, armoredKeys) {
+    let signature;
+    let message;
+    try {
+        const text = new TextDecoder().decode(signatureBytes.subarray(0, PGP_ARMOR_SIGNATURE.length));
+        signature = text === PGP_ARMOR_SIGNATURE ?
+            await openpgp.readSignature({armoredSignature: new TextDecoder().decode(signatureBytes)}) :
+            await openpgp.readSignature({binarySignature: signatureBytes});
+        message = await openpgp.createMessage({binary: data});
+    } catch (e) {
+        console.debug("Could not read the signature: " + e.toString());
+        return {format: SIGNATURE_FORMAT_OPENPGP, status: SIGNATURE_ERROR, signer: null, fingerprint: null};
+    }
+    return verifyPgpMessage(message, signature, armoredKeys, !(data instanceof Uint8Array));
+}
+
+/**
+ * Verifies an OpenPGP cleartext signed message, such as a clearsigned
+ * checksum file.
+ *
+ * @param {string} text - The armored cleartext message.
+ * @param {string[]} armoredKeys - The armored public keys of the keyring.
+ * @returns {Promise<{format: string, status: string, signer: ?string,
+ * fingerprint: ?string}>} The signature result.
+ */
+async function verifyPgpCleartext(text, armoredKeys) {
+    let message;
+    try {
+        message = await openpgp.readCleartextMessage({cleartextMessage: text});
+    } catch (e) {
+        console.debug("Could not read the signed message: " + e.toString());
+        return {format: SIGNATURE_FORMAT_OPENPGP, status: SIGNATURE_ERROR, signer: null, fingerprint: null};
+    }
+    return verifyPgpMessage(message, undefined, armoredKeys, false);
+}
+
+/**
+ * Decodes a base64 string to bytes.
+ *
+ * @param {string} value - The base64 string.
+ * @returns {Uint8Array} The decoded bytes.
+ */
+function base64ToBytes(value) {
+    const binary = atob(value.trim());
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Encodes bytes to base64.
+ *
+ * @param {Uint8Array} bytes - The bytes to encode.
+ * @returns {string} The base64 string.
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decodes a hexadecimal string to bytes.
+ *
+ * @param {string} hex - The hexadecimal string.
+ * @returns {Uint8Array} The decoded bytes.
+ */
+function hexToBytes(hex) {
+    return new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)));
+}
+
+/**
+ * Formats a minisign or signify key ID the way minisign displays it: as an
+ * upper case hexadecimal little-endian number.
+ *
+ * @param {Uint8Array} keyId - The 8 bytes of the key ID.
+ * @returns {string} The formatted key ID.
+ */
+function formatMinisignKeyId(keyId) {
+    return [...keyId].reverse().map(byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+/**
+ * Computes the SHA-256 fingerprint of an SSH public key, as ssh-keygen -l
+ * displays it.
+ *
+ * @param {Uint8Array} keyBlob - The public key, in the SSH wire format.
+ * @returns {Promise<string>} The fingerprint ("SHA256:...").
+ */
+async function sshFingerprint(keyBlob) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', keyBlob));
+    return 'SHA256:' + bytesToBase64(digest).replace(/=+$/, '');
+}
+
+/**
+ * Reads the strings of an SSH wire format buffer, each prefixed by its
+ * big-endian 32 bits length.
+ *
+ * @param {Uint8Array} bytes - The buffer.
+ * @param {number} offset - The position of the first string.
+ * @param {number} count - The number of strings to read.
+ * @returns {Uint8Array[]} The strings, as bytes.
+ */
+function readSshStrings(bytes, offset, count) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const strings = [];
+    for (let i = 0; i < count; i++) {
+        const length = view.getUint32(offset);
+        if (offset + 4 + length > bytes.length) {
+            throw new Error("Truncated SSH data");
+        }
+        strings.push(bytes.subarray(offset + 4, offset + 4 + length));
+        offset += 4 + length;
+    }
+    return strings;
+}
+
+/**
+ * Encodes strings in the SSH wire format.
+ *
+ * @param {...(Uint8Array|string)} values - The strings to encode.
+ * @returns {Uint8Array} The encoded strings.
+ */
+function writeSshStrings(...values) {
+    const encoded = values.map(value => typeof value === 'string' ? new TextEncoder().encode(value) : value);
+    const bytes = new Uint8Array(encoded.reduce((size, value) => size + 4 + value.length, 0));
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+    for (let value of encoded) {
+        view.setUint32(offset, value.length);
+        bytes.set(value, offset + 4);
+        offset += 4 + value.length;
+    }
+    return bytes;
+}
+
+/**
+ * Parses a public key to pin: the content of a minisign or signify public key
+ * file, or an "ssh-ed25519" line of an authorized_keys or .pub file. minisign
+ * and signify keys only differ by their comment: minisign names itself in it,
+ * and its keys are also published without it.
+ *
+ * @param {string} text - The public key, as published.
+ * @returns {Promise<{format: string, keyId: string, publicKey: string,
+ * comment: string}>} The key, with its raw Ed25519 public key in base64.
+ * @throws {Error} If the key is not an Ed25519 key in one of those formats.
+ */
+async function parsePublicKey(text) {
+    const lines = text.trim().split(/\r?\n/).map(line => line.trim());
+    const ssh = /^ssh-ed25519\s+([A-Za-z0-9+/]+={0,2})(?:\s+(.*))?$/.exec(lines[0]);
+    if (ssh !== null) {
+        const keyBlob = base64ToBytes(ssh[1]);
+        const [type, publicKey] = readSshStrings(keyBlob, 0, 2);
+        if (new TextDecoder().decode(type) !== SSH_KEY_ED25519 || publicKey.length !== 32) {
+            throw new Error("Not an Ed25519 SSH key");
+        }
+        return {
+            format: SIGNATURE_FORMAT_SSH,
+            keyId: await sshFingerprint(keyBlob),
+            publicKey: bytesToBase64(publicKey),
+            comment: ssh[2] || ''
+        };
+    }
+
+    let comment = '';
+    let format = SIGNATURE_FORMAT_MINISIGN;
+    if (lines[0].startsWith(MINISIGN_UNTRUSTED_COMMENT)) {
+        comment = lines.shift().substring(MINISIGN_UNTRUSTED_COMMENT.length).trim();
+        format = comment.startsWith(MINISIGN_KEY_COMMENT) ? SIGNATURE_FORMAT_MINISIGN : SIGNATURE_FORMAT_SIGNIFY;
+    }
+    const bytes = base64ToBytes(lines[0] || '');
+    if (bytes.length !== 42 || new TextDecoder().decode(bytes.subarray(0, 2)) !== MINISIGN_ALGORITHM_PURE) {
+        throw new Error("Not a minisign, signify or Ed25519 SSH public key");
+    }
+    return {
+        format: format,
+        keyId: formatMinisignKeyId(bytes.subarray(2, 10)),
+        publicKey: bytesToBase64(bytes.subarray(10)),
+        comment: comment
+    };
+}
+
+/**
+ * Verifies an Ed25519 signature with WebCrypto.
+ *
+ * @param {string} publicKey - The raw public key, in base64.
+ * @param {Uint8Array} signature - The 64 bytes signature.
+ * @param {Uint8Array} data - The signed data.
+ * @returns {Promise<boolean>} Whether the signature is valid.
+ */
+async function verifyEd25519(publicKey, signature, data) {
+    const key = await crypto.subtle.importKey('raw', base64ToBytes(publicKey), {name: 'Ed25519'}, false, ['verify']);
+    return crypto.subtle.verify({name: 'Ed25519'}, key, signature, data);
+}
+
+/**
+ * Computes the checksum of signed data, for the signatures of a checksum of
+ * the data rather than of the data itself. Files are hashed by the hashing
+ * worker, bytes are hashed in place.
+ *
+ * @param {Blob|Uint8Array} data - The signed data.
+ * @param {string} algorithm - "sha256", "sha512" or "blake2b512".
+ * @returns {Promise<Uint8Array>} The checksum.
+ */
+async function digestData(data, algorithm) {
+    if (data instanceof Blob) {
+        return hexToBytes((await computeHashes(data, [algorithm]))[algorithm]);
+    }
+    if (algorithm === 'blake2b512') {
+        return hexToBytes(await hashwasm.blake2b(data, 512));
+    }
+    return new Uint8Array(await crypto.subtle.digest(algorithm === 'sha256' ? 'SHA-256' : 'SHA-512', data));
+}
+
+/**
+ * Returns the data itself, as bytes.
+ *
+ * @param {Blob|Uint8Array} data - The signed data.
+ * @returns {Promise<Uint8Array>} The bytes of the data.
+ */
+async function dataBytes(data) {
+    return data instanceof Blob ? new Uint8Array(await data.arrayBuffer()) : data;
+}
+
+/**
+ * Tells a minisign signature from a signify one: only the first has a trusted
+ * comment.
+ *
+ * @param {string} text - The content of the signature file.
+ * @returns {string} SIGNATURE_FORMAT_MINISIGN or SIGNATURE_FORMAT_SIGNIFY.
+ */
+function minisignFormat(text) {
+    const lines = text.split(/\r?\n/);
+    return (lines[2] || '').startsWith(MINISIGN_TRUSTED_COMMENT) ? SIGNATURE_FORMAT_MINISIGN : SIGNATURE_FORMAT_SIGNIFY;
+}
+
+/**
+ * Verifies a minisign or signify signature against the keys pinned for the
+ * site of the download. minisign signatures also sign their trusted comment.
+ * The signatures of the data itself are not verified against files larger
+ * than MAX_SIGNED_DATA_SIZE.
+ *
+ * @param {Blob|Uint8Array} data - The signed data.
+ * @param {string} text - The content of the signature file.
+ * @param {Object[]} pinnedKeys - The keys pinned for the site, as returned by
+ * parsePublicKey.
+ * @returns {Promise<{format: string, status: string, signer: ?string,
+ * fingerprint: ?string}>} The signature result.
+ */
+async function verifyMinisignSignature(data, text, pinnedKeys) {
+    const lines = text.split(/\r?\n/);
+    const format = minisignFormat(text);
+    let bytes;
+    try {
+        bytes = base64ToBytes(lines[1] || '');
+    } catch (e) {
+        bytes = new Uint8Array(0);
+    }
+    const algorithm = new TextDecoder().decode(bytes.subarray(0, 2));
+    if (bytes.length !== 74 || ![MINISIGN_ALGORITHM_PURE, MINISIGN_ALGORITHM_PREHASHED].includes(algorithm)) {
+        console.debug("Could not read the " + format + " signature.");
+        return {format: format, status: SIGNATURE_ERROR, signer: null, fingerprint: null};
+    }
+    const keyId = formatMinisignKeyId(bytes.subarray(2, 10));
+    const signature = bytes.subarray(10);
+
+    // minisign and signify keys are the same Ed25519 keys, and the keys
+    // pinned before signify keys were told apart carry the minisign format.
+    const key = pinnedKeys.find(key => MINISIGN_KEY_FORMATS.includes(key.format) && key.keyId === keyId);
+    if (!key) {
+        return {format: format, status: SIGNATURE_UNKNOWN_KEY, signer: null, fingerprint: keyId};
+    }
+    const result = {format: format, status: SIGNATURE_INVALID, signer: key.comment || null, fingerprint: keyId};
+    if (algorithm === MINISIGN_ALGORITHM_PURE && (data instanceof Blob ? data.size : data.length) > MAX_SIGNED_DATA_SIZE) {
+        console.debug("The file is too large to verify its " + format + " signature.");
+        result.status = SIGNATURE_TOO_LARGE;
+        return result;
+    }
+
+    const signed = algorithm === MINISIGN_ALGORITHM_PREHASHED ? await digestData(data, 'blake2b512') : await dataBytes(data);
+    if (!(await verifyEd25519(key.publicKey, signature, signed))) {
+        return result;
+    }
+    if (format === SIGNATURE_FORMAT_MINISIGN) {
+        const trustedComment = new TextEncoder().encode(lines[2].substring(MINISIGN_TRUSTED_COMMENT.length).trim());
+        const globalSignature = base64ToBytes(lines[3] || '');
+        const commented = new Uint8Array(signature.length + trustedComment.length);
+        commented.set(signature);
+        commented.set(trustedComment, signature.length);
+        if (globalSignature.length !== 64 || !(await verifyEd25519(key.publicKey, globalSignature, commented))) {
+            return result;
+        }
+    }
+    result.status = SIGNATURE_TRUSTED;
+    return result;
+}
+
+/**
+ * Verifies a signature made with ssh-keygen -Y sign, in the "file" namespace,
+ * against the keys pinned for the site of the download.
+ *
+ * @param {Blob|Uint8Array} data - The signed data.
+ * @param {string} text - The armored signature.
+ * @param {Object[]} pinnedKeys - The keys pinned for the site, as returned by
+ * parsePublicKey.
+ * @returns {Promise<{format: string, status: string, signer: ?string,
+ * fingerprint: ?string}>} The signature result.
+ */
+async function verifySshSignature(data, text, pinnedKeys) {
+    let publicKey, namespace, reserved, hashAlgorithm, signature, fingerprint;
+    try {
+        const bytes = base64ToBytes(text.replace(/-----(BEGIN|END) SSH SIGNATURE-----/g, '').replace(/\s/g, ''));
+        if (new TextDecoder().decode(bytes.subarray(0, 6)) !== SSH_SIGNATURE_MAGIC) {
+            throw new Error("Not an SSH signature");
+        }
+        [publicKey, namespace, reserved, hashAlgorithm, signature] = readSshStrings(bytes, 10, 5);
+        namespace = new TextDecoder().decode(namespace);
+        hashAlgorithm = new TextDecoder().decode(hashAlgorithm);
+        const [keyType] = readSshStrings(publicKey, 0, 1);
+        const [signatureType, signatureBytes] = readSshStrings(signature, 0, 2);
+        if (new TextDecoder().decode(keyType) !== SSH_KEY_ED25519 ||
+            new TextDecoder().decode(signatureType) !== SSH_KEY_ED25519 ||
+            !(hashAlgorithm in SSH_HASH_ALGORITHMS)) {
+            throw new Error("Unsupported SSH signature");
+        }
+        signature = signatureBytes;
+        fingerprint = await sshFingerprint(publicKey);
+    } catch (e) {
+        console.debug("Could not read the SSH signature: " + e.toString());
+        return {format: SIGNATURE_FORMAT_SSH, status: SIGNATURE_ERROR, signer: null, fingerprint: null};
+    }
+
+    const key = pinnedKeys.find(key => key.format === SIGNATURE_FORMAT_SSH && key.keyId === fingerprint);
+    if (!key) {
+        return {format: SIGNATURE_FORMAT_SSH, status: SIGNATURE_UNKNOWN_KEY, signer: null, fingerprint: fingerprint};
+    }
+    const result = {format: SIGNATURE_FORMAT_SSH, status: SIGNATURE_INVALID, signer: key.comment || null, fingerprint: fingerprint};
+    // A signature made for another purpose, such as a git commit, does not
+    // vouch for a file.
+    if (namespace !== SSH_SIGNATURE_NAMESPACE) {
+        return result;
+    }
+    const digest = await digestData(data, SSH_HASH_ALGORITHMS[hashAlgorithm]);
+    const magic = new TextEncoder().encode(SSH_SIGNATURE_MAGIC);
+    const fields = writeSshStrings(namespace, reserved, hashAlgorithm, digest);
+    const signed = new Uint8Array(magic.length + fields.length);
+    signed.set(magic);
+    signed.set(fields, magic.length);
+    if (await verifyEd25519(key.publicKey, signature, signed)) {
+        result.status = SIGNATURE_TRUSTED;
+    }
+    return result;
+}
+
+/**
+ * Fetches a detached signature and verifies it, whatever its format: OpenPGP,
+ * minisign, signify or SSH.
+ *
+ * @param {Blob|Uint8Array} data - The signed data: a downloaded file, or the
+ * content of a checksum file.
+ * @param {string} url - The URL of the signature.
+ * @param {{armoredKeys: string[], pinnedKeys: Object[]}} keyring - The
+ * OpenPGP keys of the user, and the keys pinned for the site of the download.
+ * @returns {Promise<{format: string, status: string, signer: ?string,
+ * fingerprint: ?string, url: string}>} The signature result.
+ */
+async function fetchAndVerifySignature(data, url, keyring) {
+    // Until the signature is read, its format is told by its extension.
+    let format = url.endsWith('.minisig') ? SIGNATURE_FORMAT_MINISIGN : SIGNATURE_FORMAT_OPENPGP;
+    let result;
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error("status " + response.status);
+        }
+        const signatureBytes = new Uint8Array(await response.arrayBuffer());
+        const text = new TextDecoder().decode(signatureBytes);
+        if (text.startsWith(MINISIGN_UNTRUSTED_COMMENT)) {
+            format = minisignFormat(text);
+            result = await verifyMinisignSignature(data, text, keyring.pinnedKeys);
+        } else if (text.startsWith(SSH_ARMOR_SIGNATURE)) {
+            format = SIGNATURE_FORMAT_SSH;
+            result = await verifySshSignature(data, text, keyring.pinnedKeys);
+        } else {
+            format = SIGNATURE_FORMAT_OPENPGP;
+            // Large files are streamed through OpenPGP.js.
+            result = await verifyPgpSignature(data instanceof Blob ? data.stream() : data, signatureBytes, keyring.armoredKeys);
+        }
+    } catch (e) {
+        console.debug("Could not verify the signature " + url + ": " + e.toString());
+        result = {format: format, status: SIGNATURE_ERROR, signer: null, fingerprint: null};
+    }
+    result.url = url;
+    return result;
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        SIGNATURE_FORMAT_OPENPGP, SIGNATURE_FORMAT_MINISIGN, SIGNATURE_FORMAT_SIGNIFY, SIGNATURE_FORMAT_SSH,
+        SIGNATURE_TRUSTED, SIGNATURE_UNKNOWN_KEY, SIGNATURE_INVALID, SIGNATURE_ERROR, SIGNATURE_TOO_LARGE,
+        MAX_SIGNED_DATA_SIZE, REGEXP_SIGNATURE_FILE, PGP_ARMOR_SIGNED_MESSAGE, isSignatureFile, signedFilename,
+        formatMinisignKeyId, parsePublicKey, verifyPgpCleartext, verifyMinisignSignature, fetchAndVerifySignature
+    };
+}
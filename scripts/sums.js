@@ -0,0 +1,181 @@
+/* Names of checksum files, e.g. SHA256SUMS, b2sums.txt, CHECKSUMS.txt, file.iso.sha256, file.sfv, or SHA256 as on OpenBSD mirrors. */
+const REGEXP_CHECKSUM_FILE = /(^|[._-])((md5|sha3?-?(1|224|256|384|512)|b2|b3|blake2b|blake3)sums?|checksums?)(\.txt)?$|\.(md5|sha3?-?(1|224|256|384|512)|b2|b3|blake2b|blake3|sfv)(sum)?$|^(md5|sha(1|224|256|384|512))$/i;
+/* GNU coreutils format: "<checksum>  <file>", or "<checksum> *<file>" in binary mode. */
+const REGEXP_SUMS_GNU = /^\\?([0-9a-f]{32,128})\s+\*?(.+?)\s*$/i;
+/* BSD format: "SHA256 (<file>) = <checksum>", the algorithm being any of CHECKSUM_ALGORITHMS. */
+const REGEXP_SUMS_BSD = /^([a-z0-9/_-]+)\s*\((.+)\)\s*=\s*([0-9a-f]{8,128})\s*$/i;
+/* Simple File Verification format: "<file> <CRC32>". */
+const REGEXP_SUMS_SFV = /^(.+?)\s+([0-9a-f]{8})$/i;
+/* A checksum alone on its line, as in single-hash files. */
+const REGEXP_SUMS_SINGLE = /^([0-9a-f]{32,128})\s*$/i;
+/* How many checksum files of a page are fetched, and how large they may be. */
+const MAX_CHECKSUM_FILES = 10;
+const MAX_CHECKSUM_FILE_SIZE = 1024 * 1024; // 1MB
+/* The algorithm names in the name of a checksum file, as words of it: the b2 of
+ * libdb2-1.0.sha256 does not name one. */
+const REGEXP_SUMS_ALGO = /(?:^|[._-])(md5|sha3?-?(?:1|224|256|384|512)|b[23]|blake2b|blake3|sfv)(?=sums?\b|[._-]|$)/gi;
+
+/*******************************************************************************
+ * Checksum files.
+ *
+ * The functions below recognize and parse the checksum files that projects
+ * publish next to their downloads (SHA256SUMS, *.sha256, CHECKSUMS.txt...).
+ ******************************************************************************/
+
+/**
+ * Returns the name of the file a URL points to.
+ *
+ * @param {string} url - The URL.
+ * @returns {string} The last segment of the URL path, decoded, or an empty
+ * string if the URL is invalid.
+ */
+function filenameFromUrl(url) {
+    try {
+        return decodeURIComponent(new URL(url).pathname.split('/').pop());
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * Determines if a URL points to a checksum file.
+ *
+ * @param {string} url - The URL to check.
+ * @returns {boolean} True if the file name is one of a checksum file.
+ */
+function isChecksumFile(url) {
+    return REGEXP_CHECKSUM_FILE.test(filenameFromUrl(url));
+}
+
+/**
+ * Parses the content of a checksum file. GNU coreutils and BSD lines are
+ * supported, as well as files containing a single checksum and SFV files.
+ * Other lines, such as the armor of a clearsigned file, are ignored.
+ *
+ * @param {string} text - The content of the checksum file.
+ * @param {string} url - The URL of the checksum file, whose name may tell the
+ * algorithm.
+ * @returns {{filename: ?string, value: string, type: ?string}[]} The checksums
+ * listed, with the file they apply to and their algorithm when known.
+ */
+function parseChecksumFile(text, url) {
+    const name = filenameFromUrl(url);
+    // The last one, as the extension of tool-b2-1.0.tar.gz.sha256.
+    const nameAlgo = [...name.matchAll(REGEXP_SUMS_ALGO)].pop();
+    const fileType = nameAlgo ? normalizeChecksumType(nameAlgo[1]) : null;
+
+    const entries = [];
+    for (let line of text.split(/\r?\n/)) {
+        line = line.trim();
+        let r;
+        if (fileType === 'crc32' && (r = REGEXP_SUMS_SFV.exec(line)) !== null && !line.startsWith(';')) {
+            entries.push({filename: r[1], value: r[2].toLowerCase(), type: fileType});
+        } else if ((r = REGEXP_SUMS_BSD.exec(line)) !== null) {
+            entries.push({filename: r[2], value: r[3].toLowerCase(), type: normalizeChecksumType(r[1])});
+        } else if ((r = REGEXP_SUMS_SINGLE.exec(line)) !== null) {
+            entries.push({filename: null, value: r[1].toLowerCase(), type: fileType});
+        } else if ((r = REGEXP_SUMS_GNU.exec(line)) !== null) {
+            entries.push({filename: r[2], value: r[1].toLowerCase(), type: fileType});
+        }
+    }
+    return entries.filter(entry => entry.value.length in CHECKSUM_TYPES_BY_SIZE);
+}
+
+/**
+ * Groups the checksums of a checksum file by the name of the file they apply
+ * to. Paths are reduced to file names. Checksums given without a file name
+ * apply to the file the checksum file is named after (file.iso.sha256 applies
+ * to file.iso).
+ *
+ * @param {{filename: ?string, value: string, type: ?string}[]} entries - The
+ * parsed checksums.
+ * @param {string} url - The URL of the checksum file.
+ * @returns {Object<string, {value: string, type: ?string}[]>} The checksums by
+ * file name.
+ */
+function groupChecksumsByFilename(entries, url) {
+    const sumsName = filenameFromUrl(url);
+    const defaultName = sumsName.includes('.') ? sumsName.substring(0, sumsName.lastIndexOf('.')) : null;
+
+    const groups = {};
+    for (let entry of entries) {
+        const filename = entry.filename !== null ? entry.filename.split('/').pop() : defaultName;
+        if (!filename) {
+            continue;
+        }
+        groups[filename] = groups[filename] || [];
+        groups[filename].push({value: entry.value, type: entry.type});
+    }
+    return groups;
+}
+
+/**
+ * Fetches and parses the checksum files linked from a page, as the service
+ * worker and the command-line tool do. Checksum files that are clearsigned,
+ * or have a detached signature, are verified against the keyring, if any,
+ * with the functions of signatures.js.
+ *
+ * @param {string[]} urls - The URLs of the checksum files, of which only the
+ * first MAX_CHECKSUM_FILES are fetched.
+ * @param {Object<string, string>} [signatures={}] - The URLs of the detached
+ * signatures of the page, by name of the file they sign.
+ * @param {?{armoredKeys: string[], pinnedKeys: Object[]}} [keyring=null] -
+ * The keys verifying the signatures of the page, or null not to verify them.
+ * @returns {Promise<Object<string, Object>>} The checksum data of each file
+ * name listed in the checksum files, as built by buildChecksum, with the
+ * signature of the checksum file if any.
+ */
+async function fetchChecksumFiles(urls, signatures = {}, keyring = null) {
+    const groups = {};
+    const fileSignatures = {};
+    for (let url of urls.slice(0, MAX_CHECKSUM_FILES)) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                console.debug("Could not fetch checksum file " + url + ": " + response.status);
+                continue;
+            }
+            const bytes = new Uint8Array(await response.arrayBuffer());
+            if (bytes.length > MAX_CHECKSUM_FILE_SIZE) {
+                console.debug("Checksum file " + url + " is too large, ignoring it.");
+                continue;
+            }
+            const text = new TextDecoder().decode(bytes);
+
+            let signature = null;
+            if (keyring !== null && text.startsWith(PGP_ARMOR_SIGNED_MESSAGE)) {
+                signature = await verifyPgpCleartext(text, keyring.armoredKeys);
+            } else if (keyring !== null && filenameFromUrl(url) in signatures) {
+                signature = await fetchAndVerifySignature(bytes, signatures[filenameFromUrl(url)], keyring);
+            }
+
+            const entries = groupChecksumsByFilename(parseChecksumFile(text, url), url);
+            for (let [filename, checksums] of Object.entries(entries)) {
+                groups[filename] = (groups[filename] || []).concat(checksums);
+                // Keep the best signature of the checksum files listing the file.
+                if (signature !== null && (!fileSignatures[filename] || signature.status === SIGNATURE_TRUSTED)) {
+                    fileSignatures[filename] = signature;
+                }
+            }
+        } catch (e) {
+            console.debug("Could not fetch checksum file " + url + ": " + e.toString());
+        }
+    }
+
+    const files = {};
+    for (let [filename, checksums] of Object.entries(groups)) {
+        const types = new Set(checksums.map(checksum => checksum.type).filter(type => type !== null));
+        files[filename] = buildChecksum(checksums.map(checksum => checksum.value), types, true);
+        if (fileSignatures[filename]) {
+            files[filename].signature = fileSignatures[filename];
+        }
+    }
+    return files;
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        REGEXP_CHECKSUM_FILE, MAX_CHECKSUM_FILES, MAX_CHECKSUM_FILE_SIZE, filenameFromUrl, isChecksumFile,
+        parseChecksumFile, groupChecksumsByFilename, fetchChecksumFiles
+    };
+}
@@ -0,0 +1,191 @@
+/* How long the links of a page are monitored after it was inspected. */
+const PAGE_EXPIRY = 6 * 60 * 60 * 1000;
+/* How long the links of a page are still monitored once its tab has left it,
+ * for the pages that start their downloads from another page. */
+const NAVIGATION_GRACE = 60 * 1000;
+/* How long a download is tracked, at most, from its start to the end of its
+ * verification. */
+const DOWNLOAD_EXPIRY = 24 * 60 * 60 * 1000;
+
+/* Appended to the name of the downloads in quarantine. */
+const QUARANTINE_SUFFIX = '.unverified';
+
+/* The states of a tracked download. */
+const DOWNLOAD_STATE_DOWNLOADING = 'downloading';
+/* The offscreen document is verifying the file. */
+const DOWNLOAD_STATE_VERIFYING = 'verifying';
+/* The tab asks the user to select the file. */
+const DOWNLOAD_STATE_AWAITING_FILE = 'awaitingFile';
+
+/*******************************************************************************
+ * Tracking registry.
+ *
+ * The pages whose links are monitored are kept under the "linkToMonitor" key
+ * of chrome.storage.local, the most recent first, as:
+ * {request, urls, checksum, links, files, signatures, page, site, tab,
+ *  nextDownload?, expiresAt}
+ * and the downloads started from them under the "downloads" key, by download
+ * id, as:
+ * {download, checksum, files, signatures, page, site, tab, state, startedAt,
+ *  level?, quarantine?: {filename, claimed?, released?}, verification?:
+ *  {checksum, signature}, token?}, the level being how closely the download
+ * matched its page (see matchDownload), the name of a download in quarantine
+ * being the name it gets back once verified, when its release has been claimed and its
+ * content saved under that name. Once complete, a download keeps what it is
+ * verified against, and, while it awaits the file selected by the user, the
+ * token its tab verifies it with.
+ *
+ * The service worker may be stopped at any time, so the registry lives in
+ * storage only, and is updated one change at a time. Pages expire, sooner
+ * once their tab has navigated away, and go with their tab; downloads are
+ * dropped once verified, interrupted or expired. A closed tab leaves its
+ * downloads tracked, with a null tab: they are still verified and recorded in
+ * the history, without a tab to tell.
+ ******************************************************************************/
+
+/* The pending update of the registry, updates being applied one at a time. */
+let trackingUpdate = Promise.resolve();
+
+/**
+ * Updates the registry, after the pending updates.
+ *
+ * @param {function({pages: Object[], downloads: Object<string, Object>}): *}
+ * update - Changes the pages and downloads it is given, in place, and returns
+ * the result of the update.
+ * @returns {Promise<*>} Resolves to the result of the update once the registry
+ * is stored.
+ */
+function updateTracking(update) {
+    const result = trackingUpdate.then(async function () {
+        const data = await chrome.storage.local.get(['linkToMonitor', 'downloads']);
+        const state = {pages: data.linkToMonitor || [], downloads: data.downloads || {}};
+        const value = update(state);
+        await chrome.storage.local.set({linkToMonitor: state.pages, downloads: state.downloads});
+        return value;
+    });
+    trackingUpdate = result.catch(function (error) {
+        console.error("Could not update the tracked downloads:", error.message);
+    });
+    return result;
+}
+
+/**
+ * Returns the tracked pages and downloads, as last stored.
+ *
+ * @returns {Promise<{pages: Object[], downloads: Object<string, Object>}>} The
+ * registry.
+ */
+async function getTracking() {
+    const data = await chrome.storage.local.get(['linkToMonitor', 'downloads']);
+    return {pages: data.linkToMonitor || [], downloads: data.downloads || {}};
+}
+
+/**
+ * Removes the fragment of a URL, which does not change the page.
+ *
+ * @param {string} url - The URL.
+ * @returns {string} The URL without its fragment.
+ */
+function withoutHash(url) {
+    return url.split('#')[0];
+}
+
+/**
+ * Drops the pages of a closed tab, and detaches its downloads from it.
+ *
+ * @param {{pages: Object[], downloads: Object<string, Object>}} state - The
+ * registry.
+ * @param {number} tab - The id of the tab.
+ */
+function forgetTab(state, tab) {
+    state.pages = state.pages.filter(page => page.tab !== tab);
+    for (let entry of Object.values(state.downloads)) {
+        if (entry.tab === tab) {
+            entry.tab = null;
+        }
+    }
+}
+
+/**
+ * Shortens the monitoring of the pages a tab has navigated away from.
+ *
+ * @param {{pages: Object[], downloads: Object<string, Object>}} state - The
+ * registry.
+ * @param {number} tab - The id of the tab.
+ * @param {string} url - The new URL of the tab.
+ * @param {number} now - The current time.
+ */
+function leavePages(state, tab, url, now) {
+    for (let page of state.pages) {
+        if (page.tab === tab && withoutHash(page.page) !== withoutHash(url)) {
+            page.expiresAt = Math.min(page.expiresAt, now + NAVIGATION_GRACE);
+        }
+    }
+}
+
+/**
+ * Drops the expired pages and downloads, and those of closed tabs, and moves
+ * to the verification the downloads to verify again: those that completed
+ * while the service worker was stopped, and those whose verification was lost
+ * with the offscreen document.
+ *
+ * @param {{pages: Object[], downloads: Object<string, Object>}} state - The
+ * registry.
+ * @param {{now: number, tabs: Set<number>, items: Object<string,
+ * ?chrome.downloads.DownloadItem>, offscreen: boolean}} context - The current
+ * time, the ids of the open tabs, the tracked downloads as known to the
+ * browser (null once erased), and whether the offscreen document exists.
+ * Downloads tracked since the context was gathered are left alone.
+ * @returns {{id: string, entry: Object}[]} The downloads to verify.
+ */
+function sweepTracking(state, context) {
+    state.pages = state.pages.filter(page => page.expiresAt > context.now && context.tabs.has(page.tab));
+
+    const toVerify = [];
+    for (let [id, entry] of Object.entries(state.downloads)) {
+        if (!(id in context.items)) {
+            continue;
+        }
+        const item = context.items[id];
+        if (item === null || item.state === 'interrupted' || entry.startedAt + DOWNLOAD_EXPIRY <= context.now) {
+            delete state.downloads[id];
+            continue;
+        }
+        if (entry.tab !== null && !context.tabs.has(entry.tab)) {
+            entry.tab = null;
+        }
+        if (item.state === 'complete' && (entry.state === DOWNLOAD_STATE_DOWNLOADING ||
+            (entry.state === DOWNLOAD_STATE_VERIFYING && !context.offscreen))) {
+            entry.state = DOWNLOAD_STATE_VERIFYING;
+            toVerify.push({id: id, entry: entry});
+        }
+    }
+    return toVerify;
+}
+
+/**
+ * Moves a completed download to the verification, unless it is already being
+ * verified.
+ *
+ * @param {{pages: Object[], downloads: Object<string, Object>}} state - The
+ * registry.
+ * @param {number} downloadId - The id of the download.
+ * @returns {?Object} The entry of the download, or null if it is not tracked
+ * or already being verified.
+ */
+function claimVerification(state, downloadId) {
+    const entry = state.downloads[downloadId];
+    if (!entry || entry.state !== DOWNLOAD_STATE_DOWNLOADING) {
+        return null;
+    }
+    entry.state = DOWNLOAD_STATE_VERIFYING;
+    return entry;
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        PAGE_EXPIRY, NAVIGATION_GRACE, DOWNLOAD_EXPIRY, QUARANTINE_SUFFIX, DOWNLOAD_STATE_DOWNLOADING,
+        DOWNLOAD_STATE_VERIFYING, DOWNLOAD_STATE_AWAITING_FILE, updateTracking, getTracking, withoutHash, forgetTab,
+        leavePages, sweepTracking, claimVerification
+    };
+}
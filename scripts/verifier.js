@@ -0,0 +1,282 @@
+/*******************************************************************************
+ * Verifier page.
+ *
+ * Verifies files already on disk against checksums pasted by the user or
+ * listed in checksum files (SHA256SUMS, *.md5...) dropped with them. Every
+ * file is hashed by the hashing worker, through computeChecksums, as the
+ * downloads are, and its verification is recorded in the history.
+ ******************************************************************************/
+
+const RESULT_PASS = 'pass';
+const RESULT_FAIL = 'fail';
+/* The checksum file lists the file, but it was not selected. */
+const RESULT_MISSING = 'missing';
+/* No checksum applies to the file. */
+const RESULT_NO_CHECKSUM = 'noChecksum';
+
+const RESULT_STYLES = {
+    [RESULT_PASS]: {icon: 'fas fa-check-circle', className: 'text-success', message: 'verifierResultPass'},
+    [RESULT_FAIL]: {icon: 'fas fa-times-circle', className: 'text-danger', message: 'verifierResultFail'},
+    [RESULT_MISSING]: {icon: 'fas fa-question-circle', className: 'text-warning', message: 'verifierResultMissing'},
+    [RESULT_NO_CHECKSUM]: {icon: 'fas fa-minus-circle', className: 'text-muted', message: 'verifierResultNoChecksum'}
+};
+
+/* The files to verify, by name. */
+let selectedFiles = new Map();
+/* The checksum files dropped, as {url, text}. */
+let checksumFiles = [];
+
+/**
+ * Returns a file:// URL for a file name, so that the functions of sums.js,
+ * which work on URLs, apply to local files.
+ *
+ * @param {string} name - The name of the file.
+ * @returns {string} The URL.
+ */
+function localFileUrl(name) {
+    return 'file:///' + encodeURIComponent(name);
+}
+
+/**
+ * Adds files to the selection. Checksum files are read as such, the other
+ * files are to be verified.
+ *
+ * @param {FileList|File[]} files - The files dropped or selected.
+ */
+async function addFiles(files) {
+    for (let file of files) {
+        if (isChecksumFile(localFileUrl(file.name))) {
+            checksumFiles.push({url: localFileUrl(file.name), text: await file.text()});
+        } else {
+            selectedFiles.set(file.name, file);
+        }
+    }
+    showSelection();
+}
+
+/* Summarizes the selected files and checksum files. */
+function showSelection() {
+    document.getElementById("selection").textContent = chrome.i18n.getMessage("verifierSelection",
+        [String(selectedFiles.size), String(checksumFiles.length)]);
+}
+
+/**
+ * Collects the expected checksums: those of the checksum files and the lines
+ * of the pasted text that name a file, by file name, and the checksums pasted
+ * alone, which apply to any file that is not listed.
+ *
+ * @returns {{byFilename: Object<string, {value: string, type: ?string}[]>,
+ * loose: {value: string, type: ?string}[]}} The expected checksums.
+ */
+function expectedChecksums() {
+    const byFilename = {};
+    const loose = [];
+    const addGroups = function (groups) {
+        for (let [filename, checksums] of Object.entries(groups)) {
+            byFilename[filename] = (byFilename[filename] || []).concat(checksums);
+        }
+    };
+
+    for (let checksumFile of checksumFiles) {
+        addGroups(groupChecksumsByFilename(parseChecksumFile(checksumFile.text, checksumFile.url), checksumFile.url));
+    }
+    for (let line of document.getElementById("expected").value.split(/\r?\n/)) {
+        if (line.trim() === '') {
+            continue;
+        }
+        // A checksum alone, in any encoding, possibly spaced out in groups.
+        const normalized = normalizeChecksumValue(line.replace(/\s/g, ''));
+        if (normalized !== null) {
+            loose.push(normalized);
+            continue;
+        }
+        const entries = parseChecksumFile(line, localFileUrl('pasted'));
+        addGroups(groupChecksumsByFilename(entries.filter(entry => entry.filename !== null), localFileUrl('pasted')));
+    }
+    return {byFilename: byFilename, loose: loose};
+}
+
+/**
+ * Builds the checksum data to compare a file against. The values of an
+ * unknown algorithm and of a length no common algorithm has are compared
+ * against every algorithm of that length.
+ *
+ * @param {{value: string, type: ?string}[]} checksums - The expected
+ * checksums.
+ * @returns {Object} The checksum data, as built by buildChecksum.
+ */
+function checksumToVerify(checksums) {
+    const namedTypes = new Set(checksums.map(checksum => checksum.type).filter(type => type !== null));
+    for (let checksum of checksums) {
+        if (checksum.type === null && inferChecksumTypes(checksum.value, namedTypes).length === 0) {
+            (CHECKSUM_TYPES_BY_SIZE[checksum.value.length] || []).forEach(type => namedTypes.add(type));
+        }
+    }
+    const knownTypes = {};
+    checksums.filter(checksum => checksum.type !== null).forEach(checksum => knownTypes[checksum.value] = checksum.type);
+    return buildChecksum(checksums.map(checksum => checksum.value), namedTypes, true, knownTypes);
+}
+
+/**
+ * Adds a row to the results table.
+ *
+ * @param {string} filename - The name of the file.
+ * @returns {HTMLTableRowElement} The row, with its cells.
+ */
+function addRow(filename) {
+    const row = document.createElement("tr");
+    for (let i = 0; i < 5; i++) {
+        row.appendChild(document.createElement("td"));
+    }
+    row.cells[0].textContent = filename;
+    row.cells[2].className = "checksum";
+    row.cells[3].className = "checksum";
+    document.getElementById("results").appendChild(row);
+    return row;
+}
+
+/**
+ * Shows the result of a file in its row.
+ *
+ * @param {HTMLTableRowElement} row - The row of the file.
+ * @param {string} result - One of the RESULT_* values.
+ */
+function showRowResult(row, result) {
+    const style = RESULT_STYLES[result];
+    const icon = document.createElement("i");
+    icon.className = style.icon + " mr-1";
+    icon.setAttribute("aria-hidden", "true");
+    row.cells[4].textContent = "";
+    row.cells[4].className = style.className;
+    row.cells[4].append(icon, chrome.i18n.getMessage(style.message));
+}
+
+/**
+ * Verifies a file against its expected checksums, and shows the result in its
+ * row.
+ *
+ * @param {File} file - The file.
+ * @param {{value: string, type: ?string}[]} checksums - The expected
+ * checksums.
+ * @param {HTMLTableRowElement} row - The row of the file.
+ */
+async function verifySelectedFile(file, checksums, row) {
+    const checksum = checksumToVerify(checksums);
+    row.cells[2].textContent = checksum.value.join('\n');
+    const start = performance.now();
+    const result = await computeChecksums(file, checksum, function (position, size) {
+        row.cells[4].textContent = Math.floor((position / size) * 100) + '%';
+    });
+    recordVerification(file, checksum, result.valid ? HISTORY_OUTCOME_PASS : HISTORY_OUTCOME_FAIL,
+        result.algorithm, result.computed, performance.now() - start);
+    if (result.valid) {
+        row.cells[1].textContent = checksumTypeName(result.algorithm);
+        row.cells[3].textContent = result.computed[result.algorithm];
+    } else {
+        row.cells[1].textContent = Object.keys(result.computed).map(checksumTypeName).join(', ');
+        row.cells[3].textContent = Object.values(result.computed).join('\n');
+    }
+    showRowResult(row, result.valid ? RESULT_PASS : RESULT_FAIL);
+}
+
+/**
+ * Records the verification of a file in the history, through the service
+ * worker.
+ *
+ * @param {File} file - The file.
+ * @param {Object} checksum - The checksum data the file was compared against.
+ * @param {string} outcome - One of the HISTORY_OUTCOME_* values.
+ * @param {?string} algorithm - The algorithm that matched, if any.
+ * @param {Object<string, string>} computed - The computed checksums.
+ * @param {number} duration - The duration of the verification, in
+ * milliseconds.
+ */
+function recordVerification(file, checksum, outcome, algorithm, computed, duration) {
+    chrome.runtime.sendMessage({
+        type: "recordVerification",
+        record: {
+            source: HISTORY_SOURCE_VERIFIER,
+            filename: file.name,
+            downloadUrl: null,
+            pageUrl: null,
+            algorithm: algorithm,
+            expected: checksum.value,
+            computed: computed,
+            outcome: outcome,
+            signature: null,
+            userSupplied: true,
+            duration: Math.round(duration)
+        }
+    });
+}
+
+/* Verifies every selected file, one after the other. */
+async function verifyAll() {
+    const verify = document.getElementById("verify");
+    const results = document.getElementById("results");
+    const expected = expectedChecksums();
+
+    verify.disabled = true;
+    results.textContent = "";
+    try {
+        for (let [filename, file] of selectedFiles) {
+            const row = addRow(filename);
+            const checksums = expected.byFilename[filename] || expected.loose;
+            if (checksums.length === 0) {
+                showRowResult(row, RESULT_NO_CHECKSUM);
+                continue;
+            }
+            try {
+                await verifySelectedFile(file, checksums, row);
+            } catch (error) {
+                console.error("An error occurred:", error.message);
+                row.cells[4].textContent = chrome.i18n.getMessage("verifierResultError", error.message);
+                recordVerification(file, checksumToVerify(checksums), HISTORY_OUTCOME_ERROR, null, {}, 0);
+            }
+        }
+        // The files listed in the checksum files that were not selected.
+        for (let [filename, checksums] of Object.entries(expected.byFilename)) {
+            if (!selectedFiles.has(filename)) {
+                const row = addRow(filename);
+                row.cells[2].textContent = checksums.map(checksum => checksum.value).join('\n');
+                showRowResult(row, RESULT_MISSING);
+            }
+        }
+    } finally {
+        verify.disabled = false;
+    }
+}
+
+const dropZone = document.getElementById("dropZone");
+const fileInput = document.getElementById("fileInput");
+
+dropZone.addEventListener("click", function () {
+    fileInput.click();
+});
+fileInput.addEventListener("change", function () {
+    addFiles(this.files);
+    this.value = "";
+});
+dropZone.addEventListener("dragover", function (event) {
+    event.preventDefault();
+    dropZone.classList.add("dragging");
+});
+dropZone.addEventListener("dragleave", function () {
+    dropZone.classList.remove("dragging");
+});
+dropZone.addEventListener("drop", function (event) {
+    event.preventDefault();
+    dropZone.classList.remove("dragging");
+    addFiles(event.dataTransfer.files);
+});
+
+document.getElementById("verify").addEventListener("click", verifyAll);
+document.getElementById("clear").addEventListener("click", function () {
+    selectedFiles = new Map();
+    checksumFiles = [];
+    document.getElementById("expected").value = "";
+    document.getElementById("results").textContent = "";
+    showSelection();
+});
+
+showSelection();
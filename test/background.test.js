@@ -0,0 +1,263 @@
+/*******************************************************************************
+ * Tests of the service worker (scripts/background.js) against the fake chrome
+ * APIs: it is loaded as the browser does, with its imported scripts, and the
+ * events of the browser are fired at it, from the download of a file on a
+ * monitored page to the verification of its content, and through closed tabs,
+ * sweeps and restarts.
+ ******************************************************************************/
+
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const {describe, test} = require('node:test');
+const {createFakeChrome, settle} = require('./fake-chrome.js');
+
+const SCRIPTS = path.join(__dirname, '..', 'scripts');
+const PAGE = 'https://example.org/download.html';
+const DOWNLOAD_URL = 'https://example.org/files/tool-1.0.zip';
+const CONTENT = 'The content of tool-1.0.zip';
+const SHA256 = crypto.createHash('sha256').update(CONTENT).digest('hex');
+const TAB = 4;
+const DOWNLOAD_ID = 17;
+const EXTENSION_PAGE = {id: 'extension-id', url: 'chrome-extension://extension-id/frame/frame.html'};
+
+/**
+ * Starts the service worker, in a context of its own, as the browser does
+ * after it was stopped: only the storage is kept.
+ *
+ * @param {Object} chrome - The fake chrome API, see createFakeChrome.
+ * @returns {Promise<Object>} Resolves to the global object of the service
+ * worker once it is done starting.
+ */
+async function startServiceWorker(chrome) {
+    const context = vm.createContext({
+        chrome: chrome,
+        console: Object.assign({}, console, {debug: () => {}}),
+        crypto: globalThis.crypto,
+        setTimeout, clearTimeout, setInterval, clearInterval,
+        fetch, Response, Blob, URL, URLSearchParams, TextDecoder, atob, btoa, structuredClone
+    });
+    context.self = context;
+    // The scripts check the arrays they are given against the constructors of
+    // their own context.
+    const Uint8Array = vm.runInContext('Uint8Array', context);
+    context.TextEncoder = class {
+        encode(text) {
+            return new Uint8Array(new TextEncoder().encode(text));
+        }
+    };
+    context.importScripts = function (...names) {
+        for (let name of names) {
+            vm.runInContext(fs.readFileSync(path.join(SCRIPTS, name), 'utf8'), context, {filename: name});
+        }
+    };
+    context.importScripts('background.js');
+    await settle();
+    return context;
+}
+
+/**
+ * Returns the fake chrome API of a browser with a tab open on the page
+ * linking to the download, once the content script registered it.
+ *
+ * @param {Object} [initial={}] - The rest of the state, see createFakeChrome.
+ * @returns {Promise<{chrome: Object, worker: Object}>} The fake chrome API and
+ * the global object of the service worker.
+ */
+async function openPage(initial = {}) {
+    const chrome = createFakeChrome(Object.assign({tabs: [{id: TAB, url: PAGE, active: true, windowId: 1}]}, initial));
+    const worker = await startServiceWorker(chrome);
+    chrome.runtime.onMessage.dispatch({
+        type: "download",
+        urls: [DOWNLOAD_URL],
+        checksum: worker.buildChecksum([SHA256], new Set(['sha256']), false),
+        links: {}
+    }, {tab: {id: TAB}, url: PAGE});
+    await settle();
+    return {chrome, worker};
+}
+
+/**
+ * Downloads the file from the page, as the user clicking its link does.
+ *
+ * @param {Object} chrome - The fake chrome API.
+ */
+async function startDownload(chrome) {
+    const item = {id: DOWNLOAD_ID, url: DOWNLOAD_URL, finalUrl: DOWNLOAD_URL, referrer: PAGE, filename: '',
+        state: 'in_progress', exists: true};
+    chrome.downloads.items[DOWNLOAD_ID] = item;
+    chrome.downloads.onCreated.dispatch(structuredClone(item));
+    await settle();
+}
+
+/**
+ * Completes the download.
+ *
+ * @param {Object} chrome - The fake chrome API.
+ */
+async function completeDownload(chrome) {
+    Object.assign(chrome.downloads.items[DOWNLOAD_ID], {filename: '/home/user/Downloads/tool-1.0.zip',
+        state: 'complete'});
+    chrome.downloads.onChanged.dispatch({id: DOWNLOAD_ID, state: {previous: 'in_progress', current: 'complete'}});
+    await settle();
+}
+
+/**
+ * Sends a message to the service worker, and waits for its answer, if any.
+ *
+ * @param {Object} chrome - The fake chrome API.
+ * @param {Object} message - The message.
+ * @param {Object} sender - Its sender.
+ * @returns {Promise<*>} The answer, or undefined.
+ */
+async function sendMessage(chrome, message, sender) {
+    let response;
+    chrome.runtime.onMessage.dispatch(message, sender, value => response = value);
+    await settle();
+    return response;
+}
+
+/**
+ * Returns the messages sent to a tab, of a type.
+ *
+ * @param {Object} chrome - The fake chrome API.
+ * @param {string} type - The type of the messages.
+ * @returns {Object[]} The messages.
+ */
+function sentToTab(chrome, type) {
+    return chrome.tabs.sent.filter(sent => sent.tab === TAB && sent.message.type === type).map(sent => sent.message);
+}
+
+describe('service worker', () => {
+    test('verifies a download completed from a monitored page with the file selected on the page', async () => {
+        const {chrome} = await openPage();
+        await startDownload(chrome);
+        assert.equal(chrome.storage.local.data.downloads[DOWNLOAD_ID].state, 'downloading');
+        assert.equal(sentToTab(chrome, "downloading").length, 1);
+
+        await completeDownload(chrome);
+        const [complete] = sentToTab(chrome, "downloadComplete");
+        assert.equal(complete.downloadId, DOWNLOAD_ID);
+        assert.equal(chrome.storage.local.data.downloads[DOWNLOAD_ID].state, 'awaitingFile');
+
+        // Only a page of the extension gets what to verify the file against,
+        // and only once.
+        const denied = await sendMessage(chrome, {type: "redeemVerificationToken", token: complete.token},
+            {id: 'extension-id', url: PAGE, tab: {id: TAB}});
+        assert.ok(denied.error);
+        const redeemed = await sendMessage(chrome, {type: "redeemVerificationToken", token: complete.token},
+            EXTENSION_PAGE);
+        assert.equal(redeemed.downloadId, DOWNLOAD_ID);
+        assert.deepEqual([...redeemed.checksum.value], [SHA256]);
+        const again = await sendMessage(chrome, {type: "redeemVerificationToken", token: complete.token},
+            EXTENSION_PAGE);
+        assert.ok(again.error);
+
+        await sendMessage(chrome, {type: "verificationComplete", downloadId: DOWNLOAD_ID, computed: {sha256: SHA256}},
+            EXTENSION_PAGE);
+        const [result] = sentToTab(chrome, "verificationComplete");
+        assert.equal(result.valid, true);
+        assert.equal(result.algorithm, 'sha256');
+        assert.deepEqual(Object.keys(chrome.storage.local.data.downloads), []);
+        const [record] = chrome.storage.local.data.history;
+        assert.equal(record.outcome, 'pass');
+        assert.equal(record.filename, 'tool-1.0.zip');
+        assert.equal(record.tab, TAB);
+    });
+
+    test('lets the user keep a file that does not match as soon as the result is shown', async () => {
+        const {chrome} = await openPage();
+        await startDownload(chrome);
+        await completeDownload(chrome);
+        const [complete] = sentToTab(chrome, "downloadComplete");
+        await sendMessage(chrome, {type: "redeemVerificationToken", token: complete.token}, EXTENSION_PAGE);
+
+        // The user clicks "Keep" as soon as the mismatch panel is shown.
+        const sendMessageToTab = chrome.tabs.sendMessage;
+        chrome.tabs.sendMessage = function (tabId, message) {
+            if (message.type === "verificationComplete") {
+                chrome.runtime.onMessage.dispatch({type: "keepDownload", id: DOWNLOAD_ID}, {tab: {id: TAB}, url: PAGE});
+            }
+            return sendMessageToTab(tabId, message);
+        };
+        const computed = {sha256: crypto.createHash('sha256').update('Something else').digest('hex')};
+        await sendMessage(chrome, {type: "verificationComplete", downloadId: DOWNLOAD_ID, computed: computed},
+            EXTENSION_PAGE);
+        const [result] = sentToTab(chrome, "verificationComplete");
+        assert.equal(result.valid, false);
+        const [record] = chrome.storage.local.data.history;
+        assert.equal(record.outcome, 'fail');
+        assert.equal(record.overridden, true);
+    });
+
+    test('stops expecting the file from a closed tab', async () => {
+        const {chrome} = await openPage();
+        await startDownload(chrome);
+
+        chrome.tabs.list = [];
+        chrome.tabs.onRemoved.dispatch(TAB, {windowId: 1, isWindowClosing: false});
+        await settle();
+        assert.deepEqual(chrome.storage.local.data.linkToMonitor, []);
+        assert.equal(chrome.storage.local.data.downloads[DOWNLOAD_ID].tab, null);
+
+        // Without access to the file, nobody is left to select it.
+        await completeDownload(chrome);
+        assert.deepEqual(Object.keys(chrome.storage.local.data.downloads), []);
+        assert.deepEqual(chrome.tabs.sent.filter(sent => sent.message.type === "downloadComplete"), []);
+    });
+
+    test('gives the pages a tab leaves a short grace period', async () => {
+        const {chrome} = await openPage();
+        const before = chrome.storage.local.data.linkToMonitor[0].expiresAt;
+
+        chrome.tabs.onUpdated.dispatch(TAB, {url: 'https://example.com/'});
+        await settle();
+        const [page] = chrome.storage.local.data.linkToMonitor;
+        assert.ok(page.expiresAt < before);
+    });
+
+    test('verifies the downloads that completed while it was stopped, once started again', async () => {
+        const {chrome} = await openPage();
+        await startDownload(chrome);
+
+        // The download completes while the service worker is stopped: its
+        // event is lost.
+        Object.assign(chrome.downloads.items[DOWNLOAD_ID], {filename: '/home/user/Downloads/tool-1.0.zip',
+            state: 'complete'});
+        await startServiceWorker(chrome);
+        const [complete] = sentToTab(chrome, "downloadComplete");
+        assert.equal(complete.downloadId, DOWNLOAD_ID);
+        assert.deepEqual(Object.keys(chrome.alarms.list), ['sweepTracking']);
+    });
+
+    test('shows both the failed and the tracked downloads on the toolbar button', async () => {
+        const failure = {source: 'download', downloadId: 3, filename: 'other.zip', outcome: 'fail',
+            timestamp: Date.now() - 1000};
+        const {chrome} = await openPage({local: {history: [failure]}});
+        assert.equal(chrome.action.badge.text, '1');
+        assert.equal(chrome.action.badge.color, '#dc3545');
+
+        await startDownload(chrome);
+        assert.equal(chrome.action.badge.text, '1·1');
+        assert.equal(chrome.action.badge.color, '#dc3545');
+        assert.equal(chrome.action.badge.title, 'Verify files (1 downloads tracked, 1 failed)');
+
+        // Once the user has seen the failures, only the tracked downloads are left.
+        await chrome.storage.local.set({failuresSeenAt: Date.now()});
+        await settle();
+        assert.equal(chrome.action.badge.text, '1');
+        assert.equal(chrome.action.badge.color, '#007bff');
+        assert.equal(chrome.action.badge.title, 'Verify files (1 downloads tracked, 0 failed)');
+    });
+
+    test('drops the expired pages when the sweep alarm fires', async () => {
+        const {chrome} = await openPage();
+        chrome.storage.local.data.linkToMonitor[0].expiresAt = Date.now() - 1;
+
+        chrome.alarms.onAlarm.dispatch({name: 'sweepTracking'});
+        await settle();
+        assert.deepEqual(chrome.storage.local.data.linkToMonitor, []);
+    });
+});
@@ -0,0 +1,94 @@
+/*******************************************************************************
+ * Tests of the command-line tool (cli/verify.js), run on a saved download page
+ * and the files it lists, in test/fixtures/cli.
+ ******************************************************************************/
+
+const assert = require('node:assert/strict');
+const {execFile} = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {test} = require('node:test');
+const {pathToFileURL} = require('node:url');
+
+const CLI = path.join(__dirname, '..', 'cli', 'verify.js');
+const FIXTURES = path.join(__dirname, 'fixtures', 'cli');
+const PAGE = path.join(FIXTURES, 'download.html');
+
+/**
+ * Runs the command-line tool.
+ *
+ * @param {string[]} args - The arguments.
+ * @returns {Promise<{status: number, report: ?Object, stderr: string}>} The
+ * exit status, the report it printed, if any, and its error output.
+ */
+function runCli(args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], {timeout: 30000}, function (error, stdout, stderr) {
+            resolve({status: error ? error.code : 0, report: stdout ? JSON.parse(stdout) : null, stderr: stderr});
+        });
+    });
+}
+
+/* The URL of a fixture, as the links of the saved page resolve. */
+const fixtureUrl = name => pathToFileURL(path.join(FIXTURES, name)).href;
+
+test('reports the checksums of the page, where they are, and their links', async function () {
+    const {status, report} = await runCli([PAGE]);
+    assert.equal(status, 0);
+    assert.deepEqual(report.checksums, [
+        {
+            value: '4794f2c48ca5a1bcc051169c98cb4c56',
+            algorithms: ['md5'],
+            location: 'table#files > tbody > tr:nth-of-type(3) > td:nth-of-type(2) > button[data-md5]'
+        },
+        {
+            // Split across two spans: located at the element holding both.
+            value: '3267149c1ba9b67cd6a8aa7d08c632e060590ff36214a4d01b8b7c28c0ff4462',
+            algorithms: ['sha256'],
+            location: 'table#files > tbody > tr:nth-of-type(2) > td:nth-of-type(2) > code'
+        }
+    ]);
+    assert.deepEqual(report.links, {
+        [fixtureUrl('tool-1.0.tar.gz')]: ['3267149c1ba9b67cd6a8aa7d08c632e060590ff36214a4d01b8b7c28c0ff4462'],
+        [fixtureUrl('tool-1.0.zip')]: ['4794f2c48ca5a1bcc051169c98cb4c56']
+    });
+    assert.deepEqual(report.checksumFiles, [fixtureUrl('SHA256SUMS')]);
+    assert.deepEqual(report.signatures, [fixtureUrl('tool-1.0.tar.gz.asc')]);
+    assert.equal(report.verification, null);
+});
+
+test('verifies a file against the checksum of its link', async function () {
+    const {status, report} = await runCli([PAGE, path.join(FIXTURES, 'tool-1.0.tar.gz')]);
+    assert.equal(status, 0);
+    assert.equal(report.verification.valid, true);
+    assert.equal(report.verification.algorithm, 'sha256');
+    assert.deepEqual(report.verification.links, [fixtureUrl('tool-1.0.tar.gz')]);
+});
+
+test('verifies a file against the checksums of the checksum files', async function () {
+    const {status, report} = await runCli([PAGE, path.join(FIXTURES, 'tool-1.0.zip')]);
+    assert.equal(status, 0);
+    assert.deepEqual(report.verification.expected,
+        ['4794f2c48ca5a1bcc051169c98cb4c56', '047133e8aad7eafe0046e94aa31887b12328de0ae08ed570e9a18d06895d7320']);
+    assert.equal(report.verification.valid, true);
+});
+
+test('exits with 1 if the file does not match', async function (t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'checksum-verify-'));
+    t.after(() => fs.rmSync(directory, {recursive: true, force: true}));
+    const file = path.join(directory, 'tool-1.0.tar.gz');
+    fs.writeFileSync(file, 'Not the published file\n');
+
+    const {status, report} = await runCli([PAGE, file]);
+    assert.equal(status, 1);
+    assert.equal(report.verification.valid, false);
+    assert.deepEqual(Object.keys(report.verification.computed), ['sha256']);
+});
+
+test('exits with 2 on error', async function () {
+    const {status, report, stderr} = await runCli([path.join(FIXTURES, 'missing.html')]);
+    assert.equal(status, 2);
+    assert.equal(report, null);
+    assert.match(stderr, /missing\.html/);
+});
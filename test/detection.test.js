@@ -0,0 +1,76 @@
+/*******************************************************************************
+ * Tests of the scoring of checksum candidates (scripts/detection.js): the
+ * hashes a page shows that are not checksums of its files are left out, and
+ * the text of the page is read once per container.
+ ******************************************************************************/
+
+const assert = require('node:assert/strict');
+const {test} = require('node:test');
+const {parseHtml} = require('../cli/dom.js');
+const {loadScripts} = require('./load-scripts.js');
+
+loadScripts('algorithms.js', 'sums.js', 'options-store.js', 'signatures.js', 'scanner.js', 'detection.js');
+
+const SHA256 = '3267149c1ba9b67cd6a8aa7d08c632e060590ff36214a4d01b8b7c28c0ff4462';
+/* A base64 token, as long as a SHA-256 checksum in base64. */
+const TOKEN = 'q3Zk9Lm2Xw8RtY7uPa1Bc4Df6Gh0Jk5Nm8Qs2Vx9Zy4=';
+
+/**
+ * Detects the checksums of a page.
+ *
+ * @param {string} html - The body of the page.
+ * @returns {string[]} The checksum values kept, the most credible first.
+ */
+function detect(html) {
+    const body = parseHtml(html, 'https://example.org/download/').body;
+    return [...inspectDocument(body, DEFAULT_OPTIONS).locations.keys()];
+}
+
+test('keeps a labeled checksum', function () {
+    assert.deepEqual(detect('<p>SHA-256: ' + SHA256 + '</p>'), [SHA256]);
+});
+
+test('leaves out an unlabeled value without any other clue', function () {
+    assert.deepEqual(detect('<p>' + SHA256 + '</p>'), []);
+});
+
+test('keeps an unlabeled value next to a download link', function () {
+    assert.deepEqual(detect('<p><a href="tool-1.0.tar.gz">tool-1.0.tar.gz</a> ' + SHA256 + '</p>'), [SHA256]);
+});
+
+test('does not take a download link without a file name for one on every line', function () {
+    // /download/ matches the default download patterns, and is far from the value.
+    assert.deepEqual(detect('<main><section><article><div><div><div><p>' + SHA256 + '</p></div></div></div>' +
+        '</article></section></main><footer><a href="/download/">Download</a></footer>'), []);
+});
+
+test('leaves out the tokens of forms', function () {
+    assert.deepEqual(detect('<form><input type="hidden" name="authenticity_token" value="' + TOKEN + '">' +
+        '<p><a href="tool-1.0.tar.gz">tool-1.0.tar.gz</a></p></form>'), []);
+    assert.deepEqual(detect('<div id="csrf-token"><code>' + SHA256 + '</code></div>'), []);
+    assert.deepEqual(detect('<p><span title="' + TOKEN + '">tool</span></p>'), []);
+});
+
+test('keeps base64 checksums only with other clues', function () {
+    const base64 = Buffer.from(SHA256, 'hex').toString('base64');
+    assert.deepEqual(detect('<p>' + base64 + '</p>'), []);
+    assert.deepEqual(detect('<p>SHA-256: <code>' + base64 + '</code></p>'), [SHA256]);
+});
+
+test('reads the containers of the links once per inspection', function (t) {
+    const read = [];
+    const collect = globalThis.collectPageText;
+    globalThis.collectPageText = function (root, ...args) {
+        read.push(root);
+        return collect(root, ...args);
+    };
+    t.after(() => globalThis.collectPageText = collect);
+
+    // The icon and the name of a file usually both link to it.
+    const body = parseHtml('<div><ul><li><a href="tool-1.0.tar.gz"><img alt="">' +
+        '</a> <a href="tool-1.0.tar.gz">tool-1.0.tar.gz</a></li></ul><p>SHA-256: ' + SHA256 + '</p></div>' +
+        '<p><a href="tool-1.0.zip">tool-1.0.zip</a></p>', 'https://example.org/download/').body;
+    const findings = inspectDocument(body, DEFAULT_OPTIONS).findings;
+    assert.deepEqual(findings.links['https://example.org/download/tool-1.0.tar.gz'].value, [SHA256]);
+    assert.equal(new Set(read).size, read.length);
+});
@@ -0,0 +1,231 @@
+/*******************************************************************************
+ * A fake of the chrome APIs the service worker and the stores of the extension
+ * use, for the tests. chrome.storage.local and chrome.storage.sync are kept in
+ * memory. Like the real storage, they hand out copies of the values,
+ * asynchronously, so that updates that are not serialized lose each other's
+ * changes. The events are fired by the tests, and the calls that have an
+ * effect outside the extension, such as the messages sent to the tabs, are
+ * recorded for them to check.
+ ******************************************************************************/
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const MESSAGES = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '_locales', 'en', 'messages.json'), 'utf8'));
+
+/* The number of calls made to the fake APIs, see settle. */
+let calls = 0;
+
+/**
+ * Resolves to a value asynchronously, as the chrome APIs do.
+ *
+ * @param {*} [value] - The value.
+ * @returns {Promise<*>} The value.
+ */
+async function later(value) {
+    calls++;
+    await new Promise(resolve => setImmediate(resolve));
+    return value;
+}
+
+/**
+ * Waits until the listeners of the events fired are done: until no call is
+ * made to the fake APIs for a few turns of the event loop.
+ *
+ * @returns {Promise} Resolves once idle.
+ */
+async function settle() {
+    for (let idle = 0; idle < 10;) {
+        const before = calls;
+        await new Promise(resolve => setTimeout(resolve, 0));
+        idle = calls === before ? idle + 1 : 0;
+    }
+}
+
+/**
+ * Creates an event.
+ *
+ * @returns {{addListener: function(Function), removeListener:
+ * function(Function), hasListener: function(Function): boolean, dispatch:
+ * function(...*): Array}} The event. dispatch calls its listeners with the
+ * arguments it is given, and returns what they return.
+ */
+function createEvent() {
+    const listeners = [];
+    return {
+        addListener: listener => listeners.push(listener),
+        removeListener: function (listener) {
+            if (listeners.includes(listener)) {
+                listeners.splice(listeners.indexOf(listener), 1);
+            }
+        },
+        hasListener: listener => listeners.includes(listener),
+        dispatch: (...args) => listeners.slice().map(listener => listener(...args))
+    };
+}
+
+/**
+ * Creates a storage area.
+ *
+ * @param {Object} [initial={}] - The values it holds at first.
+ * @param {?function(Object)} [onChanged=null] - Called with the changes of
+ * each update, as chrome.storage.onChanged gives them.
+ * @returns {{get: function(?(string|string[])): Promise<Object>, set:
+ * function(Object): Promise, data: Object}} The storage area, with its values
+ * under "data".
+ */
+function createStorageArea(initial = {}, onChanged = null) {
+    const area = {data: structuredClone(initial)};
+    area.get = async function (keys = null) {
+        await later();
+        const names = keys === null ? Object.keys(area.data) : [].concat(keys);
+        const result = {};
+        for (let name of names.filter(name => name in area.data)) {
+            result[name] = structuredClone(area.data[name]);
+        }
+        return result;
+    };
+    area.set = async function (items) {
+        await later();
+        const changes = {};
+        for (let [name, value] of Object.entries(structuredClone(items))) {
+            changes[name] = {oldValue: area.data[name], newValue: structuredClone(value)};
+            area.data[name] = value;
+        }
+        if (onChanged !== null) {
+            onChanged(changes);
+        }
+    };
+    return area;
+}
+
+/**
+ * Returns a message of the English locale, with its substitutions.
+ *
+ * @param {string} name - The name of the message.
+ * @param {(string|string[])} [substitutions=[]] - The values of $1, $2...
+ * @returns {string} The message, or the empty string if there is none.
+ */
+function getMessage(name, substitutions = []) {
+    if (!(name in MESSAGES)) {
+        return '';
+    }
+    const values = [].concat(substitutions);
+    return MESSAGES[name].message.replace(/\$(\d)/g, (match, index) => values[index - 1] || '');
+}
+
+/**
+ * Creates a fake chrome API.
+ *
+ * @param {{local: ?Object, sync: ?Object, tabs: ?Object[], downloads:
+ * ?Object[], fileSchemeAccess: ?boolean}} [initial={}] - The values the
+ * storage areas hold at first, the open tabs, the downloads, and whether the
+ * extension may read the downloaded files.
+ * @returns {Object} The fake chrome API. The tests find the open tabs under
+ * "tabs.list", the downloads by id under "downloads.items", and the messages
+ * sent to the tabs under "tabs.sent", as {tab, message}.
+ */
+function createFakeChrome(initial = {}) {
+    const storageChanged = createEvent();
+    const runtime = {
+        id: 'extension-id',
+        getURL: file => 'chrome-extension://extension-id/' + file,
+        getContexts: options => later([]),
+        sent: [],
+        sendMessage: function (message) {
+            runtime.sent.push(message);
+            return later();
+        },
+        onMessage: createEvent(),
+        onInstalled: createEvent()
+    };
+    const tabs = {
+        list: structuredClone(initial.tabs || []),
+        sent: [],
+        query: queryInfo => later(structuredClone(tabs.list.filter(tab => !queryInfo.active || tab.active))),
+        sendMessage: async function (tabId, message) {
+            await later();
+            if (!tabs.list.some(tab => tab.id === tabId)) {
+                throw new Error("Could not establish connection. Receiving end does not exist.");
+            }
+            tabs.sent.push({tab: tabId, message: structuredClone(message)});
+        },
+        create: properties => later(Object.assign({id: 1000 + tabs.list.length}, properties)),
+        update: (tabId, properties) => later(),
+        onRemoved: createEvent(),
+        onUpdated: createEvent()
+    };
+    const downloads = {
+        items: Object.fromEntries((initial.downloads || []).map(item => [item.id, structuredClone(item)])),
+        removed: [],
+        search: query => later(query.id in downloads.items ? [structuredClone(downloads.items[query.id])] : []),
+        removeFile: function (downloadId) {
+            downloads.removed.push(downloadId);
+            return later();
+        },
+        download: options => later(Math.max(0, ...Object.keys(downloads.items)) + 1),
+        onCreated: createEvent(),
+        onChanged: createEvent(),
+        onDeterminingFilename: createEvent()
+    };
+    const alarms = {
+        list: {},
+        get: function (name, callback) {
+            later(alarms.list[name]).then(callback);
+        },
+        create: function (name, info) {
+            alarms.list[name] = Object.assign({name: name}, info);
+        },
+        onAlarm: createEvent()
+    };
+    const action = {
+        badge: {text: '', color: null, title: ''},
+        setBadgeText: details => later(action.badge.text = details.text),
+        setBadgeBackgroundColor: details => later(action.badge.color = details.color),
+        setTitle: details => later(action.badge.title = details.title)
+    };
+    return {
+        storage: {
+            local: createStorageArea(initial.local || {}, changes => storageChanged.dispatch(changes, 'local')),
+            sync: createStorageArea(initial.sync || {}, changes => storageChanged.dispatch(changes, 'sync')),
+            onChanged: storageChanged
+        },
+        runtime: runtime,
+        tabs: tabs,
+        windows: {update: (windowId, properties) => later()},
+        downloads: downloads,
+        alarms: alarms,
+        action: action,
+        i18n: {getMessage: getMessage},
+        notifications: {
+            shown: [],
+            create: function (notificationId, options) {
+                this.shown.push({id: notificationId, options: options});
+                return later(notificationId);
+            },
+            clear: notificationId => later(true),
+            onClicked: createEvent()
+        },
+        contextMenus: {
+            create: properties => properties.id,
+            removeAll: callback => later().then(callback),
+            onClicked: createEvent()
+        },
+        offscreen: {createDocument: parameters => later()},
+        extension: {isAllowedFileSchemeAccess: () => later(!!initial.fileSchemeAccess)}
+    };
+}
+
+/**
+ * Installs a fake chrome global.
+ *
+ * @param {Object} [initial={}] - The values the storage areas hold at first,
+ * and the rest of the state, see createFakeChrome.
+ * @returns {Object} The fake chrome API.
+ */
+function installFakeChrome(initial = {}) {
+    globalThis.chrome = createFakeChrome(initial);
+    return globalThis.chrome;
+}
+
+module.exports = {createEvent, createFakeChrome, createStorageArea, installFakeChrome, settle};
@@ -0,0 +1,22 @@
+/*******************************************************************************
+ * Loads scripts of the extension in the tests, as globals, as the extension
+ * and the command-line tool do: the scripts call each other's functions.
+ ******************************************************************************/
+
+const path = require('node:path');
+
+const SCRIPTS = path.join(__dirname, '..', 'scripts');
+
+/**
+ * Loads scripts of the extension.
+ *
+ * @param {...string} names - The names of the scripts, in the order they
+ * depend on each other.
+ */
+function loadScripts(...names) {
+    for (let name of names) {
+        Object.assign(globalThis, require(path.join(SCRIPTS, name)));
+    }
+}
+
+module.exports = {loadScripts};
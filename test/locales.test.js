@@ -0,0 +1,52 @@
+/*******************************************************************************
+ * Tests of the translations (_locales): every message the extension shows
+ * exists in every language.
+ ******************************************************************************/
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const {test} = require('node:test');
+
+const ROOT = path.join(__dirname, '..');
+const LOCALES = path.join(ROOT, '_locales');
+/* The messages named in the scripts, pages and manifest of the extension. */
+const REGEXP_MESSAGE_USES = [/getMessage\(\s*["']([A-Za-z0-9_]+)["']/g, /data-i18n[a-z-]*="([A-Za-z0-9_]+)"/g,
+    /__MSG_([A-Za-z0-9_]+)__/g];
+
+/**
+ * Lists the files of the extension that may name messages.
+ *
+ * @param {string} directory - The directory to list.
+ * @returns {string[]} The paths of the scripts, pages and manifest.
+ */
+function listSources(directory) {
+    return fs.readdirSync(directory, {withFileTypes: true}).flatMap(function (entry) {
+        const file = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            return ['node_modules', 'test', '.git', '_locales'].includes(entry.name) ? [] : listSources(file);
+        }
+        return /\.(js|html|json)$/.test(entry.name) && !entry.name.endsWith('.min.js') ? [file] : [];
+    });
+}
+
+const locales = Object.fromEntries(fs.readdirSync(LOCALES).map(locale =>
+    [locale, JSON.parse(fs.readFileSync(path.join(LOCALES, locale, 'messages.json'), 'utf8'))]));
+
+test('translates the same messages in every language', function () {
+    const [reference, ...others] = Object.keys(locales);
+    for (let locale of others) {
+        assert.deepEqual(Object.keys(locales[locale]).sort(), Object.keys(locales[reference]).sort(), locale);
+    }
+});
+
+test('translates every message the extension names', function () {
+    for (let file of listSources(ROOT)) {
+        const source = fs.readFileSync(file, 'utf8');
+        for (let r of REGEXP_MESSAGE_USES.flatMap(regexp => [...source.matchAll(regexp)])) {
+            for (let [locale, messages] of Object.entries(locales)) {
+                assert.ok(r[1] in messages, r[1] + ' of ' + path.relative(ROOT, file) + ' is missing in ' + locale);
+            }
+        }
+    }
+});
@@ -0,0 +1,60 @@
+/*******************************************************************************
+ * Tests of the matching of downloads to the pages they were started from
+ * (scripts/matching.js), as the referrers browsers send tell them.
+ ******************************************************************************/
+
+const assert = require('node:assert/strict');
+const {test} = require('node:test');
+const {loadScripts} = require('./load-scripts.js');
+
+loadScripts('algorithms.js', 'sums.js', 'options-store.js', 'tracking-store.js', 'matching.js');
+
+const SHA256 = '3267149c1ba9b67cd6a8aa7d08c632e060590ff36214a4d01b8b7c28c0ff4462';
+const PAGE_URL = 'https://example.org/tool/download';
+
+/**
+ * Returns a monitored page.
+ *
+ * @param {Object} [properties] - The properties that differ.
+ * @returns {Object} The page, as in the registry.
+ */
+function monitoredPage(properties = {}) {
+    return Object.assign({
+        urls: ['https://example.org/tool/tool-1.0.zip'],
+        checksum: {type: ['sha256'], value: [SHA256], candidates: {[SHA256]: ['sha256']}, associated: false},
+        links: {},
+        files: {},
+        page: PAGE_URL,
+        tab: 1
+    }, properties);
+}
+
+/* A download from a mirror, whose URL the page does not link to. */
+const mirrorDownload = referrer => ({url: 'https://mirror.example.net/tool/tool-1.0-linux.tar.gz', referrer: referrer});
+
+test('matches a download from another site, whose referrer is the origin of the page', function () {
+    const match = matchDownload(mirrorDownload('https://example.org/'), [monitoredPage()], null, DEFAULT_OPTIONS);
+    assert.equal(match.level, MATCH_PAGE);
+    assert.deepEqual(match.checksum.value, [SHA256]);
+});
+
+test('matches the next download to the checksum selected, from a referrer that is the origin of the page',
+    function () {
+        const page = monitoredPage({nextDownload: true});
+        const match = matchDownload(mirrorDownload('https://example.org/'), [page], null, DEFAULT_OPTIONS);
+        assert.equal(match.level, MATCH_NEXT_DOWNLOAD);
+    });
+
+test('does not match a download whose referrer is another page or another origin', function () {
+    for (let referrer of ['https://example.org/other', 'https://example.com/', 'https://example.org/tool/']) {
+        assert.equal(matchDownload(mirrorDownload(referrer), [monitoredPage()], null, DEFAULT_OPTIONS), null, referrer);
+    }
+});
+
+test('matches a download whose referrer is the page, or without referrer from the tab of the page', function () {
+    assert.equal(matchDownload(mirrorDownload(PAGE_URL + '#files'), [monitoredPage()], null, DEFAULT_OPTIONS).level,
+        MATCH_PAGE);
+    const activeTab = {id: 1, url: PAGE_URL};
+    assert.equal(matchDownload(mirrorDownload(''), [monitoredPage()], activeTab, DEFAULT_OPTIONS).level, MATCH_PAGE);
+    assert.equal(matchDownload(mirrorDownload(''), [monitoredPage()], {id: 2, url: PAGE_URL}, DEFAULT_OPTIONS), null);
+});
@@ -0,0 +1,46 @@
+/*******************************************************************************
+ * Signs data as minisign and signify do, with keys made for the tests, so
+ * that the signatures are verified as those of real publishers.
+ ******************************************************************************/
+
+const crypto = require('node:crypto');
+
+const TRUSTED_COMMENT = 'timestamp:1717200000\tfile:tool-1.0.tar.gz';
+
+/**
+ * Creates a minisign or signify key.
+ *
+ * @param {Uint8Array} keyId - The 8 bytes id of the key.
+ * @returns {{keyId: Uint8Array, publicKey: string, publicKeyFile:
+ * function(boolean): string, sign: function(Uint8Array, boolean): string}} The
+ * id of the key, its raw public key in base64, a function returning its public
+ * key file, as minisign or signify writes it, and a function signing data as
+ * minisign, with the Ed25519 signature of the data itself, or as signify,
+ * which has no trusted comment, that returns the signature file.
+ */
+function createMinisignKey(keyId) {
+    const {publicKey, privateKey} = crypto.generateKeyPairSync('ed25519');
+    // The raw key is the end of its SPKI encoding.
+    const rawKey = publicKey.export({format: 'der', type: 'spki'}).subarray(-32);
+    return {
+        keyId: keyId,
+        publicKey: rawKey.toString('base64'),
+        publicKeyFile(signify) {
+            const comment = signify ? 'untrusted comment: tool public key' :
+                'untrusted comment: minisign public key ' + Buffer.from(keyId).reverse().toString('hex').toUpperCase();
+            return comment + '\n' + Buffer.concat([Buffer.from('Ed'), keyId, rawKey]).toString('base64') + '\n';
+        },
+        sign(data, signify) {
+            const signature = crypto.sign(null, data, privateKey);
+            const lines = ['untrusted comment: signature from tool secret key',
+                Buffer.concat([Buffer.from('Ed'), keyId, signature]).toString('base64')];
+            if (!signify) {
+                const global = crypto.sign(null, Buffer.concat([signature, Buffer.from(TRUSTED_COMMENT)]), privateKey);
+                lines.push('trusted comment: ' + TRUSTED_COMMENT, global.toString('base64'));
+            }
+            return lines.join('\n') + '\n';
+        }
+    };
+}
+
+module.exports = {createMinisignKey};
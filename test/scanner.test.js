@@ -0,0 +1,159 @@
+/*******************************************************************************
+ * Tests of the page scanner (scripts/scanner.js) and of the detection of the
+ * checksums of a page (scripts/detection.js), on snippets and on the download
+ * pages in test/fixtures/pages, modelled on those of GitHub releases, Apache
+ * projects, python.org and VideoLAN.
+ ******************************************************************************/
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const {describe, test} = require('node:test');
+const {parseHtml} = require('../cli/dom.js');
+const {loadScripts} = require('./load-scripts.js');
+
+loadScripts('algorithms.js', 'sums.js', 'options-store.js', 'signatures.js', 'scanner.js', 'detection.js');
+
+const PAGES = path.join(__dirname, 'fixtures', 'pages');
+
+/**
+ * Parses a page, or the content of its body.
+ *
+ * @param {string} html - The HTML of the page, or of its body.
+ * @param {string} [url] - The URL of the page.
+ * @returns {Object} The body of the page, see parseHtml.
+ */
+function parse(html, url = 'https://example.org/download/') {
+    return parseHtml(/<body[\s>]/i.test(html) ? html : '<body>' + html + '</body>', url).body;
+}
+
+/**
+ * Inspects a page of the fixtures, as the content script does.
+ *
+ * @param {string} name - The file name of the page.
+ * @param {string} url - The URL the page was saved from.
+ * @returns {{locations: Object<string, string>, findings: ?Object}} Where
+ * each checksum was found, and the findings, see inspectDocument, with the
+ * checksum values tied to each link.
+ */
+function inspectPage(name, url) {
+    const inspection = inspectDocument(parse(fs.readFileSync(path.join(PAGES, name), 'utf8'), url), DEFAULT_OPTIONS);
+    const findings = inspection.findings;
+    if (findings !== null) {
+        for (let [link, checksum] of Object.entries(findings.links)) {
+            findings.links[link] = checksum.value;
+        }
+    }
+    return {locations: Object.fromEntries(inspection.locations), findings: findings};
+}
+
+describe('collectPageText', function () {
+    test('reads the inline elements along with their block', function () {
+        const segments = collectPageText(parse('<p>SHA-256: <code><span>3267149c</span><wbr><span>1ba9b67c</span>' +
+            '&#x200b;d08c</code></p><p>next</p>'));
+        assert.deepEqual(segments.map(segment => segment.text), ['SHA-256: 3267149c1ba9b67cd08c', 'next']);
+        // Text split across inline elements is located at the one holding all of it.
+        assert.equal(segments[0].locate(9, 20), 'body > p:nth-of-type(1) > code');
+        assert.equal(segments[0].locate(9, 8), 'body > p:nth-of-type(1) > code > span:nth-of-type(1)');
+    });
+
+    test('reads the checksum data attributes and titles', function () {
+        const segments = collectPageText(parse('<button data-clipboard-text="abc" data-sha256="def" data-id="1">' +
+            'Copy</button><abbr title="ghi">sum</abbr>'));
+        assert.deepEqual(segments.filter(segment => segment.attribute !== null).map(segment => segment.text),
+            ['data-clipboard-text: abc', 'data-sha256: def', 'title: ghi']);
+    });
+
+    test('reads the values of the read-only fields only', function () {
+        const segments = collectPageText(parse('<input type="hidden" name="csrf" value="token">' +
+            '<input type="text" name="q" value="query"><input type="text" readonly value="checksum">' +
+            '<input type="hidden" readonly value="hidden"><output>result</output>'));
+        assert.deepEqual(segments.map(segment => segment.text), ['value: checksum', 'result']);
+    });
+
+    test('skips scripts, hidden elements and the ignored element', function () {
+        const body = parse('<script>var sum = "abc";</script><p hidden>hidden</p><div id="popup">popup</div>' +
+            '<p>shown</p>');
+        const segments = collectPageText(body, '', body.querySelectorAll('div')[0]);
+        assert.deepEqual(segments.map(segment => segment.text), ['shown']);
+    });
+});
+
+describe('elementLocation', function () {
+    test('locates elements from the closest ancestor with an id, or else from the body', function () {
+        const body = parse('<table><tr><td>a<td><code>b</code></table><div id="files"><ul><li>c<li><b>d</b></ul></div>');
+        assert.equal(elementLocation(body.querySelectorAll('code')[0]),
+            'body > table > tbody > tr > td:nth-of-type(2) > code');
+        assert.equal(elementLocation(body.querySelectorAll('b')[0]), 'div#files > ul > li:nth-of-type(2) > b');
+    });
+});
+
+describe('download pages', function () {
+    test('GitHub release: the digests of the assets, not the commit nor the tokens', function () {
+        const {locations, findings} = inspectPage('github-release.html',
+            'https://github.com/example/tool/releases/tag/v1.2.0');
+        const assets = 'div#repo-content-pjax-container > section > div > div:nth-of-type(2) > div > details > div > ul';
+        assert.deepEqual(locations, {
+            'e27426a45dbfd2b7bd12696168c9eaa91d22ae2421bc8e3a414b912116342229':
+                assets + ' > li:nth-of-type(1) > div:nth-of-type(2) > span:nth-of-type(1) > span',
+            '3aa9f47c513fc92ae9e3b8dca341c96ef43d9e6afc9a9bb893c1cbe359459aef':
+                assets + ' > li:nth-of-type(2) > div:nth-of-type(2) > span:nth-of-type(1) > span',
+            'c063b8a9830b465a40e0550b18405593e3da78d1f7ead0679bd2347ef21124e4':
+                assets + ' > li:nth-of-type(3) > div:nth-of-type(2) > span:nth-of-type(1) > span'
+        });
+        const download = 'https://github.com/example/tool/releases/download/v1.2.0/tool-1.2.0-';
+        assert.deepEqual(findings.links, {
+            [download + 'linux-amd64.tar.gz']: ['e27426a45dbfd2b7bd12696168c9eaa91d22ae2421bc8e3a414b912116342229'],
+            [download + 'macos-arm64.zip']: ['3aa9f47c513fc92ae9e3b8dca341c96ef43d9e6afc9a9bb893c1cbe359459aef'],
+            [download + 'windows-amd64.zip']: ['c063b8a9830b465a40e0550b18405593e3da78d1f7ead0679bd2347ef21124e4']
+        });
+        assert.ok(findings.urls.includes('https://github.com/example/tool/archive/refs/tags/v1.2.0.tar.gz'));
+    });
+
+    test('Apache project: the checksum files and signatures of each release', function () {
+        const {locations, findings} = inspectPage('apache-download.html', 'https://httpd.apache.org/download.cgi');
+        assert.deepEqual(locations, {});
+        assert.deepEqual(findings.checksumFiles, [
+            'https://downloads.apache.org/httpd/httpd-2.4.62.tar.bz2.sha256',
+            'https://downloads.apache.org/httpd/httpd-2.4.62.tar.bz2.sha512',
+            'https://downloads.apache.org/httpd/httpd-2.4.62.tar.gz.sha256',
+            'https://downloads.apache.org/httpd/httpd-2.4.62.tar.gz.sha512'
+        ]);
+        assert.deepEqual(findings.signatures, [
+            'https://downloads.apache.org/httpd/httpd-2.4.62.tar.bz2.asc',
+            'https://downloads.apache.org/httpd/httpd-2.4.62.tar.gz.asc'
+        ]);
+        assert.ok(findings.urls.includes('https://dlcdn.apache.org/httpd/httpd-2.4.62.tar.bz2'));
+        assert.ok(findings.urls.includes('https://dlcdn.apache.org/httpd/httpd-2.4.62.tar.gz'));
+    });
+
+    test('python.org: the MD5 sum of each file of the table', function () {
+        const {locations, findings} = inspectPage('python-release.html',
+            'https://www.python.org/downloads/release/python-3124/');
+        const rows = 'div#content > section > article > table > tbody';
+        assert.deepEqual(locations, {
+            'bfb207ba0feee6ea6c88438394c6cac3': rows + ' > tr:nth-of-type(1) > td:nth-of-type(4)',
+            'bc18fe31b85eec47a1f801de2d7d71e8': rows + ' > tr:nth-of-type(2) > td:nth-of-type(4)',
+            '1eb4c8365ef8df1d2da4c69c4dfea238': rows + ' > tr:nth-of-type(3) > td:nth-of-type(4)',
+            '6e49f3f7492ca8d6338bab0c8ff9b9e6': rows + ' > tr:nth-of-type(4) > td:nth-of-type(4)'
+        });
+        const ftp = 'https://www.python.org/ftp/python/3.12.4/';
+        assert.deepEqual(findings.links, {
+            [ftp + 'Python-3.12.4.tgz']: ['bfb207ba0feee6ea6c88438394c6cac3'],
+            [ftp + 'Python-3.12.4.tar.xz']: ['bc18fe31b85eec47a1f801de2d7d71e8'],
+            [ftp + 'python-3.12.4-macos11.pkg']: ['1eb4c8365ef8df1d2da4c69c4dfea238'],
+            [ftp + 'python-3.12.4-amd64.exe']: ['6e49f3f7492ca8d6338bab0c8ff9b9e6']
+        });
+        assert.ok(findings.signatures.includes(ftp + 'Python-3.12.4.tgz.asc'));
+    });
+
+    test('VideoLAN: the labeled checksum of the main download', function () {
+        const {locations, findings} = inspectPage('vlc-download.html', 'https://www.videolan.org/vlc/');
+        assert.deepEqual(locations, {
+            'aecb231e7dec4e7bd40e587aaed2dca38b25bd6671e251987f1feb57213ee5ee': 'code#checksumValue'
+        });
+        assert.deepEqual(findings.checksum.value, ['aecb231e7dec4e7bd40e587aaed2dca38b25bd6671e251987f1feb57213ee5ee']);
+        assert.deepEqual(findings.checksum.type, ['sha256']);
+        assert.ok(findings.urls.includes('https://get.videolan.org/vlc/3.0.21/win64/vlc-3.0.21-win64.exe'));
+    });
+});
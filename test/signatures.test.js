@@ -0,0 +1,108 @@
+/*******************************************************************************
+ * Tests of the verification of minisign and signify signatures
+ * (scripts/signatures.js), fetched from a local HTTP server: the keys pinned,
+ * the format reported, and the files too large to be read in memory.
+ ******************************************************************************/
+
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const {after, before, test} = require('node:test');
+const {loadScripts} = require('./load-scripts.js');
+const {createMinisignKey} = require('./minisign.js');
+
+loadScripts('signatures.js');
+
+const DATA = new TextEncoder().encode('tool-1.0\n');
+const KEY = createMinisignKey(new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8]));
+/* The key, as pinned for the site. */
+const PINNED_KEY = {
+    format: SIGNATURE_FORMAT_MINISIGN,
+    keyId: formatMinisignKeyId(KEY.keyId),
+    publicKey: KEY.publicKey,
+    comment: 'Tool maintainers'
+};
+const KEYRING = {armoredKeys: [], pinnedKeys: [PINNED_KEY]};
+
+/* A file larger than the signatures of the data itself are verified against,
+ * which is never read. */
+class LargeFile extends Blob {
+    get size() {
+        return MAX_SIGNED_DATA_SIZE + 1;
+    }
+
+    arrayBuffer() {
+        throw new Error("Read a file too large");
+    }
+}
+
+/* The files served, by path. */
+const FILES = {
+    '/tool-1.0.tar.gz.minisig': KEY.sign(DATA, false),
+    '/tool-1.0.tar.gz.sig': KEY.sign(DATA, true),
+    '/broken.sig': 'untrusted comment: signify signature\nnot base64\n'
+};
+let server;
+let baseUrl;
+
+before(async function () {
+    server = http.createServer(function (request, response) {
+        const file = FILES[new URL(request.url, 'http://localhost').pathname];
+        response.writeHead(file !== undefined ? 200 : 404, {'Content-Type': 'text/plain'});
+        response.end(file !== undefined ? file : 'Not found');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = 'http://127.0.0.1:' + server.address().port + '/';
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('verifies minisign and signify signatures against the pinned keys', async function () {
+    for (let [name, format] of [['tool-1.0.tar.gz.minisig', SIGNATURE_FORMAT_MINISIGN],
+        ['tool-1.0.tar.gz.sig', SIGNATURE_FORMAT_SIGNIFY]]) {
+        const result = await fetchAndVerifySignature(new Blob([DATA]), baseUrl + name, KEYRING);
+        assert.deepEqual(result, {format: format, status: SIGNATURE_TRUSTED, signer: 'Tool maintainers',
+            fingerprint: PINNED_KEY.keyId, url: baseUrl + name});
+        const tampered = await fetchAndVerifySignature(new TextEncoder().encode('tool-1.1\n'), baseUrl + name, KEYRING);
+        assert.equal(tampered.status, SIGNATURE_INVALID);
+    }
+});
+
+test('pins minisign and signify keys under their own format', async function () {
+    const minisignKey = await parsePublicKey(KEY.publicKeyFile(false));
+    assert.deepEqual(minisignKey, {format: SIGNATURE_FORMAT_MINISIGN, keyId: PINNED_KEY.keyId, publicKey: KEY.publicKey,
+        comment: 'minisign public key ' + PINNED_KEY.keyId});
+    const signifyKey = await parsePublicKey(KEY.publicKeyFile(true));
+    assert.deepEqual(signifyKey, {format: SIGNATURE_FORMAT_SIGNIFY, keyId: PINNED_KEY.keyId, publicKey: KEY.publicKey,
+        comment: 'tool public key'});
+    // minisign keys are also published without their comment.
+    const bareKey = await parsePublicKey(KEY.publicKeyFile(false).split('\n')[1]);
+    assert.equal(bareKey.format, SIGNATURE_FORMAT_MINISIGN);
+
+    const signify = await fetchAndVerifySignature(DATA, baseUrl + 'tool-1.0.tar.gz.sig',
+        {armoredKeys: [], pinnedKeys: [signifyKey]});
+    assert.deepEqual([signify.format, signify.status], [SIGNATURE_FORMAT_SIGNIFY, SIGNATURE_TRUSTED]);
+    // The keys pinned before signify keys were told apart still verify the
+    // signify signatures.
+    const pinnedBefore = await fetchAndVerifySignature(DATA, baseUrl + 'tool-1.0.tar.gz.sig',
+        {armoredKeys: [], pinnedKeys: [Object.assign({}, signifyKey, {format: SIGNATURE_FORMAT_MINISIGN})]});
+    assert.equal(pinnedBefore.status, SIGNATURE_TRUSTED);
+});
+
+test('reports the format of the signatures that could not be verified', async function () {
+    const fetchFailed = await fetchAndVerifySignature(DATA, baseUrl + 'missing.minisig', KEYRING);
+    assert.deepEqual([fetchFailed.format, fetchFailed.status], [SIGNATURE_FORMAT_MINISIGN, SIGNATURE_ERROR]);
+    const unreadable = await fetchAndVerifySignature(DATA, baseUrl + 'broken.sig', KEYRING);
+    assert.deepEqual([unreadable.format, unreadable.status], [SIGNATURE_FORMAT_SIGNIFY, SIGNATURE_ERROR]);
+    // The key pinned cannot be imported.
+    const brokenKeyring = {armoredKeys: [], pinnedKeys: [Object.assign({}, PINNED_KEY, {publicKey: 'AAAA'})]};
+    const failed = await fetchAndVerifySignature(DATA, baseUrl + 'tool-1.0.tar.gz.sig', brokenKeyring);
+    assert.deepEqual([failed.format, failed.status], [SIGNATURE_FORMAT_SIGNIFY, SIGNATURE_ERROR]);
+});
+
+test('does not read files too large to verify a signature of the data itself', async function () {
+    for (let name of ['tool-1.0.tar.gz.minisig', 'tool-1.0.tar.gz.sig']) {
+        const result = await fetchAndVerifySignature(new LargeFile([DATA]), baseUrl + name, KEYRING);
+        assert.equal(result.status, SIGNATURE_TOO_LARGE);
+        assert.equal(result.fingerprint, PINNED_KEY.keyId);
+    }
+});
@@ -0,0 +1,161 @@
+/*******************************************************************************
+ * Tests of the parsing of checksum files (scripts/sums.js), and of their
+ * fetching from a local HTTP server by fetchChecksumFiles, which both the
+ * service worker and the command-line tool use.
+ ******************************************************************************/
+
+const assert = require('node:assert/strict');
+const {execFile} = require('node:child_process');
+const http = require('node:http');
+const path = require('node:path');
+const {after, before, describe, test} = require('node:test');
+const {loadScripts} = require('./load-scripts.js');
+const {createMinisignKey} = require('./minisign.js');
+
+loadScripts('algorithms.js', 'sums.js', 'signatures.js');
+
+const CLI = path.join(__dirname, '..', 'cli', 'verify.js');
+const TOOL_ZIP = path.join(__dirname, 'fixtures', 'cli', 'tool-1.0.zip');
+const MD5 = '4794f2c48ca5a1bcc051169c98cb4c56';
+const SHA256 = '047133e8aad7eafe0046e94aa31887b12328de0ae08ed570e9a18d06895d7320';
+const CRC32 = 'b7ea4833';
+
+describe('isChecksumFile', function () {
+    test('recognizes the usual names of checksum files', function () {
+        for (let name of ['SHA256SUMS', 'md5sum.txt', 'CHECKSUMS.txt', 'tool-1.0.zip.sha256', 'tool-1.0.zip.md5']) {
+            assert.equal(isChecksumFile('https://example.org/' + name), true, name);
+        }
+        for (let name of ['tool-1.0.zip', 'sha256.html', 'checksums.html']) {
+            assert.equal(isChecksumFile('https://example.org/' + name), false, name);
+        }
+    });
+});
+
+describe('parseChecksumFile', function () {
+    test('reads the GNU, BSD and single-checksum lines, and ignores the others', function () {
+        const text = [
+            '-----BEGIN PGP SIGNED MESSAGE-----',
+            'Hash: SHA256',
+            '',
+            SHA256 + '  tool-1.0.zip',
+            SHA256 + ' *dist/tool-1.0.tar.gz',
+            'SHA256 (tool-1.0.exe) = ' + SHA256,
+            '-----BEGIN PGP SIGNATURE-----'
+        ].join('\r\n');
+        assert.deepEqual(parseChecksumFile(text, 'https://example.org/SHA256SUMS'), [
+            {filename: 'tool-1.0.zip', value: SHA256, type: 'sha256'},
+            {filename: 'dist/tool-1.0.tar.gz', value: SHA256, type: 'sha256'},
+            {filename: 'tool-1.0.exe', value: SHA256, type: 'sha256'}
+        ]);
+        assert.deepEqual(parseChecksumFile(SHA256.toUpperCase() + '\n', 'https://example.org/tool-1.0.zip.sha256'),
+            [{filename: null, value: SHA256, type: 'sha256'}]);
+    });
+
+    test('leaves the algorithm unknown if the file name does not tell it', function () {
+        assert.deepEqual(parseChecksumFile(MD5 + '  tool-1.0.zip\n', 'https://example.org/CHECKSUMS.txt'),
+            [{filename: 'tool-1.0.zip', value: MD5, type: null}]);
+    });
+
+    test('takes the algorithm from the words of the file name only', function () {
+        const typeOf = name => parseChecksumFile(SHA256, 'https://example.org/' + name)[0].type;
+        assert.equal(typeOf('libdb2-1.0.sha256'), 'sha256');
+        assert.equal(typeOf('tool-b2-1.0.tar.gz.sha256'), 'sha256');
+        assert.equal(typeOf('sha3-256sums.txt'), 'sha3256');
+        assert.equal(typeOf('b3sums'), 'blake3');
+        assert.equal(typeOf('CHECKSUMS.txt'), null);
+        assert.equal(typeOf('SHA256'), 'sha256');
+    });
+
+    test('reads SFV lines only in the files named after CRC32', function () {
+        const text = '; Generated by a SFV tool\ntool-1.0.zip ' + CRC32.toUpperCase() + '\n';
+        assert.deepEqual(parseChecksumFile(text, 'https://example.org/tool-1.0.sfv'),
+            [{filename: 'tool-1.0.zip', value: CRC32, type: 'crc32'}]);
+        assert.deepEqual(parseChecksumFile(text, 'https://example.org/CHECKSUMS.txt'), []);
+    });
+});
+
+describe('groupChecksumsByFilename', function () {
+    test('groups the checksums by file name, without their path', function () {
+        const url = 'https://example.org/CHECKSUMS.txt';
+        const text = SHA256 + '  tool-1.0.zip\n' + MD5 + '  ./dist/tool-1.0.zip\n' + SHA256 + '  tool-1.0.tar.gz\n';
+        assert.deepEqual(groupChecksumsByFilename(parseChecksumFile(text, url), url), {
+            'tool-1.0.zip': [{value: SHA256, type: null}, {value: MD5, type: null}],
+            'tool-1.0.tar.gz': [{value: SHA256, type: null}]
+        });
+    });
+
+    test('applies a checksum alone to the file the checksum file is named after', function () {
+        const entries = [{filename: null, value: SHA256, type: 'sha256'}];
+        assert.deepEqual(groupChecksumsByFilename(entries, 'https://example.org/tool-1.0.zip.sha256'),
+            {'tool-1.0.zip': [{value: SHA256, type: 'sha256'}]});
+        assert.deepEqual(groupChecksumsByFilename(entries, 'https://example.org/SHA256SUMS'), {});
+    });
+});
+
+describe('fetchChecksumFiles', function () {
+    const KEY = createMinisignKey(new Uint8Array([8, 7, 6, 5, 4, 3, 2, 1]));
+    /* The files served, by path. */
+    const FILES = {
+        '/download.html': '<!DOCTYPE html><body><p><a href="tool-1.0.zip">tool-1.0.zip</a></p>' +
+            '<p><a href="SHA256SUMS">SHA256SUMS</a> <a href="tool-1.0.zip.md5">MD5</a> <a href="tool-1.0.sfv">SFV</a>' +
+            ' <a href="tool-1.0.zip.sha512">SHA-512</a></p></body>',
+        '/SHA256SUMS': SHA256 + '  tool-1.0.zip\n',
+        '/SHA256SUMS.minisig': KEY.sign(new TextEncoder().encode(SHA256 + '  tool-1.0.zip\n'), false),
+        '/tool-1.0.zip.md5': MD5 + '\n',
+        '/tool-1.0.sfv': 'tool-1.0.zip ' + CRC32 + '\n',
+        '/large/SHA256SUMS': (SHA256 + '  tool-1.0.zip\n').repeat(MAX_CHECKSUM_FILE_SIZE / 64) + SHA256 + '  large.zip\n'
+    };
+    let server;
+    let baseUrl;
+
+    before(async function () {
+        server = http.createServer(function (request, response) {
+            const file = FILES[new URL(request.url, 'http://localhost').pathname];
+            response.writeHead(file !== undefined ? 200 : 404, {'Content-Type': 'text/plain'});
+            response.end(file !== undefined ? file : 'Not found');
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = 'http://127.0.0.1:' + server.address().port + '/';
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    test('merges the checksums of each file, skipping the files missing or too large', async function () {
+        const files = await fetchChecksumFiles(['SHA256SUMS', 'tool-1.0.zip.md5', 'tool-1.0.sfv', 'tool-1.0.zip.sha512',
+            'large/SHA256SUMS'].map(name => baseUrl + name));
+        assert.deepEqual(Object.keys(files), ['tool-1.0.zip']);
+        assert.deepEqual(files['tool-1.0.zip'].value, [SHA256, MD5, CRC32]);
+        assert.deepEqual(files['tool-1.0.zip'].candidates, {[SHA256]: ['sha256'], [MD5]: ['md5'], [CRC32]: ['crc32']});
+        assert.equal(files['tool-1.0.zip'].associated, true);
+    });
+
+    test('fetches the first checksum files of a page only', async function () {
+        const urls = Array(MAX_CHECKSUM_FILES).fill(baseUrl + 'tool-1.0.zip.md5').concat(baseUrl + 'SHA256SUMS');
+        assert.deepEqual((await fetchChecksumFiles(urls))['tool-1.0.zip'].value, [MD5]);
+    });
+
+    test('verifies the detached signatures of the checksum files against the keyring', async function () {
+        const keyring = {armoredKeys: [], pinnedKeys: [
+            {format: SIGNATURE_FORMAT_MINISIGN, keyId: formatMinisignKeyId(KEY.keyId), publicKey: KEY.publicKey}
+        ]};
+        const signatures = {'SHA256SUMS': baseUrl + 'SHA256SUMS.minisig'};
+        const signed = await fetchChecksumFiles([baseUrl + 'SHA256SUMS'], signatures, keyring);
+        assert.equal(signed['tool-1.0.zip'].signature.status, SIGNATURE_TRUSTED);
+        assert.equal(signed['tool-1.0.zip'].signature.url, baseUrl + 'SHA256SUMS.minisig');
+        // Without a keyring, as in the command-line tool.
+        const unsigned = await fetchChecksumFiles([baseUrl + 'SHA256SUMS'], signatures);
+        assert.equal(unsigned['tool-1.0.zip'].signature, undefined);
+    });
+
+    test('is used by the command-line tool to verify a file against the checksum files of a page', async function () {
+        const {stdout} = await new Promise((resolve, reject) => {
+            execFile(process.execPath, [CLI, baseUrl + 'download.html', TOOL_ZIP], {timeout: 30000},
+                (error, stdout) => error ? reject(error) : resolve({stdout: stdout}));
+        });
+        const report = JSON.parse(stdout);
+        assert.deepEqual(report.checksumFiles, ['SHA256SUMS', 'tool-1.0.zip.md5', 'tool-1.0.sfv', 'tool-1.0.zip.sha512']
+            .map(name => baseUrl + name));
+        assert.deepEqual(report.verification.expected.sort(), [CRC32, MD5, SHA256].sort());
+        assert.equal(report.verification.valid, true);
+    });
+});
@@ -0,0 +1,189 @@
+/*******************************************************************************
+ * Tests of the lifecycle of the tracked pages and downloads
+ * (scripts/tracking-store.js) against a fake chrome.storage: serialized
+ * updates, restarts of the service worker, closed tabs, navigation and sweeps.
+ ******************************************************************************/
+
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const {beforeEach, describe, test} = require('node:test');
+const {installFakeChrome} = require('./fake-chrome.js');
+
+const TRACKING_STORE = path.join(__dirname, '..', 'scripts', 'tracking-store.js');
+const NOW = Date.UTC(2024, 5, 1);
+
+/**
+ * Loads the registry as a service worker that has just started does: without
+ * any update pending.
+ *
+ * @returns {Object} The exports of tracking-store.js.
+ */
+function startServiceWorker() {
+    delete require.cache[require.resolve(TRACKING_STORE)];
+    return require(TRACKING_STORE);
+}
+
+/**
+ * Returns a tracked page.
+ *
+ * @param {number} tab - The id of its tab.
+ * @param {string} url - Its URL.
+ * @param {number} [expiresAt] - When it expires.
+ * @returns {Object} The page, as in the registry.
+ */
+function trackedPage(tab, url, expiresAt = NOW + 60 * 60 * 1000) {
+    return {urls: [url + 'tool.zip'], checksum: {type: [], value: [], candidates: {}}, links: {}, files: {},
+        signatures: {}, page: url, site: new URL(url).hostname, tab: tab, expiresAt: expiresAt};
+}
+
+/**
+ * Returns a tracked download.
+ *
+ * @param {?number} tab - The id of its tab.
+ * @param {string} state - One of the DOWNLOAD_STATE_* values.
+ * @param {number} [startedAt] - When it started.
+ * @returns {Object} The download, as in the registry.
+ */
+function trackedDownload(tab, state, startedAt = NOW - 60 * 1000) {
+    return {download: 'https://example.org/tool.zip', checksum: {type: [], value: [], candidates: {}}, files: {},
+        signatures: {}, page: 'https://example.org/', site: 'example.org', tab: tab, state: state,
+        startedAt: startedAt};
+}
+
+let store;
+
+beforeEach(function () {
+    installFakeChrome();
+    store = startServiceWorker();
+});
+
+describe('updateTracking', function () {
+    test('applies concurrent updates one at a time', async function () {
+        await Promise.all([1, 2, 3].map(tab => store.updateTracking(function (state) {
+            state.pages.push(trackedPage(tab, 'https://example.org/' + tab + '/'));
+        })));
+        assert.deepEqual((await store.getTracking()).pages.map(page => page.tab), [1, 2, 3]);
+    });
+
+    test('resolves to the result of the update once stored', async function () {
+        const result = await store.updateTracking(function (state) {
+            state.downloads[7] = trackedDownload(1, store.DOWNLOAD_STATE_DOWNLOADING);
+            return 'stored';
+        });
+        assert.equal(result, 'stored');
+        assert.deepEqual(Object.keys(chrome.storage.local.data.downloads), ['7']);
+    });
+
+    test('goes on with the next updates after a failed one', async function () {
+        const failed = store.updateTracking(function () {
+            throw new Error('update failed');
+        });
+        const next = store.updateTracking(state => state.pages.push(trackedPage(1, 'https://example.org/')));
+        await assert.rejects(failed, /update failed/);
+        await next;
+        assert.equal((await store.getTracking()).pages.length, 1);
+    });
+});
+
+describe('restart of the service worker', function () {
+    test('keeps the registry in storage', async function () {
+        await store.updateTracking(function (state) {
+            state.pages.push(trackedPage(1, 'https://example.org/'));
+            state.downloads[7] = trackedDownload(1, store.DOWNLOAD_STATE_DOWNLOADING);
+        });
+        store = startServiceWorker();
+        const tracking = await store.getTracking();
+        assert.equal(tracking.pages.length, 1);
+        assert.equal(tracking.downloads[7].state, store.DOWNLOAD_STATE_DOWNLOADING);
+    });
+
+    test('verifies the downloads completed while it was stopped, and those lost with the offscreen document',
+        async function () {
+            await store.updateTracking(function (state) {
+                state.downloads[1] = trackedDownload(1, store.DOWNLOAD_STATE_DOWNLOADING);
+                state.downloads[2] = trackedDownload(1, store.DOWNLOAD_STATE_VERIFYING);
+                state.downloads[3] = trackedDownload(1, store.DOWNLOAD_STATE_AWAITING_FILE);
+                state.downloads[4] = trackedDownload(1, store.DOWNLOAD_STATE_DOWNLOADING);
+            });
+            store = startServiceWorker();
+            const items = {1: {state: 'complete'}, 2: {state: 'complete'}, 3: {state: 'complete'},
+                4: {state: 'in_progress'}};
+            const toVerify = await store.updateTracking(state => store.sweepTracking(state,
+                {now: NOW, tabs: new Set([1]), items: items, offscreen: false}));
+            assert.deepEqual(toVerify.map(({id}) => id), ['1', '2']);
+            const downloads = (await store.getTracking()).downloads;
+            assert.equal(downloads[1].state, store.DOWNLOAD_STATE_VERIFYING);
+            assert.equal(downloads[3].state, store.DOWNLOAD_STATE_AWAITING_FILE);
+            assert.equal(downloads[4].state, store.DOWNLOAD_STATE_DOWNLOADING);
+        });
+
+    test('leaves the downloads being verified by the offscreen document', function () {
+        const state = {pages: [], downloads: {2: trackedDownload(1, store.DOWNLOAD_STATE_VERIFYING)}};
+        const toVerify = store.sweepTracking(state,
+            {now: NOW, tabs: new Set([1]), items: {2: {state: 'complete'}}, offscreen: true});
+        assert.deepEqual(toVerify, []);
+    });
+});
+
+describe('closed tabs and navigation', function () {
+    test('forgets the pages of a closed tab, and detaches its downloads', async function () {
+        await store.updateTracking(function (state) {
+            state.pages.push(trackedPage(1, 'https://example.org/'), trackedPage(2, 'https://example.com/'));
+            state.downloads[7] = trackedDownload(1, store.DOWNLOAD_STATE_DOWNLOADING);
+        });
+        await store.updateTracking(state => store.forgetTab(state, 1));
+        const tracking = await store.getTracking();
+        assert.deepEqual(tracking.pages.map(page => page.tab), [2]);
+        // Still verified and recorded, without a tab to tell.
+        assert.equal(tracking.downloads[7].tab, null);
+    });
+
+    test('shortens the monitoring of the pages a tab leaves', function () {
+        const state = {pages: [trackedPage(1, 'https://example.org/a'), trackedPage(1, 'https://example.org/b'),
+            trackedPage(2, 'https://example.org/c')], downloads: {}};
+        store.leavePages(state, 1, 'https://example.org/b#files', NOW);
+        assert.deepEqual(state.pages.map(page => page.expiresAt),
+            [NOW + store.NAVIGATION_GRACE, NOW + 60 * 60 * 1000, NOW + 60 * 60 * 1000]);
+    });
+});
+
+describe('sweepTracking', function () {
+    test('drops the expired pages and those of closed tabs', function () {
+        const state = {pages: [trackedPage(1, 'https://example.org/a', NOW - 1), trackedPage(1, 'https://example.org/b'),
+            trackedPage(3, 'https://example.org/c')], downloads: {}};
+        store.sweepTracking(state, {now: NOW, tabs: new Set([1]), items: {}, offscreen: false});
+        assert.deepEqual(state.pages.map(page => page.page), ['https://example.org/b']);
+    });
+
+    test('drops the erased, interrupted and expired downloads, and detaches those of closed tabs', function () {
+        const state = {pages: [], downloads: {
+            1: trackedDownload(1, store.DOWNLOAD_STATE_DOWNLOADING),
+            2: trackedDownload(1, store.DOWNLOAD_STATE_DOWNLOADING),
+            3: trackedDownload(1, store.DOWNLOAD_STATE_DOWNLOADING, NOW - store.DOWNLOAD_EXPIRY),
+            4: trackedDownload(5, store.DOWNLOAD_STATE_DOWNLOADING),
+            // Tracked since the downloads were searched.
+            5: trackedDownload(1, store.DOWNLOAD_STATE_DOWNLOADING)
+        }};
+        const items = {1: null, 2: {state: 'interrupted'}, 3: {state: 'in_progress'}, 4: {state: 'in_progress'}};
+        store.sweepTracking(state, {now: NOW, tabs: new Set([1]), items: items, offscreen: false});
+        assert.deepEqual(Object.keys(state.downloads), ['4', '5']);
+        assert.equal(state.downloads[4].tab, null);
+        assert.equal(state.downloads[5].tab, 1);
+    });
+});
+
+describe('claimVerification', function () {
+    test('moves a download to the verification only once', async function () {
+        await store.updateTracking(function (state) {
+            state.downloads[7] = trackedDownload(1, store.DOWNLOAD_STATE_DOWNLOADING);
+        });
+        // The completion of a download may be seen by both its listener and a sweep.
+        const [first, second] = await Promise.all([
+            store.updateTracking(state => store.claimVerification(state, 7)),
+            store.updateTracking(state => store.claimVerification(state, 7))
+        ]);
+        assert.equal(first.state, store.DOWNLOAD_STATE_VERIFYING);
+        assert.equal(second, null);
+        assert.equal(await store.updateTracking(state => store.claimVerification(state, 8)), null);
+    });
+});